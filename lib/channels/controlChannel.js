@@ -0,0 +1,198 @@
+import { WebSocketServer } from 'ws';
+import { activeSimulations } from '../simulation.js';
+import { logInfo } from '../utils/logger.js';
+
+const CONTROL_CHANNEL_PATH = '/api/ws';
+const PING_INTERVAL_MS = 30000;
+
+// Commands that act on a single simulation and the CitySimulation call behind each
+const SIMULATION_COMMANDS = {
+  pause: (simulation) => {
+    simulation.pause();
+    return { state: simulation.state };
+  },
+  resume: (simulation) => {
+    simulation.resume();
+    return { state: simulation.state };
+  },
+  step: async (simulation, message) => {
+    const hours = parseInt(message.hours ?? 1);
+    if (!hours || hours < 1 || hours > 168) {
+      throw new Error('hours must be between 1 and 168');
+    }
+    const hourData = await simulation.step(hours);
+    return { hours_stepped: hours, hour_counter: simulation.hourCounter, timestamp: hourData?.timestamp || null };
+  },
+  set_compression: (simulation, message) => {
+    const secondsPerHour = parseInt(message.seconds_per_hour);
+    if (!secondsPerHour || secondsPerHour < 1 || secondsPerHour > 3600) {
+      throw new Error('seconds_per_hour must be between 1 and 3600');
+    }
+    const previousSecondsPerHour = simulation.secondsPerHour;
+    simulation.updateTimeCompression(secondsPerHour);
+    return { seconds_per_hour: secondsPerHour, previous_seconds_per_hour: previousSecondsPerHour };
+  },
+  inject_event: (simulation, message) => {
+    if (!message.event || typeof message.event !== 'object') {
+      throw new Error('event object is required');
+    }
+    const event = simulation.injectEvent(message.event);
+    return { event_id: event.id, scheduled_start_time: event.scheduled_start_time.toISOString() };
+  },
+  status: (simulation) => simulation.getSimulationStatus()
+};
+
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+function getSimulationOrThrow(simulationId) {
+  const simulation = activeSimulations.get(simulationId);
+  if (!simulation) {
+    throw new Error(`Simulation ${simulationId} not found`);
+  }
+  return simulation;
+}
+
+class ControlConnection {
+  constructor(socket) {
+    this.socket = socket;
+    // simulation_id -> { simulation, onHour, onStopped }
+    this.subscriptions = new Map();
+    this.isAlive = true;
+    // Commands from one client are applied in the order they were sent
+    this.messageQueue = Promise.resolve();
+    
+    socket.on('pong', () => { this.isAlive = true; });
+    socket.on('message', (raw) => {
+      this.messageQueue = this.messageQueue.then(() => this.handleMessage(raw));
+    });
+    socket.on('close', () => this.unsubscribeAll());
+  }
+
+  async handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      send(this.socket, { type: 'error', request_id: null, message: 'Messages must be valid JSON' });
+      return;
+    }
+    
+    const requestId = message.request_id ?? null;
+    
+    try {
+      const result = await this.dispatch(message);
+      send(this.socket, { type: 'ack', request_id: requestId, command: message.type, result });
+    } catch (error) {
+      send(this.socket, { type: 'error', request_id: requestId, command: message.type, message: error.message });
+    }
+  }
+
+  async dispatch(message) {
+    if (message.type === 'ping') {
+      return { server_time: new Date().toISOString() };
+    }
+    
+    if (message.type === 'subscribe') {
+      return { subscribed: this.toSimulationIds(message).map(id => this.subscribe(id)) };
+    }
+    
+    if (message.type === 'unsubscribe') {
+      return { unsubscribed: this.toSimulationIds(message).filter(id => this.unsubscribe(id)) };
+    }
+    
+    const command = SIMULATION_COMMANDS[message.type];
+    if (!command) {
+      throw new Error(`Unknown message type '${message.type}'. Supported: ping, subscribe, unsubscribe, ${Object.keys(SIMULATION_COMMANDS).join(', ')}`);
+    }
+    
+    if (!message.simulation_id) {
+      throw new Error('simulation_id is required');
+    }
+    
+    const simulation = getSimulationOrThrow(message.simulation_id);
+    return {
+      simulation_id: simulation.id,
+      ...(await command(simulation, message))
+    };
+  }
+
+  toSimulationIds(message) {
+    const ids = message.simulation_ids || (message.simulation_id ? [message.simulation_id] : []);
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new Error('simulation_ids must be a non-empty array');
+    }
+    return ids;
+  }
+
+  subscribe(simulationId) {
+    const simulation = getSimulationOrThrow(simulationId);
+    if (this.subscriptions.has(simulationId)) return simulationId;
+    
+    const onHour = (entry) => {
+      send(this.socket, { type: 'simulation_data', simulation_id: simulationId, event_id: entry.id, data: entry.data });
+    };
+    const onStopped = (details) => {
+      send(this.socket, { type: 'simulation_stopped', simulation_id: simulationId, data: details });
+      this.unsubscribe(simulationId);
+    };
+    
+    simulation.on('hour', onHour);
+    simulation.on('stopped', onStopped);
+    this.subscriptions.set(simulationId, { simulation, onHour, onStopped });
+    
+    return simulationId;
+  }
+
+  unsubscribe(simulationId) {
+    const subscription = this.subscriptions.get(simulationId);
+    if (!subscription) return false;
+    
+    subscription.simulation.off('hour', subscription.onHour);
+    subscription.simulation.off('stopped', subscription.onStopped);
+    this.subscriptions.delete(simulationId);
+    return true;
+  }
+
+  unsubscribeAll() {
+    for (const simulationId of [...this.subscriptions.keys()]) {
+      this.unsubscribe(simulationId);
+    }
+  }
+}
+
+export function attachControlChannel(httpServer) {
+  const wss = new WebSocketServer({ server: httpServer, path: CONTROL_CHANNEL_PATH });
+  const connections = new Set();
+  
+  wss.on('connection', (socket, req) => {
+    const connection = new ControlConnection(socket);
+    connections.add(connection);
+    logInfo(`🔌 Control channel connected from ${req.socket.remoteAddress} (${connections.size} open)`);
+    
+    socket.on('close', () => {
+      connections.delete(connection);
+      logInfo(`🔌 Control channel disconnected (${connections.size} open)`);
+    });
+  });
+  
+  // Drop sockets that stop answering pings so their subscriptions are released
+  const pingTimer = setInterval(() => {
+    for (const connection of connections) {
+      if (!connection.isAlive) {
+        connection.socket.terminate();
+        continue;
+      }
+      connection.isAlive = false;
+      connection.socket.ping();
+    }
+  }, PING_INTERVAL_MS);
+  
+  wss.on('close', () => clearInterval(pingTimer));
+  
+  logInfo(`🔌 WebSocket control channel listening on ${CONTROL_CHANNEL_PATH}`);
+  return wss;
+}
@@ -2,7 +2,26 @@
 export { WeatherSimulator } from './simulators/WeatherSimulator.js';
 export { EventsManager } from './simulators/EventsManager.js';
 export { TrafficSimulator } from './simulators/TrafficSimulator.js';
+export { IncidentGenerator } from './simulators/IncidentGenerator.js';
 export { CitySimulation } from './simulators/CitySimulation.js';
+export { TrafficProfile, validateTrafficProfile } from './simulators/TrafficProfile.js';
+
+// Headless batch runs (no Express, scheduler or Foundry)
+export { runHeadlessSimulation, MAX_BATCH_HOURS } from './simulators/headlessRun.js';
+export { formatHourRecord, buildDatazoneRows, HOUR_DETAIL_LEVELS } from './utils/hourRecords.js';
+export { buildGeoJsonLayer, GEOJSON_LAYERS } from './utils/geojson.js';
+
+// Output sinks (Foundry, NDJSON file, webhook, stdout)
+export { SinkRegistry, SINK_TYPES, parseSinkSpecs, validateSinkSpecs } from './sinks/SinkRegistry.js';
+export { OutputSink } from './sinks/OutputSink.js';
+export { FoundryTokenManager, foundryTokens } from './sinks/FoundryTokenManager.js';
+export { FOUNDRY_STREAM_KINDS } from './sinks/foundryRows.js';
+export { CityCalendar, getBankHolidays } from './utils/ukCalendar.js';
+
+// Weather providers (CSV, JSON, Open-Meteo replay, synthetic)
+export { createWeatherProvider, WEATHER_PROVIDER_TYPES } from './weather/weatherProviders.js';
+export { WeatherProvider } from './weather/WeatherProvider.js';
+export { parseCsv } from './utils/csv.js';
 
 // Keep the global state
-export const activeSimulations = new Map();
\ No newline at end of file
+export const activeSimulations = new Map();
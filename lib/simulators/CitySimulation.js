@@ -1,30 +1,71 @@
+import { EventEmitter } from 'events';
 import { WeatherSimulator } from './WeatherSimulator.js';
-import { EventsManager } from './EventsManager.js';
+import { EventsManager, validateEventSpec } from './EventsManager.js';
 import { TrafficSimulator } from './TrafficSimulator.js';
-import { loadCityDatazones } from '../utils/dataLoaders.js';
+import { IncidentGenerator } from './IncidentGenerator.js';
+import { loadCityDatazones, loadCityAdjacency, loadCityGeometry, loadCityTrafficProfile, loadDemandWeights, loadCitySchoolTerms } from '../utils/dataLoaders.js';
+import { TrafficProfile } from './TrafficProfile.js';
 import { getCityConfig } from '../utils/cityConfigs.js';
+import { SeededRandom, generateSeed, normalizeSeed } from '../utils/random.js';
+import { HourHistory, DEFAULT_HISTORY_HOURS } from '../utils/hourHistory.js';
+import { estimateZoneTraffic } from '../utils/hourRecords.js';
+import { CityCalendar } from '../utils/ukCalendar.js';
+import { getLocalHour, toLocalISOString } from '../utils/timeUtils.js';
+import { SinkRegistry } from '../sinks/SinkRegistry.js';
+import { loadFoundryConfig } from '../sinks/FoundrySink.js';
+import { logInfo } from '../utils/logger.js';
 
-export class CitySimulation {
-  constructor(id, secondsPerHour = 10, cityId = 'edinburgh') {
+// Lifecycle states and the transitions allowed out of each
+export const SIMULATION_STATES = {
+  stopped: ['initializing'],
+  initializing: ['running', 'paused', 'errored', 'stopped'],
+  running: ['paused', 'stopped', 'errored'],
+  paused: ['running', 'stopped', 'errored'],
+  errored: ['initializing', 'stopped']
+};
+
+const MAX_CONSECUTIVE_TICK_FAILURES = 3;
+
+export const SNAPSHOT_VERSION = 1;
+
+export class CitySimulation extends EventEmitter {
+  constructor(id, secondsPerHour = 10, cityId = 'edinburgh', options = {}) {
+    super();
+    // Every stream/socket viewer adds a listener - don't warn past the default 10
+    this.setMaxListeners(0);
+    
     this.id = id;
     this.cityId = cityId;
     this.cityConfig = getCityConfig(cityId);
-    this.isRunning = false;
-    this.currentTime = new Date();
+    this.state = 'stopped';
+    this.lastError = null;
+    this.consecutiveTickFailures = 0;
+    this.currentTime = options.startTime ? new Date(options.startTime) : new Date();
     this.simulationHour = 9;
     this.hourCounter = 0;
     
     this.secondsPerHour = secondsPerHour;
     
-    this.foundryConfig = this.loadFoundryConfig();
-    this.foundryToken = null;
-    this.foundryRetryCount = 0;
-    this.maxFoundryRetries = 3;
+    // Wall-clock scheduler state
+    this.tickTimer = null;
+    this.pendingHour = null;
+    this.nextTickAt = null;
+    this.skippedTicks = 0;
+    
+    // Where generated hours are sent. Without explicit sinks, Foundry is used when its
+    // environment variables are set (unless enableFoundry is false)
+    this.sinks = new SinkRegistry(options.sinks ?? this.getDefaultSinkSpecs(options), { simulationId: id, cityId });
+    
+    // One seeded PRNG shared by every simulator so runs can be replayed
+    this.seed = options.seed !== undefined && options.seed !== null ? normalizeSeed(options.seed) : generateSeed();
+    this.rng = new SeededRandom(this.seed);
     
     // Initialize simulators with city ID
-    this.weatherSim = new WeatherSimulator(cityId);
-    this.eventsSim = new EventsManager(cityId);
-    this.trafficSim = new TrafficSimulator(cityId);
+    this.weatherSim = new WeatherSimulator(cityId, this.rng);
+    this.eventsSim = new EventsManager(cityId, this.rng);
+    this.trafficSim = new TrafficSimulator(cityId, this.rng);
+    this.incidentsSim = new IncidentGenerator(cityId, this.rng);
+    this.calendar = null;
     
     this.previousWeather = null;
     this.previousTraffic = null;
@@ -33,46 +74,53 @@ export class CitySimulation {
     this.isInitialized = false;
     this.isGenerating = false;
     
-    this.dashboardControlledTime = null;
+    // Bounded buffer of recently generated hours for stream resume (Last-Event-ID)
+    this.recentHours = [];
+    this.maxRecentHours = 100;
     
-    console.log(`🏙️ Created ${this.cityConfig.name} simulation ${id} with ${secondsPerHour}s per hour${this.foundryConfig ? ' (Foundry enabled)' : ''}`);
-  }
-
-  loadFoundryConfig() {
-    const foundryUrl = process.env.FOUNDRY_URL;
-    const clientId = process.env.FOUNDRY_CLIENT_ID;
-    const clientSecret = process.env.FOUNDRY_CLIENT_SECRET;
-    const streamRid = process.env.FOUNDRY_STREAM_RID;
+    // Longer, compact archive of every generated hour for history queries
+    this.history = new HourHistory({
+      capacity: options.historyHours || parseInt(process.env.HISTORY_MAX_HOURS) || DEFAULT_HISTORY_HOURS,
+      logDirectory: options.historyLog === false ? null : (process.env.HISTORY_LOG_DIR || null),
+      logName: `${cityId}_${id}`
+    });
     
-    if (!foundryUrl || !clientId || !clientSecret || !streamRid) {
-      console.log('⚠️ Foundry environment variables not configured - Foundry integration disabled');
-      return null;
-    }
+    // Batch runs skip the output sinks and per-hour logging
+    this.batchMode = false;
+    this.verbose = true;
     
-    if (!foundryUrl.startsWith('https://')) {
-      console.error('❌ FOUNDRY_URL must use HTTPS');
-      return null;
+    logInfo(`🏙️ Created ${this.cityConfig.name} simulation ${id} with ${secondsPerHour}s per hour, seed ${this.seed}${this.sinks.size > 0 ? ` (sinks: ${this.sinks.getHealth().map(sink => sink.name).join(', ')})` : ''}`);
+  }
+
+  getDefaultSinkSpecs(options) {
+    if (options.enableFoundry === false || !loadFoundryConfig()) {
+      return [];
     }
-    
-    if (!streamRid.startsWith('ri.foundry.main.stream.')) {
-      console.error('❌ Invalid FOUNDRY_STREAM_RID format');
-      return null;
+    return [{ type: 'foundry' }];
+  }
+
+  async initializeCalendar() {
+    try {
+      this.calendar = new CityCalendar(this.cityId, this.cityConfig.region, await loadCitySchoolTerms(this.cityId), this.cityConfig.timezone);
+      this.eventsSim.calendar = this.calendar;
+      this.incidentsSim.calendar = this.calendar;
+    } catch (error) {
+      console.error(`❌ Failed to initialize ${this.cityId} calendar:`, error);
+      throw error;
     }
-    
-    console.log(`✅ Foundry configuration loaded: ${foundryUrl}`);
-    
-    return {
-      foundryUrl,
-      clientId,
-      clientSecret,
-      streamRid
-    };
   }
 
   async initializeTrafficSystem() {
     try {
       const datazones = await loadCityDatazones(this.cityId);
-      await this.trafficSim.initializeWithDatazones(datazones);
+      const profile = await loadCityTrafficProfile(this.cityId);
+      await this.trafficSim.initializeWithDatazones(datazones, {
+        adjacency: await loadCityAdjacency(this.cityId),
+        boundaries: (await loadCityGeometry(this.cityId))?.datazones ?? null,
+        trafficProfile: new TrafficProfile(this.cityId, profile.data, profile.source),
+        demandWeights: await loadDemandWeights()
+      });
+      this.incidentsSim.initialize(this.trafficSim.datazones, this.trafficSim.streetModel);
     } catch (error) {
       console.error(`❌ Failed to initialize ${this.cityId} traffic system:`, error);
       throw error;
@@ -88,123 +136,11 @@ export class CitySimulation {
     }
   }
 
-  async initializeFoundryConnection() {
-    if (!this.foundryConfig || !this.foundryConfig.foundryUrl) {
-      return;
-    }
-    
-    try {
-      const axios = (await import('axios')).default;
-      
-      console.log(`🔗 Connecting to Foundry at ${this.foundryConfig.foundryUrl}...`);
-      
-      const authResponse = await axios.post(
-        `${this.foundryConfig.foundryUrl}/multipass/api/oauth2/token`,
-        {
-          grant_type: 'client_credentials',
-          client_id: this.foundryConfig.clientId,
-          client_secret: this.foundryConfig.clientSecret
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'User-Agent': 'City-Simulation/1.0.0'
-          },
-          timeout: 30000
-        }
-      );
-      
-      this.foundryToken = authResponse.data.access_token;
-      console.log(`✅ Foundry authentication successful for ${this.cityConfig.name} simulation ${this.id}`);
-      
-    } catch (error) {
-      console.error(`❌ Foundry connection failed for ${this.cityConfig.name} simulation ${this.id}:`, {
-        message: error.message,
-        status: error.response?.status,
-        foundryUrl: this.foundryConfig.foundryUrl
-      });
-      
-      if (this.foundryRetryCount < this.maxFoundryRetries) {
-        this.foundryRetryCount++;
-        console.log(`🔄 Retrying Foundry connection (${this.foundryRetryCount}/${this.maxFoundryRetries}) in 5s...`);
-        setTimeout(() => this.initializeFoundryConnection(), 5000);
-      }
-    }
-  }
-
-  async pushToFoundryStream(data) {
-    if (!this.foundryToken || !this.foundryConfig || !this.foundryConfig.streamRid) {
-      return;
-    }
-    
-    try {
-      const axios = (await import('axios')).default;
-      
-      const foundryRecord = {
-        simulation_id: this.id,
-        city_id: this.cityId,
-        city_name: this.cityConfig.name,
-        timestamp: data.timestamp,
-        hour: data.hour,
-        game_time: data.timestamp,
-        real_time: new Date().toISOString(),
-        
-        weather_temperature: parseFloat(data.weather.temperature.toFixed(2)),
-        weather_humidity: parseFloat(data.weather.humidity.toFixed(2)),
-        weather_wind_speed: parseFloat(data.weather.windSpeed.toFixed(2)),
-        weather_condition: data.weather.condition,
-        weather_pressure: data.weather.pressure || null,
-        
-        traffic_congestion_level: parseFloat(data.traffic.congestion_level.toFixed(2)),
-        traffic_average_speed: parseFloat(data.traffic.average_speed.toFixed(2)),
-        traffic_total_vehicles: data.traffic.total_vehicles || 0,
-        traffic_peak_hour: data.traffic.peak_hour || false,
-        traffic_weather_impact: data.traffic.weather_impact || 1.0,
-        traffic_events_impact: data.traffic.events_impact || 1.0,
-        
-        events_active_count: data.events.active_count,
-        events_scheduled_count: data.events.scheduled_count,
-        events_completed_count: data.events.completed_count,
-        events_summary: JSON.stringify(data.events.events),
-        
-        seconds_per_hour: this.secondsPerHour
-      };
-      
-      const response = await axios.post(
-        `${this.foundryConfig.foundryUrl}/api/v1/streams/${this.foundryConfig.streamRid}/records`,
-        {
-          records: [foundryRecord]
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.foundryToken}`,
-            'Content-Type': 'application/json',
-            'User-Agent': 'City-Simulation/1.0.0'
-          },
-          timeout: 15000
-        }
-      );
-      
-      console.log(`📤 Pushed ${this.cityConfig.name} data to Foundry stream: ${data.timestamp} (${response.status})`);
-      this.foundryRetryCount = 0;
-      
-    } catch (error) {
-      console.error(`❌ Failed to push ${this.cityConfig.name} data to Foundry stream:`, {
-        message: error.message,
-        status: error.response?.status,
-        simulation_id: this.id
-      });
-      
-      if (error.response?.status === 401 || error.response?.status === 403) {
-        console.log(`🔄 Re-authenticating with Foundry...`);
-        await this.initializeFoundryConnection();
-      }
-    }
-  }
-
+  // dashboardRequestedTime (the /data ?time= and ?hour= overrides) moves the clock to that
+  // hour once; later ticks carry on from there
   async generateNextHourData(dashboardRequestedTime = null) {
     if (this.isGenerating) {
-      console.log(`⚠️ Generation already in progress for ${this.cityConfig.name} simulation ${this.id}`);
+      logInfo(`⚠️ Generation already in progress for ${this.cityConfig.name} simulation ${this.id}`);
       return;
     }
     
@@ -214,26 +150,27 @@ export class CitySimulation {
       let targetTime;
       if (dashboardRequestedTime) {
         targetTime = new Date(dashboardRequestedTime);
-        this.dashboardControlledTime = targetTime;
-      } else if (this.dashboardControlledTime) {
-        targetTime = this.dashboardControlledTime;
       } else {
         this.currentTime = new Date(this.currentTime.getTime() + (60 * 60 * 1000));
         targetTime = this.currentTime;
       }
       
       this.hourCounter++;
-      this.simulationHour = targetTime.getHours();
+      this.simulationHour = getLocalHour(targetTime, this.cityConfig.timezone);
       
+      const calendar = this.calendar.getFlags(targetTime);
       const weather = await this.weatherSim.simulateForTime(targetTime);
       const eventsData = this.eventsSim.processEventsForHour(targetTime, weather);
       const activeEvents = this.eventsSim.getActiveEvents(targetTime);
+      const incidentsData = this.incidentsSim.processIncidentsForHour(targetTime, weather, this.previousTraffic);
       
       const traffic = await this.trafficSim.simulateNextHour(
         targetTime, 
         weather, 
         activeEvents, 
-        this.previousTraffic
+        this.previousTraffic,
+        calendar,
+        this.incidentsSim.getActiveIncidents(targetTime)
       );
       
       this.previousWeather = weather;
@@ -247,18 +184,23 @@ export class CitySimulation {
         city_name: this.cityConfig.name,
         hour: this.simulationHour,
         timestamp: targetTime.toISOString(),
-        real_timestamp: new Date().toISOString(),
+        local_timestamp: toLocalISOString(targetTime, this.cityConfig.timezone),
+        timezone: this.cityConfig.timezone,
+        seed: this.seed,
         seconds_per_hour: this.secondsPerHour,
+        calendar: calendar,
         weather: weather,
         events: eventsData,
+        incidents: incidentsData,
         traffic: traffic,
-        simulation_status: 'running'
+        simulation_status: this.state
       };
       
       this.readyHourData = simulationData;
+      this.publishHour(simulationData);
       
-      if (this.foundryConfig) {
-        await this.pushToFoundryStream(simulationData);
+      if (!this.batchMode) {
+        this.sinks.publish(simulationData);
       }
       
       if (this.hourCounter % 24 === 0) {
@@ -269,7 +211,7 @@ export class CitySimulation {
       const eventStats = this.eventsSim.getEventStatistics();
       const eventsSummary = `${eventStats.active} active, ${eventStats.scheduled} scheduled, ${eventStats.completed} completed`;
       
-      console.log(`🏙️ ${this.cityConfig.name} simulation ${this.id} - Hour ${this.simulationHour}: ${weather.condition}, ${trafficSummary}, Events: ${eventsSummary}`);
+      if (this.verbose) logInfo(`🏙️ ${this.cityConfig.name} simulation ${this.id} - Hour ${this.simulationHour}: ${weather.condition}, ${trafficSummary}, Events: ${eventsSummary}, Incidents: ${incidentsData.active_count} active`);
       
       return simulationData;
       
@@ -281,94 +223,245 @@ export class CitySimulation {
     }
   }
 
-  async start() {
+  // Generate the next hour once any hour already in flight (a scheduled tick, a /data time jump
+  // or another step) has finished - generateNextHourData on its own returns undefined meanwhile
+  async generateQueuedHour(dashboardRequestedTime = null) {
+    while (this.pendingHour) {
+      await this.pendingHour.catch(() => {});
+    }
+    
+    if (this.isGenerating) {
+      throw new Error(`${this.cityConfig.name} simulation ${this.id} is already generating an hour`);
+    }
+    
+    const pendingHour = this.generateNextHourData(dashboardRequestedTime);
+    this.pendingHour = pendingHour;
+    try {
+      return await pendingHour;
+    } finally {
+      if (this.pendingHour === pendingHour) {
+        this.pendingHour = null;
+      }
+    }
+  }
+
+  publishHour(simulationData) {
+    const entry = { id: this.hourCounter, data: simulationData };
+    
+    this.recentHours.push(entry);
+    if (this.recentHours.length > this.maxRecentHours) {
+      this.recentHours.splice(0, this.recentHours.length - this.maxRecentHours);
+    }
+    
+    this.history.record(entry.id, simulationData);
+    
+    this.emit('hour', entry);
+  }
+
+  getHoursSince(lastEventId) {
+    return this.recentHours.filter(entry => entry.id > lastEventId);
+  }
+
+  get isRunning() {
+    return this.state === 'initializing' || this.state === 'running' || this.state === 'paused';
+  }
+
+  get isPaused() {
+    return this.state === 'paused';
+  }
+
+  canTransitionTo(nextState) {
+    return SIMULATION_STATES[this.state].includes(nextState);
+  }
+
+  transitionTo(nextState) {
+    if (!this.canTransitionTo(nextState)) {
+      throw new Error(`${this.cityConfig.name} simulation ${this.id} cannot go from ${this.state} to ${nextState}`);
+    }
+    
+    const previousState = this.state;
+    this.state = nextState;
+    this.emit('state', { simulation_id: this.id, state: nextState, previous_state: previousState });
+  }
+
+  setVerbose(verbose) {
+    this.verbose = verbose;
+    this.eventsSim.verbose = verbose;
+    this.trafficSim.verbose = verbose;
+    this.incidentsSim.verbose = verbose;
+  }
+
+  async start({ paused = false } = {}) {
     if (this.isRunning) {
-      console.log(`⚠️ ${this.cityConfig.name} simulation ${this.id} is already running`);
+      logInfo(`⚠️ ${this.cityConfig.name} simulation ${this.id} is already running`);
       return;
     }
     
-    console.log(`▶️ Starting ${this.cityConfig.name} simulation ${this.id}`);
-    this.isRunning = true;
+    logInfo(`▶️ Starting ${this.cityConfig.name} simulation ${this.id}`);
+    this.transitionTo('initializing');
+    this.lastError = null;
     
     try {
+      await this.initializeCalendar();
       await this.initializeTrafficSystem();
       await this.initializeEventsSystem();
       await this.weatherSim.initialize();
       
-      if (this.foundryConfig) {
-        await this.initializeFoundryConnection();
-      }
+      await this.sinks.openAll();
       
       await this.generateNextHourData();
       this.isInitialized = true;
+      this.transitionTo(paused ? 'paused' : 'running');
+      this.scheduleNextTick();
       
-      console.log(`✅ ${this.cityConfig.name} simulation ${this.id} started with first hour pregenerated`);
+      logInfo(`✅ ${this.cityConfig.name} simulation ${this.id} started with first hour pregenerated${paused ? ' (paused)' : ''}`);
       
     } catch (error) {
       console.error(`❌ Failed to start ${this.cityConfig.name} simulation ${this.id}:`, error);
-      this.isRunning = false;
+      this.lastError = error.message;
+      this.transitionTo('errored');
+      this.clearTickTimer();
       throw error;
     }
   }
 
-  async getDataAndAdvance() {
-    if (!this.isRunning) {
-      throw new Error(`${this.cityConfig.name} simulation is not running`);
+  serializeState() {
+    return {
+      snapshot_version: SNAPSHOT_VERSION,
+      simulation_id: this.id,
+      city_id: this.cityId,
+      state: this.state,
+      seconds_per_hour: this.secondsPerHour,
+      seed: this.seed,
+      rng_state: this.rng.getState(),
+      current_time: this.currentTime.toISOString(),
+      simulation_hour: this.simulationHour,
+      hour_counter: this.hourCounter,
+      skipped_ticks: this.skippedTicks,
+      previous_weather: this.previousWeather,
+      previous_traffic: this.previousTraffic,
+      ready_hour_data: this.readyHourData,
+      sinks: this.sinks.specs,
+      weather: this.weatherSim.serializeState(),
+      events: this.eventsSim.serializeState(),
+      traffic: this.trafficSim.serializeState(),
+      incidents: this.incidentsSim.serializeState()
+    };
+  }
+
+  // Rebuild a simulation from serializeState() output without drawing new random state
+  async restore(snapshot) {
+    if (snapshot.snapshot_version !== SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported snapshot version ${snapshot.snapshot_version} (expected ${SNAPSHOT_VERSION})`);
     }
     
-    if (!this.isInitialized || !this.readyHourData) {
-      throw new Error(`No ${this.cityConfig.name} simulation data available yet - simulation is starting up`);
+    if (snapshot.city_id !== this.cityId) {
+      throw new Error(`Snapshot is for ${snapshot.city_id}, not ${this.cityId}`);
     }
     
-    const dataToReturn = this.readyHourData;
+    if (this.isRunning) {
+      throw new Error(`${this.cityConfig.name} simulation ${this.id} is already running`);
+    }
     
-    this.generateNextHourData().catch(error => {
-      console.error(`❌ Background generation failed for ${this.cityConfig.name} simulation ${this.id}:`, error);
-    });
+    logInfo(`♻️ Restoring ${this.cityConfig.name} simulation ${this.id} at hour ${snapshot.hour_counter}`);
+    this.transitionTo('initializing');
     
-    const now = new Date();
+    try {
+      await this.initializeCalendar();
+      await this.initializeTrafficSystem();
+      await this.eventsSim.initialize();
+      await this.weatherSim.initialize();
+      
+      await this.sinks.openAll();
+      
+      this.trafficSim.restoreState(snapshot.traffic);
+      this.eventsSim.restoreState(snapshot.events);
+      this.weatherSim.restoreState(snapshot.weather);
+      this.incidentsSim.restoreState(snapshot.incidents);
+      
+      this.seed = snapshot.seed;
+      this.rng.setState(snapshot.rng_state);
+      this.secondsPerHour = snapshot.seconds_per_hour;
+      this.currentTime = new Date(snapshot.current_time);
+      this.simulationHour = snapshot.simulation_hour;
+      this.hourCounter = snapshot.hour_counter;
+      this.skippedTicks = snapshot.skipped_ticks || 0;
+      this.previousWeather = snapshot.previous_weather;
+      this.previousTraffic = snapshot.previous_traffic;
+      this.readyHourData = snapshot.ready_hour_data;
+      
+      this.isInitialized = !!this.readyHourData;
+      this.transitionTo(snapshot.state === 'paused' ? 'paused' : 'running');
+      this.scheduleNextTick();
+      
+      logInfo(`✅ ${this.cityConfig.name} simulation ${this.id} restored (${this.state}, ${this.currentTime.toISOString()})`);
+      
+    } catch (error) {
+      console.error(`❌ Failed to restore ${this.cityConfig.name} simulation ${this.id}:`, error);
+      this.lastError = error.message;
+      this.transitionTo('errored');
+      this.clearTickTimer();
+      throw error;
+    }
+  }
+
+  scheduleNextTick() {
+    if (this.state !== 'running') return;
     
-    return {
-      status: "success",
-      retrieved_at: now.toISOString(),
-      server_time: now.toISOString(),
-      simulation_id: this.id,
-      city_id: this.cityId,
-      city_name: this.cityConfig.name,
-      timestamp: dataToReturn.timestamp,
-      hour: this.simulationHour,
-      is_running: this.isRunning,
-      weather: {
-        temperature: dataToReturn.weather.temperature,
-        humidity: dataToReturn.weather.humidity,
-        windSpeed: dataToReturn.weather.windSpeed,
-        condition: dataToReturn.weather.condition,
-        pressure: dataToReturn.weather.pressure
-      },
-      events: {
-        active_count: dataToReturn.events.active_count,
-        scheduled_count: dataToReturn.events.scheduled_count,
-        completed_count: dataToReturn.events.completed_count,
-        events: dataToReturn.events.events
-      },
-      traffic: {
-        congestion_level: dataToReturn.traffic.congestion_level,
-        average_speed: dataToReturn.traffic.average_speed,
-        total_vehicles: dataToReturn.traffic.total_vehicles,
-        peak_hour: dataToReturn.traffic.peak_hour,
-        weather_impact: dataToReturn.traffic.weather_impact,
-        events_impact: dataToReturn.traffic.events_impact,
-        datazones: dataToReturn.traffic.datazones.map(zone => ({
-          datazone_code: zone.datazone_code,
-          datazone_congestion: zone.datazone_congestion,
-          street_congestion: zone.street_congestion,
-          area_type: zone.area_type,
-          congestion_trend: zone.congestion_trend,
-          estimated_vehicles: Math.round(zone.datazone_congestion * 50),
-          average_speed: Math.max(5, 50 - (zone.datazone_congestion * 8))
-        }))
+    // Read secondsPerHour on every tick so compression changes apply to the next hour
+    const intervalMs = this.secondsPerHour * 1000;
+    const now = Date.now();
+    
+    this.nextTickAt = (this.nextTickAt || now) + intervalMs;
+    
+    // Drop any ticks we overran rather than bursting to catch up
+    if (this.nextTickAt <= now) {
+      const missedTicks = Math.floor((now - this.nextTickAt) / intervalMs) + 1;
+      this.nextTickAt += missedTicks * intervalMs;
+      this.skippedTicks += missedTicks;
+      logInfo(`⏭️ ${this.cityConfig.name} simulation ${this.id} skipped ${missedTicks} tick(s) after overrun`);
+    }
+    
+    this.tickTimer = setTimeout(() => this.tick(), this.nextTickAt - now);
+  }
+
+  async tick() {
+    this.tickTimer = null;
+    if (this.state !== 'running') return;
+    
+    try {
+      await this.generateQueuedHour();
+      this.consecutiveTickFailures = 0;
+    } catch (error) {
+      console.error(`❌ Scheduled generation failed for ${this.cityConfig.name} simulation ${this.id}:`, error);
+      this.lastError = error.message;
+      this.consecutiveTickFailures++;
+      
+      if (this.consecutiveTickFailures >= MAX_CONSECUTIVE_TICK_FAILURES && this.canTransitionTo('errored')) {
+        console.error(`❌ ${this.cityConfig.name} simulation ${this.id} errored after ${this.consecutiveTickFailures} failed hours`);
+        this.transitionTo('errored');
+        this.clearTickTimer();
+        return;
       }
-    };
+    }
+    
+    this.scheduleNextTick();
+  }
+
+  clearTickTimer() {
+    if (this.tickTimer) {
+      clearTimeout(this.tickTimer);
+      this.tickTimer = null;
+    }
+    this.nextTickAt = null;
+  }
+
+  getLatestData() {
+    if (!this.isRunning) {
+      throw new Error(`${this.cityConfig.name} simulation is not running`);
+    }
+    
+    return this.getCurrentSnapshot();
   }
 
   getCurrentSnapshot() {
@@ -386,6 +479,9 @@ export class CitySimulation {
       city_id: this.cityId,
       city_name: this.cityConfig.name,
       timestamp: this.readyHourData.timestamp,
+      local_timestamp: this.readyHourData.local_timestamp,
+      timezone: this.readyHourData.timezone,
+      calendar: this.readyHourData.calendar,
       hour: this.simulationHour,
       is_running: this.isRunning,
       weather: {
@@ -401,6 +497,7 @@ export class CitySimulation {
         completed_count: this.readyHourData.events.completed_count,
         events: this.readyHourData.events.events
       },
+      incidents: this.readyHourData.incidents,
       traffic: {
         congestion_level: this.readyHourData.traffic.congestion_level,
         average_speed: this.readyHourData.traffic.average_speed,
@@ -408,59 +505,219 @@ export class CitySimulation {
         peak_hour: this.readyHourData.traffic.peak_hour,
         weather_impact: this.readyHourData.traffic.weather_impact,
         events_impact: this.readyHourData.traffic.events_impact,
+        incident_lost_capacity: this.readyHourData.traffic.incident_lost_capacity,
+        incident_zones: this.readyHourData.traffic.incident_zones,
         datazones: this.readyHourData.traffic.datazones.map(zone => ({
           datazone_code: zone.datazone_code,
           datazone_congestion: zone.datazone_congestion,
           street_congestion: zone.street_congestion,
           area_type: zone.area_type,
           congestion_trend: zone.congestion_trend,
-          estimated_vehicles: Math.round(zone.datazone_congestion * 50),
-          average_speed: Math.max(5, 50 - (zone.datazone_congestion * 8))
+          incident_capacity_loss: zone.incident_capacity_loss,
+          ...estimateZoneTraffic(zone)
         }))
       }
     };
   }
 
+  // A street's fixed attributes plus its state in each of the most recent hours
+  getStreetState(streetId, hours = 24) {
+    const street = this.trafficSim.streetModel.getStreet(streetId);
+    if (!street) return null;
+    
+    const zone = this.trafficSim.datazones.find(candidate => candidate.datazone_code === street.datazone_code);
+    const streetInHour = (hourData) => {
+      const zoneData = hourData.traffic.datazones.find(candidate => candidate.datazone_code === street.datazone_code);
+      const streetData = zoneData?.street_congestion.find(candidate => candidate.street_id === street.street_id);
+      if (!streetData) return null;
+      
+      return {
+        timestamp: hourData.timestamp,
+        local_timestamp: hourData.local_timestamp,
+        congestion_level: streetData.congestion_level,
+        speed: streetData.speed ?? null,
+        incident: !!streetData.incident,
+        datazone_congestion: zoneData.datazone_congestion
+      };
+    };
+    
+    return {
+      street_id: street.street_id,
+      datazone_code: street.datazone_code,
+      road_class: street.road_class,
+      capacity: street.capacity,
+      free_flow_speed: street.free_flow_speed,
+      congestion_factor: street.congestion_factor,
+      baseline_congestion: zone ? this.trafficSim.streetModel.getBaselineCongestion(street, zone.baseline_congestion) : null,
+      current: this.readyHourData ? streetInHour(this.readyHourData) : null,
+      recent: this.recentHours.slice(-hours).map(entry => streetInHour(entry.data)).filter(Boolean),
+      active_incidents: this.incidentsSim.getActiveIncidents(this.currentTime)
+        .filter(incident => incident.street_id === street.street_id)
+    };
+  }
+
   getSimulationStatus() {
     return {
       simulation_id: this.id,
       city_id: this.cityId,
       city_name: this.cityConfig.name,
+      state: this.state,
       is_running: this.isRunning,
+      is_paused: this.isPaused,
+      last_error: this.lastError,
+      seed: this.seed,
       current_time: this.currentTime.toISOString(),
       hour_counter: this.hourCounter,
       seconds_per_hour: this.secondsPerHour,
-      foundry_integration: !!this.foundryConfig,
-      foundry_connected: !!this.foundryToken,
+      next_tick_at: this.nextTickAt ? new Date(this.nextTickAt).toISOString() : null,
+      skipped_ticks: this.skippedTicks,
+      foundry_integration: this.sinks.hasType('foundry'),
+      foundry_connected: !!this.sinks.getByType('foundry')?.isConnected,
+      sinks: this.sinks.getHealth(),
       traffic_system: `${this.cityConfig.name} Datazones`,
+      road_network: this.trafficSim.roadNetwork.getSummary(),
+      street_model: this.trafficSim.streetModel.getSummary(),
+      traffic_profile: this.trafficSim.trafficProfile ? this.trafficSim.trafficProfile.name : null,
+      weather_source: this.weatherSim.describe(),
       last_weather: this.previousWeather,
       last_traffic: this.previousTraffic ? {
         congestion_level: this.previousTraffic.congestion_level,
         average_speed: this.previousTraffic.average_speed,
         total_datazones: this.previousTraffic.datazones?.length || 0
       } : null,
+      incidents: this.incidentsSim.getIncidentStatistics(),
       uptime_hours: this.hourCounter,
       created_at: this.currentTime ? new Date(this.currentTime.getTime() - (this.hourCounter * 60 * 60 * 1000)).toISOString() : null,
       is_initialized: this.isInitialized,
       has_ready_data: !!this.readyHourData,
-      is_generating: this.isGenerating
+      is_generating: this.isGenerating,
+      stream_subscribers: this.listenerCount('hour'),
+      history: this.history.getStats()
     };
   }
 
   stop() {
-    if (!this.isRunning) {
-      console.log(`⚠️ ${this.cityConfig.name} simulation ${this.id} is already stopped`);
+    if (this.state === 'stopped') {
+      logInfo(`⚠️ ${this.cityConfig.name} simulation ${this.id} is already stopped`);
       return;
     }
     
-    console.log(`⏹️ Stopping ${this.cityConfig.name} simulation ${this.id}`);
-    this.isRunning = false;
+    logInfo(`⏹️ Stopping ${this.cityConfig.name} simulation ${this.id}`);
+    this.transitionTo('stopped');
     this.isInitialized = false;
     this.readyHourData = null;
+    this.clearTickTimer();
+    this.history.close();
+    this.sinks.closeAll().catch(error => console.error(`❌ Failed to close sinks for ${this.cityConfig.name} simulation ${this.id}:`, error));
+    this.emit('stopped', { simulation_id: this.id, final_hour: this.hourCounter });
+  }
+
+  // Pausing only stops the clock - traffic momentum, event queues and weather alignment are kept
+  pause() {
+    if (this.state === 'paused') return;
+    
+    this.transitionTo('paused');
+    this.clearTickTimer();
+    logInfo(`⏸️ Paused ${this.cityConfig.name} simulation ${this.id} at hour ${this.hourCounter}`);
+  }
+
+  resume() {
+    if (this.state === 'running') return;
+    
+    this.transitionTo('running');
+    this.scheduleNextTick();
+    logInfo(`▶️ Resumed ${this.cityConfig.name} simulation ${this.id} at hour ${this.hourCounter}`);
+  }
+
+  async step(hours = 1) {
+    if (this.state !== 'running' && this.state !== 'paused') {
+      throw new Error(`${this.cityConfig.name} simulation cannot step while ${this.state}`);
+    }
+    
+    let lastHourData = null;
+    for (let i = 0; i < hours; i++) {
+      lastHourData = await this.generateQueuedHour();
+    }
+    
+    logInfo(`⏭️ Stepped ${this.cityConfig.name} simulation ${this.id} forward ${hours} hour(s)`);
+    return lastHourData;
+  }
+
+  // Fast-forward as quickly as possible, handing each hour to onHour instead of the sinks/console
+  async runBatch(hours, { onHour = null } = {}) {
+    if (this.state !== 'running' && this.state !== 'paused') {
+      throw new Error(`${this.cityConfig.name} simulation cannot run a batch while ${this.state}`);
+    }
+    
+    const resumeAfter = this.state === 'running';
+    if (resumeAfter) {
+      this.pause();
+    }
+    
+    const previousVerbose = this.verbose;
+    const series = [];
+    const startedAt = Date.now();
+    
+    this.batchMode = true;
+    this.setVerbose(false);
+    
+    try {
+      for (let i = 0; i < hours; i++) {
+        const hourData = await this.generateQueuedHour();
+        if (onHour) {
+          await onHour(hourData, i);
+        } else {
+          series.push(hourData);
+        }
+      }
+    } finally {
+      this.batchMode = false;
+      this.setVerbose(previousVerbose);
+      if (resumeAfter && this.state === 'paused') {
+        this.resume();
+      }
+    }
+    
+    logInfo(`⏩ ${this.cityConfig.name} simulation ${this.id} ran ${hours} hour(s) in ${Date.now() - startedAt}ms`);
+    return series;
+  }
+
+  validateEvent(eventSpec, { partial = false } = {}) {
+    return validateEventSpec(eventSpec, {
+      knownDatazones: new Set(this.trafficSim.datazones.map(zone => zone.datazone_code)),
+      currentTime: this.currentTime,
+      partial
+    });
+  }
+
+  injectEvent(eventSpec) {
+    if (!this.isRunning) {
+      throw new Error(`${this.cityConfig.name} simulation is not running`);
+    }
+    
+    const errors = this.validateEvent(eventSpec);
+    if (errors.length > 0) {
+      throw new Error(`Invalid event: ${errors.join('; ')}`);
+    }
+    
+    return this.eventsSim.injectEvent(eventSpec, this.currentTime);
+  }
+
+  cancelEvent(eventId) {
+    return this.eventsSim.cancelEvent(eventId, this.currentTime);
+  }
+
+  rescheduleEvent(eventId, changes) {
+    const errors = this.validateEvent(changes, { partial: true });
+    if (errors.length > 0) {
+      throw new Error(`Invalid event: ${errors.join('; ')}`);
+    }
+    
+    return this.eventsSim.rescheduleEvent(eventId, changes, this.currentTime);
   }
 
   updateTimeCompression(secondsPerHour) {
     this.secondsPerHour = secondsPerHour;
-    console.log(`⏱️ Updated ${this.cityConfig.name} simulation ${this.id} time compression to ${secondsPerHour}s per hour`);
+    logInfo(`⏱️ Updated ${this.cityConfig.name} simulation ${this.id} time compression to ${secondsPerHour}s per hour (applies from next tick)`);
   }
 }
\ No newline at end of file
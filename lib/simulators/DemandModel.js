@@ -0,0 +1,123 @@
+import { WEEKEND_MULTIPLIERS } from '../utils/constants.js';
+import { logInfo } from '../utils/logger.js';
+
+// Origin-destination demand: each zone produces and attracts trips by hour of
+// day, trips are distributed to destinations in proportion to attraction, and
+// the resulting volume over capacity drives congestion.
+export class DemandModel {
+  constructor(cityId = 'edinburgh', rng) {
+    this.cityId = cityId;
+    this.rng = rng;
+    this.weights = null;
+    this.profile = null;
+    this.lastFlows = [];
+  }
+
+  initialize(trafficProfile, demandWeights) {
+    this.weights = demandWeights;
+    this.profile = trafficProfile;
+    
+    logInfo(`🧭 ${this.cityId} OD demand model ready (${Object.keys(demandWeights.area_weights).length} area types)`);
+  }
+
+  getPeriod(hour) {
+    for (const [period, [startHour, endHour]] of Object.entries(this.weights.periods)) {
+      const inPeriod = startHour <= endHour ?
+        hour >= startHour && hour <= endHour :
+        hour >= startHour || hour <= endHour;
+      if (inPeriod) return period;
+    }
+    return 'inter_peak';
+  }
+
+  getTripRate(hour, dayOfWeek, specialMultiplier = 1.0) {
+    return this.weights.base_trips_per_street *
+      this.profile.getHourlyMultiplier(hour) *
+      this.profile.getDayMultiplier(dayOfWeek) *
+      specialMultiplier;
+  }
+
+  getAreaWeight(areaType, kind, period) {
+    const areaWeights = this.weights.area_weights[areaType] || this.weights.area_weights.mixed_local;
+    return areaWeights?.[kind]?.[period] ?? 1.0;
+  }
+
+  // Returns Map<code, { produced, attracted, through, volume, vc_ratio }> for one hour.
+  // eventZones get the profile's major_events multiplier on their attraction.
+  generateHourDemand(datazones, hour, dayOfWeek, { specialMultiplier = 1.0, eventZones = new Set() } = {}) {
+    const period = this.getPeriod(hour);
+    const tripRate = this.getTripRate(hour, dayOfWeek, specialMultiplier);
+    const majorEventMultiplier = this.profile.getSpecialMultiplier({ major_events: true });
+    const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
+    const noise = this.weights.demand_noise;
+    
+    const productions = new Map();
+    const attractionWeights = new Map();
+    let totalTrips = 0;
+    let totalAttraction = 0;
+    
+    for (const zone of datazones) {
+      const weekendFactor = isWeekend ? (WEEKEND_MULTIPLIERS[zone.area_type] || 0.8) : 1.0;
+      const randomFactor = 1 + (this.rng.random() - 0.5) * 2 * noise;
+      const streetCount = zone.street_count || 1;
+      
+      const produced = tripRate * streetCount * this.getAreaWeight(zone.area_type, 'production', period) * weekendFactor * randomFactor;
+      const eventFactor = eventZones.has(zone.datazone_code) ? majorEventMultiplier : 1.0;
+      const attraction = streetCount * this.getAreaWeight(zone.area_type, 'attraction', period) * weekendFactor * eventFactor;
+      
+      productions.set(zone.datazone_code, produced);
+      attractionWeights.set(zone.datazone_code, attraction);
+      totalTrips += produced;
+      totalAttraction += attraction;
+    }
+    
+    // Through traffic uses zones with major roads, in proportion to their capacity
+    const throughTrips = totalTrips * this.weights.through_traffic_share;
+    const totalCapacity = datazones.reduce((sum, zone) => sum + zone.traffic_capacity * zone.major_road_share, 0);
+    
+    const demand = new Map();
+    for (const zone of datazones) {
+      const code = zone.datazone_code;
+      const produced = productions.get(code);
+      // T_ij = P_i * A_j / sum(A), so zone j attracts sum(P) * A_j / sum(A)
+      const attracted = totalAttraction > 0 ? totalTrips * attractionWeights.get(code) / totalAttraction : 0;
+      const through = totalCapacity > 0 ? throughTrips * (zone.traffic_capacity * zone.major_road_share) / totalCapacity : 0;
+      
+      // A trip loads the road network at both ends, so split each trip between its origin and destination
+      const volume = (produced + attracted) / 2 + through;
+      
+      demand.set(code, {
+        produced: Math.round(produced),
+        attracted: Math.round(attracted),
+        through: Math.round(through),
+        volume: Math.round(volume),
+        vc_ratio: volume / zone.traffic_capacity
+      });
+    }
+    
+    this.lastFlows = this.getTopFlows(productions, attractionWeights, totalAttraction);
+    
+    return {
+      period,
+      trip_rate: tripRate,
+      total_trips: Math.round(totalTrips),
+      zones: demand
+    };
+  }
+
+  // Largest origin-destination pairs, for inspection only
+  getTopFlows(productions, attractionWeights, totalAttraction, limit = 10) {
+    const topOrigins = [...productions.entries()].sort((a, b) => b[1] - a[1]).slice(0, limit);
+    const topDestinations = [...attractionWeights.entries()].sort((a, b) => b[1] - a[1]).slice(0, limit);
+    const flows = [];
+    
+    for (const [origin, produced] of topOrigins) {
+      for (const [destination, attraction] of topDestinations) {
+        if (origin === destination) continue;
+        flows.push({ origin, destination, trips: Math.round(produced * attraction / totalAttraction) });
+      }
+    }
+    
+    return flows.sort((a, b) => b.trips - a.trips).slice(0, limit);
+  }
+}
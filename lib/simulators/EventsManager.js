@@ -1,17 +1,83 @@
-import { loadCityEvents } from '../utils/dataLoaders.js';
-import { calculateHoursUntilStart, calculateHoursRemaining, getDateKey } from '../utils/timeUtils.js';
+import { loadCityEventTemplates, loadCityEvents } from '../utils/dataLoaders.js';
+import { calculateHoursUntilStart, calculateHoursRemaining, getDateKey, getZonedParts, getLocalHour, zonedTimeToDate } from '../utils/timeUtils.js';
+import { getCityConfig } from '../utils/cityConfigs.js';
+import { MAX_EVENT_DURATION_HOURS, MAX_EVENT_IMPACT_FACTOR } from '../utils/constants.js';
+import { getRecurrenceType, isTemplateEligibleOn } from '../utils/eventTemplates.js';
+import { SeededRandom } from '../utils/random.js';
+import { logInfo } from '../utils/logger.js';
+
+// Checks a manual event (create or reschedule) and returns a list of problems.
+// partial: only validate the fields present (used when rescheduling)
+export function validateEventSpec(eventSpec, { knownDatazones = null, currentTime = null, partial = false } = {}) {
+  const errors = [];
+  const has = (field) => eventSpec[field] !== undefined && eventSpec[field] !== null;
+  
+  if (!partial || has('name')) {
+    if (typeof eventSpec.name !== 'string' || eventSpec.name.trim() === '') {
+      errors.push('name is required');
+    }
+  }
+  
+  if (has('type') && (typeof eventSpec.type !== 'string' || eventSpec.type.trim() === '')) {
+    errors.push('type must be a non-empty string');
+  }
+  
+  if (!partial || has('affected_datazones')) {
+    if (!Array.isArray(eventSpec.affected_datazones) || eventSpec.affected_datazones.length === 0) {
+      errors.push('affected_datazones must be a non-empty array of datazone codes');
+    } else if (knownDatazones) {
+      const unknown = eventSpec.affected_datazones.filter(code => !knownDatazones.has(code));
+      if (unknown.length > 0) {
+        errors.push(`Unknown datazone code(s) for this city: ${unknown.join(', ')}`);
+      }
+    }
+  }
+  
+  if (has('impact_factor')) {
+    const impact = Number(eventSpec.impact_factor);
+    if (!Number.isFinite(impact) || impact <= 0 || impact > MAX_EVENT_IMPACT_FACTOR) {
+      errors.push(`impact_factor must be a number greater than 0 and at most ${MAX_EVENT_IMPACT_FACTOR}`);
+    }
+  }
+  
+  if (has('duration_hours')) {
+    const duration = Number(eventSpec.duration_hours);
+    if (!Number.isInteger(duration) || duration < 1 || duration > MAX_EVENT_DURATION_HOURS) {
+      errors.push(`duration_hours must be a whole number between 1 and ${MAX_EVENT_DURATION_HOURS}`);
+    }
+  }
+  
+  if (has('start_time')) {
+    const startTime = new Date(eventSpec.start_time);
+    if (Number.isNaN(startTime.getTime())) {
+      errors.push(`Invalid start_time: ${eventSpec.start_time}`);
+    } else if (currentTime && startTime <= currentTime) {
+      errors.push(`start_time must be after the current simulation time (${currentTime.toISOString()})`);
+    }
+  }
+  
+  return errors;
+}
 
 export class EventsManager {
-  constructor(cityId = 'edinburgh') {
+  constructor(cityId = 'edinburgh', rng = new SeededRandom()) {
     this.cityId = cityId;
+    this.timeZone = getCityConfig(cityId).timezone;
+    this.rng = rng;
+    // Per-hour logging - switched off for headless batch runs
+    this.verbose = true;
     this.activeEvents = [];
     this.scheduledEvents = [];
     this.completedEvents = [];
     this.eventIdCounter = 1;
     this.cityEvents = null;
+    this.rejectedTemplateCount = 0;
     this.isInitialized = false;
+    // CityCalendar, set by CitySimulation once the school terms are loaded
+    this.calendar = null;
     
     this.eventGenerationChance = 0.1;
+    this.holidayEventChanceMultiplier = 2.0;
     this.minHoursInFuture = 48;
     this.maxHoursInFuture = 168;
     this.maxCompletedEventsToKeep = 50;
@@ -22,36 +88,48 @@ export class EventsManager {
     
     this.dailyEventCounts = new Map();
     this.lastEventTime = null;
+    
+    this.recurringLookaheadHours = 48;
+    // 'YYYY-MM-DD|template name' keys already considered for recurring templates
+    this.recurringOccurrences = new Set();
   }
 
   async initialize() {
     if (this.isInitialized) return;
     
     this.cityEvents = await loadCityEvents(this.cityId);
+    this.rejectedTemplateCount = (await loadCityEventTemplates(this.cityId)).rejected_count;
     this.isInitialized = true;
-    console.log(`🎪 ${this.cityId} events manager initialized with ${this.cityEvents.length} event types`);
+    logInfo(`🎪 ${this.cityId} events manager initialized with ${this.cityEvents.length} event types`);
   }
 
   async generateInitialEvents(currentTime) {
     await this.initialize();
     
-    const initialEventCount = 3 + Math.floor(Math.random() * 3);
+    this.scheduleRecurringEvents(currentTime);
+    
+    const initialEventCount = 3 + Math.floor(this.rng.random() * 3);
     
     for (let i = 0; i < initialEventCount; i++) {
       this.generateRandomEvent(currentTime);
     }
     
-    console.log(`📅 Generated ${this.scheduledEvents.length} initial ${this.cityId} events`);
+    logInfo(`📅 Generated ${this.scheduledEvents.length} initial ${this.cityId} events`);
   }
 
   processEventsForHour(currentTime, weatherData = null) {
+    this.scheduleRecurringEvents(currentTime);
     this.activateScheduledEvents(currentTime);
     this.moveExpiredEventsToCompleted(currentTime);
     this.cleanupOldCompletedEvents();
     this.cleanupDailyEventCounts(currentTime);
     
     if (this.canGenerateNewEvent(currentTime)) {
-      if (Math.random() < this.eventGenerationChance) {
+      // More events get organised on bank holidays
+      const generationChance = this.calendar?.isHoliday(currentTime) ?
+        this.eventGenerationChance * this.holidayEventChanceMultiplier :
+        this.eventGenerationChance;
+      if (this.rng.random() < generationChance) {
         this.generateRandomEvent(currentTime);
       }
     }
@@ -60,7 +138,7 @@ export class EventsManager {
   }
 
   canGenerateNewEvent(currentTime) {
-    const dateKey = getDateKey(currentTime);
+    const dateKey = getDateKey(currentTime, this.timeZone);
     const todayEventCount = this.dailyEventCounts.get(dateKey) || 0;
     
     if (todayEventCount >= this.maxEventsPerDay) {
@@ -81,53 +159,240 @@ export class EventsManager {
     return true;
   }
 
-  generateRandomEvent(currentTime) {
-    const randomEventTemplate = this.cityEvents[Math.floor(Math.random() * this.cityEvents.length)];
+  // Local dates ('YYYY-MM-DD') from the day containing fromTime to the day containing toTime
+  getDateKeysBetween(fromTime, toTime) {
+    const first = getZonedParts(fromTime, this.timeZone);
+    const lastKey = getDateKey(toTime, this.timeZone);
+    const dateKeys = [];
     
-    const hoursInFuture = this.minHoursInFuture + 
-      Math.floor(Math.random() * (this.maxHoursInFuture - this.minHoursInFuture));
+    for (let offset = 0; ; offset++) {
+      const dateKey = new Date(Date.UTC(first.year, first.month - 1, first.day + offset)).toISOString().slice(0, 10);
+      if (dateKey > lastKey) break;
+      dateKeys.push(dateKey);
+    }
     
-    const targetDate = new Date(currentTime.getTime() + (hoursInFuture * 60 * 60 * 1000));
-    const eventStartTime = new Date(targetDate);
-    eventStartTime.setHours(randomEventTemplate.start_hour, 0, 0, 0);
+    return dateKeys;
+  }
+
+  createTemplateEvent(template, dateKey, source) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const eventStartTime = zonedTimeToDate(year, month, day, template.start_hour, this.timeZone);
     
     const event = {
       id: this.eventIdCounter++,
-      type: randomEventTemplate.type,
-      name: randomEventTemplate.name,
-      description: randomEventTemplate.description,
+      type: template.type,
+      name: template.name,
+      description: template.description,
       
       // City-specific datazone codes instead of generic zones
-      affected_datazones: randomEventTemplate.affected_datazones || [],
-      location_description: randomEventTemplate.location_description || '',
+      affected_datazones: template.affected_datazones || [],
+      location_description: template.location_description || '',
       
-      impact_factor: randomEventTemplate.impact_factor,
-      start_hour: randomEventTemplate.start_hour,
-      end_hour: randomEventTemplate.end_hour,
-      duration_hours: randomEventTemplate.duration_hours,
+      impact_factor: template.impact_factor,
+      start_hour: template.start_hour,
+      end_hour: template.end_hour,
+      duration_hours: template.duration_hours,
+      source,
       
       scheduled_start_time: eventStartTime,
+      bank_holiday: this.getBankHoliday(eventStartTime),
       actual_start_time: null,
       actual_end_time: null,
       status: 'scheduled'
     };
-
+    
     this.scheduledEvents.push(event);
+    return event;
+  }
+
+  // Places one 'eligible' template on a random date 48-168 hours ahead that its
+  // recurrence rules allow (templates without rules can land on any date)
+  generateRandomEvent(currentTime) {
+    const dateKeys = this.getDateKeysBetween(
+      new Date(currentTime.getTime() + (this.minHoursInFuture * 60 * 60 * 1000)),
+      new Date(currentTime.getTime() + ((this.maxHoursInFuture - 1) * 60 * 60 * 1000))
+    );
     
-    const dateKey = getDateKey(currentTime);
+    const candidates = this.cityEvents
+      .filter(template => getRecurrenceType(template) === 'eligible')
+      .map(template => ({ template, dateKeys: dateKeys.filter(dateKey => isTemplateEligibleOn(template, dateKey)) }))
+      .filter(candidate => candidate.dateKeys.length > 0);
+    
+    if (candidates.length === 0) {
+      return;
+    }
+    
+    const { template, dateKeys: eligibleDates } = candidates[Math.floor(this.rng.random() * candidates.length)];
+    const event = this.createTemplateEvent(template, eligibleDates[Math.floor(this.rng.random() * eligibleDates.length)], 'template');
+    
+    const dateKey = getDateKey(currentTime, this.timeZone);
     this.dailyEventCounts.set(dateKey, (this.dailyEventCounts.get(dateKey) || 0) + 1);
     this.lastEventTime = new Date(currentTime);
 
-    const daysUntilEvent = Math.floor((eventStartTime - currentTime) / (24 * 60 * 60 * 1000));
-    console.log(`📅 Scheduled ${this.cityId} ${event.type} "${event.name}" for ${daysUntilEvent} days from now at ${event.start_hour}:00 (${event.affected_datazones.length} datazones affected)`);
+    const daysUntilEvent = Math.floor((event.scheduled_start_time - currentTime) / (24 * 60 * 60 * 1000));
+    if (this.verbose) logInfo(`📅 Scheduled ${this.cityId} ${event.type} "${event.name}" for ${daysUntilEvent} days from now at ${event.start_hour}:00 (${event.affected_datazones.length} datazones affected)`);
+  }
+
+  // 'recurring' templates (fixtures, multi-day festivals) get an occurrence on every
+  // eligible date in the lookahead. They bypass the random-event limits.
+  scheduleRecurringEvents(currentTime) {
+    const dateKeys = this.getDateKeysBetween(
+      currentTime,
+      new Date(currentTime.getTime() + (this.recurringLookaheadHours * 60 * 60 * 1000))
+    );
+    
+    for (const template of this.cityEvents) {
+      if (getRecurrenceType(template) !== 'recurring') continue;
+      
+      for (const dateKey of dateKeys) {
+        const occurrenceKey = `${dateKey}|${template.name}`;
+        if (this.recurringOccurrences.has(occurrenceKey) || !isTemplateEligibleOn(template, dateKey)) continue;
+        
+        this.recurringOccurrences.add(occurrenceKey);
+        const [year, month, day] = dateKey.split('-').map(Number);
+        if (zonedTimeToDate(year, month, day, template.start_hour, this.timeZone) < currentTime) continue;
+        
+        const event = this.createTemplateEvent(template, dateKey, 'recurring');
+        if (this.verbose) logInfo(`🔁 Scheduled recurring ${this.cityId} ${event.type} "${event.name}" on ${dateKey} at ${event.start_hour}:00`);
+      }
+    }
+  }
+
+  // Snap a requested start up to the next top of a local hour - rounding down could land
+  // on the hour already generated, which would only match again a day later. Defaults to
+  // the next simulated hour so the event is picked up on the next generation.
+  resolveStartTime(requestedStartTime, currentTime) {
+    const requestedStart = requestedStartTime ?
+      new Date(requestedStartTime) :
+      new Date(currentTime.getTime() + (60 * 60 * 1000));
+    if (Number.isNaN(requestedStart.getTime())) {
+      throw new Error(`Invalid event start_time: ${requestedStartTime}`);
+    }
+    const requestedParts = getZonedParts(requestedStart, this.timeZone);
+    let startTime = zonedTimeToDate(requestedParts.year, requestedParts.month, requestedParts.day, requestedParts.hour, this.timeZone);
+    if (startTime < requestedStart) {
+      startTime = new Date(startTime.getTime() + (60 * 60 * 1000));
+    }
+    if (startTime <= currentTime) {
+      throw new Error(`Event start_time ${requestedStart.toISOString()} is not after the current simulation time (${currentTime.toISOString()})`);
+    }
+    return {
+      startTime,
+      startHour: getLocalHour(startTime, this.timeZone)
+    };
+  }
+
+  injectEvent(eventSpec, currentTime) {
+    const { startTime, startHour } = this.resolveStartTime(eventSpec.start_time, currentTime);
+    const durationHours = parseInt(eventSpec.duration_hours) || 1;
+    
+    const event = {
+      id: this.eventIdCounter++,
+      type: eventSpec.type || 'custom',
+      name: eventSpec.name || 'Injected Event',
+      description: eventSpec.description || '',
+      
+      affected_datazones: eventSpec.affected_datazones || [],
+      location_description: eventSpec.location_description || '',
+      
+      impact_factor: eventSpec.impact_factor !== undefined ? Number(eventSpec.impact_factor) : 0.5,
+      start_hour: startHour,
+      end_hour: (startHour + durationHours) % 24,
+      duration_hours: durationHours,
+      source: 'manual',
+      
+      scheduled_start_time: startTime,
+      bank_holiday: this.getBankHoliday(startTime),
+      actual_start_time: null,
+      actual_end_time: null,
+      status: 'scheduled'
+    };
+    
+    this.scheduledEvents.push(event);
+    
+    logInfo(`💉 Injected ${this.cityId} ${event.type} "${event.name}" at ${startTime.toISOString()} (${event.affected_datazones.length} datazones affected)`);
+    return event;
+  }
+
+  findEvent(eventId) {
+    const id = Number(eventId);
+    return this.scheduledEvents.find(event => event.id === id) ||
+      this.activeEvents.find(event => event.id === id) ||
+      this.completedEvents.find(event => event.id === id) ||
+      null;
+  }
+
+  // Scheduled events are dropped before they start; active events end now, so the
+  // next generated hour no longer sees their impact
+  cancelEvent(eventId, currentTime) {
+    const event = this.findEvent(eventId);
+    if (!event) {
+      return null;
+    }
+    if (event.status === 'completed' || event.status === 'cancelled') {
+      throw new Error(`Event ${event.id} is already ${event.status}`);
+    }
+    
+    if (event.status === 'active') {
+      event.actual_end_time = new Date(currentTime);
+      this.activeEvents = this.activeEvents.filter(e => e.id !== event.id);
+    } else {
+      this.scheduledEvents = this.scheduledEvents.filter(e => e.id !== event.id);
+    }
+    
+    event.status = 'cancelled';
+    this.completedEvents.push(event);
+    
+    logInfo(`🚫 Cancelled ${this.cityId} ${event.type} "${event.name}"`);
+    return event;
+  }
+
+  // Scheduled events can move start_time and change duration_hours; active events
+  // can only change duration_hours (their end is recalculated from the actual start)
+  rescheduleEvent(eventId, changes, currentTime) {
+    const event = this.findEvent(eventId);
+    if (!event) {
+      return null;
+    }
+    if (event.status === 'completed' || event.status === 'cancelled') {
+      throw new Error(`Event ${event.id} is already ${event.status}`);
+    }
+    if (event.status === 'active' && changes.start_time !== undefined) {
+      throw new Error(`Event ${event.id} has already started; only duration_hours can be changed`);
+    }
+    
+    if (changes.start_time !== undefined) {
+      const { startTime, startHour } = this.resolveStartTime(changes.start_time, currentTime);
+      event.scheduled_start_time = startTime;
+      event.start_hour = startHour;
+      event.bank_holiday = this.getBankHoliday(startTime);
+    }
+    
+    if (changes.duration_hours !== undefined) {
+      event.duration_hours = parseInt(changes.duration_hours);
+      if (event.status === 'active') {
+        event.actual_end_time = new Date(event.actual_start_time.getTime() + (event.duration_hours * 60 * 60 * 1000));
+      }
+    }
+    
+    event.end_hour = (event.start_hour + event.duration_hours) % 24;
+    
+    logInfo(`🔁 Rescheduled ${this.cityId} ${event.type} "${event.name}" to ${event.scheduled_start_time.toISOString()} for ${event.duration_hours}h`);
+    return event;
+  }
+
+  getBankHoliday(date) {
+    return this.calendar ? this.calendar.getHoliday(date) : null;
   }
 
   activateScheduledEvents(currentTime) {
-    const currentHour = currentTime.getHours();
+    const currentHour = getLocalHour(currentTime, this.timeZone);
     
+    // Compare against the scheduled instant's local hour - on the 23-hour DST day a
+    // template start hour can roll forward
     const toActivate = this.scheduledEvents.filter(event => {
       const dayReached = currentTime >= event.scheduled_start_time;
-      const hourMatches = currentHour === event.start_hour;
+      const hourMatches = currentHour === getLocalHour(event.scheduled_start_time, this.timeZone);
       return dayReached && hourMatches;
     });
 
@@ -139,7 +404,7 @@ export class EventsManager {
       this.activeEvents.push(event);
       this.scheduledEvents = this.scheduledEvents.filter(e => e.id !== event.id);
 
-      console.log(`🎪 ${this.cityId} event started: ${event.type} "${event.name}" (${event.duration_hours}h, ${event.affected_datazones.length} datazones affected)`);
+      if (this.verbose) logInfo(`🎪 ${this.cityId} event started: ${event.type} "${event.name}" (${event.duration_hours}h, ${event.affected_datazones.length} datazones affected)`);
     }
   }
 
@@ -151,7 +416,7 @@ export class EventsManager {
     for (const event of expiredEvents) {
       event.status = 'completed';
       this.completedEvents.push(event);
-      console.log(`✅ ${this.cityId} event completed: ${event.type} "${event.name}"`);
+      if (this.verbose) logInfo(`✅ ${this.cityId} event completed: ${event.type} "${event.name}"`);
     }
 
     this.activeEvents = this.activeEvents.filter(event => !expiredEvents.includes(event));
@@ -161,19 +426,25 @@ export class EventsManager {
     if (this.completedEvents.length > this.maxCompletedEventsToKeep) {
       const eventsToRemove = this.completedEvents.length - this.maxCompletedEventsToKeep;
       this.completedEvents.splice(0, eventsToRemove);
-      console.log(`🧹 Cleaned up ${eventsToRemove} old ${this.cityId} events`);
+      if (this.verbose) logInfo(`🧹 Cleaned up ${eventsToRemove} old ${this.cityId} events`);
     }
   }
 
   cleanupDailyEventCounts(currentTime) {
     const cutoffDate = new Date(currentTime.getTime() - (7 * 24 * 60 * 60 * 1000));
-    const cutoffKey = getDateKey(cutoffDate);
+    const cutoffKey = getDateKey(cutoffDate, this.timeZone);
     
     for (const [dateKey] of this.dailyEventCounts.entries()) {
       if (dateKey < cutoffKey) {
         this.dailyEventCounts.delete(dateKey);
       }
     }
+    
+    for (const occurrenceKey of this.recurringOccurrences) {
+      if (occurrenceKey.slice(0, 10) < cutoffKey) {
+        this.recurringOccurrences.delete(occurrenceKey);
+      }
+    }
   }
 
   getAllEventsWithStatus(currentTime) {
@@ -189,6 +460,7 @@ export class EventsManager {
         start_hour: event.start_hour,
         end_hour: event.end_hour,
         duration_hours: event.duration_hours,
+        source: event.source || 'template',
         scheduled_start_time: event.scheduled_start_time.toISOString(),
         actual_start_time: null,
         actual_end_time: null,
@@ -207,12 +479,13 @@ export class EventsManager {
         start_hour: event.start_hour,
         end_hour: event.end_hour,
         duration_hours: event.duration_hours,
+        source: event.source || 'template',
         scheduled_start_time: event.scheduled_start_time.toISOString(),
         actual_start_time: event.actual_start_time ? event.actual_start_time.toISOString() : null,
         actual_end_time: event.actual_end_time ? event.actual_end_time.toISOString() : null,
         status: 'active',
         hours_until_start: 0,
-        hours_remaining: calculateHoursRemaining(event, currentTime)
+        hours_remaining: calculateHoursRemaining(event, currentTime, this.timeZone)
       })),
       ...this.completedEvents.map(event => ({
         id: event.id,
@@ -225,10 +498,11 @@ export class EventsManager {
         start_hour: event.start_hour,
         end_hour: event.end_hour,
         duration_hours: event.duration_hours,
+        source: event.source || 'template',
         scheduled_start_time: event.scheduled_start_time.toISOString(),
         actual_start_time: event.actual_start_time ? event.actual_start_time.toISOString() : null,
         actual_end_time: event.actual_end_time ? event.actual_end_time.toISOString() : null,
-        status: 'completed',
+        status: event.status,
         hours_until_start: null,
         hours_remaining: 0
       }))
@@ -242,27 +516,62 @@ export class EventsManager {
     };
   }
 
+  getEventWithStatus(eventId, currentTime) {
+    return this.getAllEventsWithStatus(currentTime).events.find(event => event.id === Number(eventId)) || null;
+  }
+
   getActiveEvents(currentTime) {
     return this.activeEvents;
   }
 
   generateMoreEvents(currentTime) {
     if (this.scheduledEvents.length < 3) {
-      const newEventCount = 1 + Math.floor(Math.random() * 2);
+      const newEventCount = 1 + Math.floor(this.rng.random() * 2);
       for (let i = 0; i < newEventCount; i++) {
         this.generateRandomEvent(currentTime);
       }
-      console.log(`🎪 Force generated ${newEventCount} additional ${this.cityId} events`);
+      if (this.verbose) logInfo(`🎪 Force generated ${newEventCount} additional ${this.cityId} events`);
     }
   }
 
+  serializeState() {
+    return {
+      active_events: this.activeEvents,
+      scheduled_events: this.scheduledEvents,
+      completed_events: this.completedEvents,
+      event_id_counter: this.eventIdCounter,
+      daily_event_counts: Object.fromEntries(this.dailyEventCounts),
+      last_event_time: this.lastEventTime ? this.lastEventTime.toISOString() : null,
+      recurring_occurrences: Array.from(this.recurringOccurrences)
+    };
+  }
+
+  restoreState(state) {
+    const reviveEvent = (event) => ({
+      ...event,
+      scheduled_start_time: new Date(event.scheduled_start_time),
+      actual_start_time: event.actual_start_time ? new Date(event.actual_start_time) : null,
+      actual_end_time: event.actual_end_time ? new Date(event.actual_end_time) : null
+    });
+    
+    this.activeEvents = state.active_events.map(reviveEvent);
+    this.scheduledEvents = state.scheduled_events.map(reviveEvent);
+    this.completedEvents = state.completed_events.map(reviveEvent);
+    this.eventIdCounter = state.event_id_counter;
+    this.dailyEventCounts = new Map(Object.entries(state.daily_event_counts));
+    this.lastEventTime = state.last_event_time ? new Date(state.last_event_time) : null;
+    this.recurringOccurrences = new Set(state.recurring_occurrences || []);
+  }
+
   getEventStatistics() {
     return {
       scheduled: this.scheduledEvents.length,
       active: this.activeEvents.length,
       completed: this.completedEvents.length,
       total: this.scheduledEvents.length + this.activeEvents.length + this.completedEvents.length,
-      next_event_id: this.eventIdCounter
+      next_event_id: this.eventIdCounter,
+      valid_templates: this.cityEvents ? this.cityEvents.length : 0,
+      rejected_templates: this.rejectedTemplateCount
     };
   }
 }
\ No newline at end of file
@@ -0,0 +1,268 @@
+import { INCIDENT_TYPES, INCIDENT_SEVERITY, INCIDENT_ROAD_RISK, INCIDENT_WEATHER_FACTORS } from '../utils/constants.js';
+import { SeededRandom } from '../utils/random.js';
+import { getCityConfig } from '../utils/cityConfigs.js';
+import { getLocalHour, getLocalDayOfWeek } from '../utils/timeUtils.js';
+import { logInfo } from '../utils/logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Unannounced disruptions (collisions, breakdowns, roadworks) spawned hour by hour.
+// Incidents are active until their final hour, clearing (half the capacity loss) for
+// that hour, then cleared.
+export class IncidentGenerator {
+  constructor(cityId = 'edinburgh', rng = new SeededRandom()) {
+    this.cityId = cityId;
+    this.timeZone = getCityConfig(cityId).timezone;
+    this.rng = rng;
+    // Per-hour logging - switched off for headless batch runs
+    this.verbose = true;
+    this.zones = [];
+    this.activeIncidents = [];
+    this.resolvedIncidents = [];
+    this.maxResolvedIncidents = 50;
+    this.incidentIdCounter = 1;
+    this.isInitialized = false;
+    // CityCalendar, set by CitySimulation - roadworks don't start on bank holidays
+    this.calendar = null;
+  }
+
+  // datazones: TrafficSimulator zones; streetModel gives each street its road class
+  initialize(datazones, streetModel) {
+    this.zones = datazones.map(zone => {
+      const streetsByClass = new Map();
+      for (const street of streetModel.getZoneStreets(zone.datazone_code)) {
+        if (!streetsByClass.has(street.road_class)) streetsByClass.set(street.road_class, []);
+        streetsByClass.get(street.road_class).push(street.street_id);
+      }
+
+      const roadRisks = Array.from(streetsByClass.entries())
+        .map(([roadType, streetIds]) => ({ road_type: roadType, street_ids: streetIds, weight: streetIds.length * (INCIDENT_ROAD_RISK[roadType] ?? 0.5) }))
+        .filter(entry => entry.weight > 0);
+
+      return {
+        datazone_code: zone.datazone_code,
+        road_risks: roadRisks,
+        risk_weight: roadRisks.reduce((sum, entry) => sum + entry.weight, 0)
+      };
+    }).filter(zone => zone.risk_weight > 0);
+
+    this.isInitialized = true;
+    logInfo(`🚧 ${this.cityId} incident generator ready across ${this.zones.length} datazones`);
+  }
+
+  processIncidentsForHour(currentTime, weather, previousTrafficData = null) {
+    this.advanceIncidents(currentTime);
+
+    const previousCongestion = new Map(
+      (previousTrafficData?.datazones || []).map(zone => [zone.datazone_code, zone.datazone_congestion])
+    );
+
+    for (const [type, config] of Object.entries(INCIDENT_TYPES)) {
+      if (!this.canStartIncident(config, currentTime)) continue;
+
+      const weatherFactor = this.getWeatherFactor(type, weather);
+      const zoneRates = this.zones.map(zone => {
+        const congestionFactor = config.congestion_sensitive ?
+          1 + 0.15 * (previousCongestion.get(zone.datazone_code) || 0) :
+          1.0;
+        return zone.risk_weight * config.base_rate * weatherFactor * congestionFactor;
+      });
+
+      const count = this.samplePoisson(zoneRates.reduce((sum, rate) => sum + rate, 0));
+      for (let i = 0; i < count; i++) {
+        const zone = this.zones[this.pickWeightedIndex(zoneRates)];
+        this.createIncident(type, config, zone, currentTime, weather);
+      }
+    }
+
+    return this.getIncidentsWithStatus(currentTime);
+  }
+
+  canStartIncident(config, currentTime) {
+    if (!config.start_hours) return true;
+
+    const day = getLocalDayOfWeek(currentTime, this.timeZone);
+    const hour = getLocalHour(currentTime, this.timeZone);
+    const [firstHour, lastHour] = config.start_hours;
+
+    return day !== 0 && day !== 6 &&
+      hour >= firstHour && hour <= lastHour &&
+      !this.calendar?.isHoliday(currentTime);
+  }
+
+  getWeatherFactor(type, weather) {
+    let factor = INCIDENT_WEATHER_FACTORS[type]?.[weather?.condition] ?? 1.0;
+    if (type === 'collision' && weather?.windSpeed > 30) factor *= 1.3;
+    return factor;
+  }
+
+  createIncident(type, config, zone, currentTime, weather) {
+    const severity = this.pickWeightedKey(config.severity_weights);
+    const severityConfig = INCIDENT_SEVERITY[severity];
+    const { road_type: roadType, street_ids: streetIds } = zone.road_risks[this.pickWeightedIndex(zone.road_risks.map(entry => entry.weight))];
+    const streetId = streetIds[Math.floor(this.rng.random() * streetIds.length)];
+
+    const [minHours, maxHours] = config.duration_hours;
+    const baseDuration = minHours + this.rng.random() * (maxHours - minHours);
+    const durationHours = Math.max(1, Math.round(baseDuration * severityConfig.duration_multiplier));
+    const capacityReduction = Math.min(0.9, config.capacity_reduction * severityConfig.reduction_multiplier);
+
+    const incident = {
+      id: this.incidentIdCounter++,
+      type: type,
+      severity: severity,
+      status: 'active',
+      description: `${severity.charAt(0).toUpperCase()}${severity.slice(1)} ${type} on ${/^[aeiou]/.test(roadType) ? 'an' : 'a'} ${roadType} road in ${zone.datazone_code}`,
+      datazone_code: zone.datazone_code,
+      street_id: streetId,
+      road_type: roadType,
+      capacity_reduction: Math.round(capacityReduction * 100) / 100,
+      duration_hours: durationHours,
+      weather_condition: weather?.condition || null,
+      started_at: new Date(currentTime),
+      expected_clear_time: new Date(currentTime.getTime() + durationHours * HOUR_MS),
+      cleared_at: null
+    };
+
+    if (durationHours === 1) {
+      incident.status = 'clearing';
+    }
+
+    this.activeIncidents.push(incident);
+    if (this.verbose) logInfo(`🚨 ${this.cityId} incident: ${incident.description} (${durationHours}h, -${Math.round(capacityReduction * 100)}% capacity)`);
+
+    return incident;
+  }
+
+  // Move incidents along their lifecycle before new ones are drawn
+  advanceIncidents(currentTime) {
+    const stillActive = [];
+
+    for (const incident of this.activeIncidents) {
+      if (currentTime >= incident.expected_clear_time) {
+        incident.status = 'cleared';
+        incident.cleared_at = new Date(incident.expected_clear_time);
+        this.resolvedIncidents.push(incident);
+        if (this.verbose) logInfo(`✅ ${this.cityId} incident ${incident.id} cleared: ${incident.description}`);
+      } else {
+        if (incident.expected_clear_time.getTime() - currentTime.getTime() <= HOUR_MS) {
+          incident.status = 'clearing';
+        }
+        stillActive.push(incident);
+      }
+    }
+
+    this.activeIncidents = stillActive;
+    if (this.resolvedIncidents.length > this.maxResolvedIncidents) {
+      this.resolvedIncidents.splice(0, this.resolvedIncidents.length - this.maxResolvedIncidents);
+    }
+  }
+
+  // Knuth's method - hourly rates are small so the loop is short
+  samplePoisson(lambda) {
+    if (lambda <= 0) return 0;
+
+    const limit = Math.exp(-lambda);
+    let count = 0;
+    let product = this.rng.random();
+    while (product > limit) {
+      count++;
+      product *= this.rng.random();
+    }
+    return count;
+  }
+
+  pickWeightedIndex(weights) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let target = this.rng.random() * total;
+    for (let i = 0; i < weights.length; i++) {
+      target -= weights[i];
+      if (target < 0) return i;
+    }
+    return weights.length - 1;
+  }
+
+  pickWeightedKey(weights) {
+    const keys = Object.keys(weights);
+    return keys[this.pickWeightedIndex(keys.map(key => weights[key]))];
+  }
+
+  // Share of the street's capacity lost right now
+  getCurrentReduction(incident) {
+    if (incident.status === 'cleared') return 0;
+    return incident.status === 'clearing' ? incident.capacity_reduction / 2 : incident.capacity_reduction;
+  }
+
+  formatIncident(incident, currentTime) {
+    return {
+      id: incident.id,
+      type: incident.type,
+      severity: incident.severity,
+      status: incident.status,
+      description: incident.description,
+      datazone_code: incident.datazone_code,
+      street_id: incident.street_id,
+      road_type: incident.road_type,
+      capacity_reduction: incident.capacity_reduction,
+      current_capacity_reduction: Math.round(this.getCurrentReduction(incident) * 100) / 100,
+      duration_hours: incident.duration_hours,
+      weather_condition: incident.weather_condition,
+      started_at: incident.started_at.toISOString(),
+      expected_clear_time: incident.expected_clear_time.toISOString(),
+      cleared_at: incident.cleared_at ? incident.cleared_at.toISOString() : null,
+      hours_remaining: incident.status === 'cleared' ? 0 :
+        Math.max(0, Math.ceil((incident.expected_clear_time.getTime() - currentTime.getTime()) / HOUR_MS))
+    };
+  }
+
+  getActiveIncidents(currentTime) {
+    return this.activeIncidents.map(incident => this.formatIncident(incident, currentTime));
+  }
+
+  getIncidentsWithStatus(currentTime) {
+    const active = this.getActiveIncidents(currentTime);
+    const byType = Object.fromEntries(Object.keys(INCIDENT_TYPES).map(type => [type, 0]));
+    for (const incident of active) {
+      byType[incident.type]++;
+    }
+
+    return {
+      active_count: active.length,
+      resolved_count: this.resolvedIncidents.length,
+      active_by_type: byType,
+      incidents: [
+        ...active,
+        ...this.resolvedIncidents.map(incident => this.formatIncident(incident, currentTime))
+      ]
+    };
+  }
+
+  serializeState() {
+    return {
+      active_incidents: this.activeIncidents,
+      resolved_incidents: this.resolvedIncidents,
+      incident_id_counter: this.incidentIdCounter
+    };
+  }
+
+  restoreState(state) {
+    const reviveIncident = (incident) => ({
+      ...incident,
+      started_at: new Date(incident.started_at),
+      expected_clear_time: new Date(incident.expected_clear_time),
+      cleared_at: incident.cleared_at ? new Date(incident.cleared_at) : null
+    });
+
+    this.activeIncidents = (state?.active_incidents || []).map(reviveIncident);
+    this.resolvedIncidents = (state?.resolved_incidents || []).map(reviveIncident);
+    this.incidentIdCounter = state?.incident_id_counter || 1;
+  }
+
+  getIncidentStatistics() {
+    return {
+      active: this.activeIncidents.length,
+      resolved: this.resolvedIncidents.length,
+      next_incident_id: this.incidentIdCounter
+    };
+  }
+}
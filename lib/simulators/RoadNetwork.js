@@ -0,0 +1,185 @@
+import { NETWORK_SPILLOVER } from '../utils/constants.js';
+import { logInfo } from '../utils/logger.js';
+
+export class RoadNetwork {
+  constructor(cityId = 'edinburgh') {
+    this.cityId = cityId;
+    this.adjacency = new Map();
+    this.adjacencySource = 'none';
+    this.spillover = NETWORK_SPILLOVER;
+  }
+
+  // Adjacency comes from a supplied adjacency file, then from datazone boundary polygons
+  // (Map<code, geometry> from the city's geometry_file), then from street IDs shared
+  // between zones. Without any of them the zones are left unlinked and spillover is
+  // off - datazone codes say nothing about which zones actually touch.
+  build(datazones, suppliedAdjacency = null, boundaries = null) {
+    const zoneCodes = datazones.map(zone => zone.datazone_code);
+    const knownCodes = new Set(zoneCodes);
+    
+    for (const code of zoneCodes) {
+      this.adjacency.set(code, new Set());
+    }
+    
+    if (suppliedAdjacency) {
+      this.addSuppliedEdges(suppliedAdjacency, knownCodes);
+      this.adjacencySource = 'adjacency_file';
+    } else if (boundaries && boundaries.size > 0) {
+      this.addBoundaryEdges(boundaries, knownCodes);
+      this.adjacencySource = 'geometry_file';
+    } else if (this.addSharedStreetEdges(datazones) > 0) {
+      this.adjacencySource = 'shared_streets';
+    } else {
+      this.adjacencySource = 'none';
+      console.warn(`⚠️ No adjacency file, boundary polygons or shared street IDs for ${this.cityId} - congestion spillover is disabled`);
+    }
+    
+    logInfo(`🕸️ ${this.cityId} road network built from ${this.adjacencySource}: ${zoneCodes.length} datazones, ${this.getEdgeCount()} links`);
+  }
+
+  addEdge(codeA, codeB) {
+    if (codeA === codeB) return;
+    this.adjacency.get(codeA).add(codeB);
+    this.adjacency.get(codeB).add(codeA);
+  }
+
+  addSuppliedEdges(suppliedAdjacency, knownCodes) {
+    let skipped = 0;
+    
+    for (const [code, neighbours] of Object.entries(suppliedAdjacency)) {
+      for (const neighbour of neighbours) {
+        if (knownCodes.has(code) && knownCodes.has(neighbour)) {
+          this.addEdge(code, neighbour);
+        } else {
+          skipped++;
+        }
+      }
+    }
+    
+    if (skipped > 0) {
+      console.warn(`⚠️ Ignored ${skipped} ${this.cityId} adjacency links to unknown datazones`);
+    }
+  }
+
+  // Zones are neighbours when their boundaries share a vertex, as official boundary
+  // sets do along every common edge
+  addBoundaryEdges(boundaries, knownCodes) {
+    const zonesByVertex = new Map();
+    
+    for (const [code, geometry] of boundaries.entries()) {
+      if (!knownCodes.has(code)) continue;
+      for (const [lon, lat] of polygonVertices(geometry)) {
+        const key = `${lon.toFixed(6)},${lat.toFixed(6)}`;
+        if (!zonesByVertex.has(key)) zonesByVertex.set(key, new Set());
+        zonesByVertex.get(key).add(code);
+      }
+    }
+    
+    for (const zoneCodes of zonesByVertex.values()) {
+      const codes = [...zoneCodes];
+      for (let i = 0; i < codes.length; i++) {
+        for (let j = i + 1; j < codes.length; j++) {
+          this.addEdge(codes[i], codes[j]);
+        }
+      }
+    }
+  }
+
+  addSharedStreetEdges(datazones) {
+    const zonesByStreet = new Map();
+    
+    for (const zone of datazones) {
+      for (const streetId of zone.street_ids || []) {
+        if (!zonesByStreet.has(streetId)) zonesByStreet.set(streetId, []);
+        zonesByStreet.get(streetId).push(zone.datazone_code);
+      }
+    }
+    
+    let edgesAdded = 0;
+    for (const zoneCodes of zonesByStreet.values()) {
+      for (let i = 0; i < zoneCodes.length; i++) {
+        for (let j = i + 1; j < zoneCodes.length; j++) {
+          this.addEdge(zoneCodes[i], zoneCodes[j]);
+          edgesAdded++;
+        }
+      }
+    }
+    
+    return edgesAdded;
+  }
+
+  get spilloverEnabled() {
+    return this.getEdgeCount() > 0;
+  }
+
+  getNeighbours(datazoneCode) {
+    return [...(this.adjacency.get(datazoneCode) || [])];
+  }
+
+  getEdgeCount() {
+    let degreeTotal = 0;
+    for (const neighbours of this.adjacency.values()) {
+      degreeTotal += neighbours.size;
+    }
+    return degreeTotal / 2;
+  }
+
+  // Takes Map<code, congestion> and returns Map<code, { congestion, spillover }>.
+  // Spill is computed from the incoming values so the result doesn't depend on zone order.
+  applySpillover(congestionByZone) {
+    const { saturationThreshold, spillRate, maxCongestion } = this.spillover;
+    const received = new Map();
+    const shed = new Map();
+    
+    for (const [code, congestion] of congestionByZone.entries()) {
+      const excess = congestion - saturationThreshold;
+      const neighbours = this.adjacency.get(code);
+      if (excess <= 0 || !neighbours || neighbours.size === 0) continue;
+      
+      const spill = excess * spillRate;
+      shed.set(code, spill);
+      
+      for (const neighbour of neighbours) {
+        received.set(neighbour, (received.get(neighbour) || 0) + spill / neighbours.size);
+      }
+    }
+    
+    const result = new Map();
+    for (const [code, congestion] of congestionByZone.entries()) {
+      const spillover = (received.get(code) || 0) - (shed.get(code) || 0);
+      result.set(code, {
+        congestion: Math.max(0.1, Math.min(maxCongestion, congestion + spillover)),
+        spillover: Math.round(spillover * 100) / 100
+      });
+    }
+    
+    return result;
+  }
+
+  getSpilloverDisabledReason() {
+    if (this.spilloverEnabled) return null;
+    if (this.adjacencySource === 'adjacency_file') {
+      return `the ${this.cityId} adjacency file links none of the city's datazones`;
+    }
+    if (this.adjacencySource === 'geometry_file') {
+      return `none of the ${this.cityId} datazone boundaries in geometry_file touch`;
+    }
+    return `no adjacency_file or geometry_file configured for ${this.cityId} and no street IDs shared between datazones`;
+  }
+
+  getSummary() {
+    return {
+      adjacency_source: this.adjacencySource,
+      datazones: this.adjacency.size,
+      links: this.getEdgeCount(),
+      spillover_enabled: this.spilloverEnabled,
+      spillover_disabled_reason: this.getSpilloverDisabledReason()
+    };
+  }
+}
+
+// Every ring vertex of a Polygon or MultiPolygon
+function polygonVertices(geometry) {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  return polygons.flat(2);
+}
@@ -0,0 +1,103 @@
+import { ROAD_TYPE_CAPACITY, STREET_FREE_FLOW_SPEEDS, STREET_CONGESTION_SENSITIVITY, STREET_MOMENTUM } from '../utils/constants.js';
+import { hashToUnit } from '../utils/random.js';
+import { logInfo } from '../utils/logger.js';
+
+// Persistent identity for every street: road class, capacity, free-flow speed and a
+// fixed congestion factor, so a street keeps its character from hour to hour
+export class StreetModel {
+  constructor(cityId = 'edinburgh') {
+    this.cityId = cityId;
+    this.streets = new Map();
+    this.streetsByZone = new Map();
+  }
+
+  // The datazone files only give per-zone class counts, so each zone's classes are dealt
+  // out over its street IDs in a fixed hash order - the same street always gets the same class
+  build(datazones) {
+    this.streets.clear();
+    this.streetsByZone.clear();
+
+    for (const zone of datazones) {
+      const orderedIds = (zone.street_ids || [])
+        .map(streetId => ({ streetId, order: hashToUnit(`${streetId}:class`) }))
+        .sort((a, b) => a.order - b.order)
+        .map(entry => entry.streetId);
+      const classes = Object.entries(zone.street_type_counts || {})
+        .sort(([typeA], [typeB]) => (ROAD_TYPE_CAPACITY[typeB] || 0) - (ROAD_TYPE_CAPACITY[typeA] || 0) || typeA.localeCompare(typeB))
+        .flatMap(([roadType, count]) => Array(count).fill(roadType));
+
+      const zoneStreets = orderedIds.map((streetId, index) => {
+        const roadClass = classes[index] || zone.dominant_street_type || 'unclassified';
+        const carriesVehicles = STREET_FREE_FLOW_SPEEDS[roadClass] !== undefined;
+
+        return {
+          street_id: streetId,
+          datazone_code: zone.datazone_code,
+          road_class: roadClass,
+          capacity: ROAD_TYPE_CAPACITY[roadClass] || 0,
+          free_flow_speed: carriesVehicles ? STREET_FREE_FLOW_SPEEDS[roadClass] : null,
+          // Class sensitivity with a fixed +/-15% per-street variation
+          congestion_factor: carriesVehicles ?
+            Math.round(STREET_CONGESTION_SENSITIVITY[roadClass] * (0.85 + hashToUnit(streetId) * 0.3) * 1000) / 1000 :
+            0
+        };
+      });
+
+      // Keep the zone's original street order for output
+      const byId = new Map(zoneStreets.map(street => [street.street_id, street]));
+      const streetsInOrder = (zone.street_ids || []).map(streetId => byId.get(streetId));
+
+      for (const street of streetsInOrder) {
+        this.streets.set(street.street_id, street);
+      }
+      this.streetsByZone.set(zone.datazone_code, streetsInOrder);
+    }
+
+    logInfo(`🛣️ ${this.cityId} street model built: ${this.streets.size} streets`);
+  }
+
+  getStreet(streetId) {
+    return this.streets.get(Number(streetId)) || this.streets.get(String(streetId)) || null;
+  }
+
+  getZoneStreets(datazoneCode) {
+    return this.streetsByZone.get(datazoneCode) || [];
+  }
+
+  // Stable baseline - the zone's baseline scaled by the street's own factor
+  getBaselineCongestion(street, zoneBaseline) {
+    return Math.round(zoneBaseline * street.congestion_factor * 100) / 100;
+  }
+
+  // Target from the zone, smoothed with the street's previous hour. noise is a small
+  // per-hour multiplier around 1.0; incidentReduction is the share of capacity blocked.
+  calculateCongestion(street, zoneCongestion, { previousCongestion = null, noise = 1.0, incidentReduction = 0 } = {}) {
+    if (street.free_flow_speed === null) return 0;
+
+    const target = zoneCongestion * street.congestion_factor * noise / Math.max(0.1, 1 - incidentReduction);
+    const congestion = previousCongestion === null || previousCongestion === undefined ?
+      target :
+      target * (1 - STREET_MOMENTUM) + previousCongestion * STREET_MOMENTUM;
+
+    return Math.max(0.05, Math.min(10.0, congestion));
+  }
+
+  // Speed falls away from free flow as congestion builds (BPR-style curve)
+  calculateSpeed(street, congestion) {
+    if (street.free_flow_speed === null) return null;
+
+    const speed = street.free_flow_speed / (1 + 0.15 * congestion * congestion);
+    return Math.round(Math.max(Math.min(5, street.free_flow_speed), speed) * 10) / 10;
+  }
+
+  getSummary() {
+    const byClass = {};
+    for (const street of this.streets.values()) {
+      byClass[street.road_class] = (byClass[street.road_class] || 0) + 1;
+    }
+    return {
+      street_count: this.streets.size,
+      streets_by_class: byClass
+    };
+  }
+}
@@ -0,0 +1,132 @@
+export const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+export const SPECIAL_CONDITIONS = ['school_holidays', 'public_holidays', 'major_events'];
+
+const PROFILE_KEYS = ['name', 'description', 'peak_threshold', 'hourly_multipliers', 'day_multipliers', 'special_conditions'];
+const DEFAULT_PEAK_THRESHOLD = 1.75;
+
+function isMultiplier(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Returns a list of human-readable problems; empty means the profile is usable
+export function validateTrafficProfile(profile) {
+  const errors = [];
+  
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return ['profile must be a JSON object'];
+  }
+  
+  for (const key of Object.keys(profile)) {
+    if (!PROFILE_KEYS.includes(key)) {
+      errors.push(`unknown field '${key}' (allowed: ${PROFILE_KEYS.join(', ')})`);
+    }
+  }
+  
+  const hourly = profile.hourly_multipliers;
+  if (!hourly || typeof hourly !== 'object') {
+    errors.push('hourly_multipliers is required');
+  } else {
+    for (let hour = 0; hour < 24; hour++) {
+      if (!isMultiplier(hourly[String(hour)])) {
+        errors.push(`hourly_multipliers["${hour}"] must be a non-negative number`);
+      }
+    }
+    for (const key of Object.keys(hourly)) {
+      if (!/^(\d|1\d|2[0-3])$/.test(key)) {
+        errors.push(`hourly_multipliers has out-of-range hour '${key}'`);
+      }
+    }
+  }
+  
+  const days = profile.day_multipliers;
+  if (!days || typeof days !== 'object') {
+    errors.push('day_multipliers is required');
+  } else {
+    for (const dayName of DAY_NAMES) {
+      if (!isMultiplier(days[dayName])) {
+        errors.push(`day_multipliers.${dayName} must be a non-negative number`);
+      }
+    }
+    for (const key of Object.keys(days)) {
+      if (!DAY_NAMES.includes(key)) {
+        errors.push(`day_multipliers has unknown day '${key}'`);
+      }
+    }
+  }
+  
+  const special = profile.special_conditions;
+  if (!special || typeof special !== 'object') {
+    errors.push('special_conditions is required');
+  } else {
+    for (const condition of SPECIAL_CONDITIONS) {
+      if (!isMultiplier(special[condition])) {
+        errors.push(`special_conditions.${condition} must be a non-negative number`);
+      }
+    }
+    for (const key of Object.keys(special)) {
+      if (!SPECIAL_CONDITIONS.includes(key)) {
+        errors.push(`special_conditions has unknown condition '${key}'`);
+      }
+    }
+  }
+  
+  if (profile.peak_threshold !== undefined && !isMultiplier(profile.peak_threshold)) {
+    errors.push('peak_threshold must be a non-negative number');
+  }
+  
+  return errors;
+}
+
+// Hour-of-day, day-of-week and special-condition multipliers for one city
+export class TrafficProfile {
+  constructor(cityId, profileData, source = null) {
+    const errors = validateTrafficProfile(profileData);
+    if (errors.length > 0) {
+      throw new Error(`Invalid ${cityId} traffic profile${source ? ` (${source})` : ''}: ${errors.join('; ')}`);
+    }
+    
+    this.cityId = cityId;
+    this.source = source;
+    this.name = profileData.name || `${cityId} traffic profile`;
+    this.hourlyMultipliers = profileData.hourly_multipliers;
+    this.dayMultipliers = profileData.day_multipliers;
+    this.specialConditions = profileData.special_conditions;
+    this.peakThreshold = profileData.peak_threshold ?? DEFAULT_PEAK_THRESHOLD;
+  }
+
+  getHourlyMultiplier(hour) {
+    return this.hourlyMultipliers[String(hour)];
+  }
+
+  getDayMultiplier(dayOfWeek) {
+    return this.dayMultipliers[DAY_NAMES[dayOfWeek]];
+  }
+
+  // conditions: { school_holidays, public_holidays, major_events } booleans
+  getSpecialMultiplier(conditions = {}) {
+    let multiplier = 1.0;
+    for (const condition of SPECIAL_CONDITIONS) {
+      if (conditions[condition]) {
+        multiplier *= this.specialConditions[condition];
+      }
+    }
+    return multiplier;
+  }
+
+  isPeakHour(hour) {
+    return this.getHourlyMultiplier(hour) >= this.peakThreshold;
+  }
+
+  describe() {
+    return {
+      city_id: this.cityId,
+      name: this.name,
+      source: this.source,
+      peak_threshold: this.peakThreshold,
+      peak_hours: Object.keys(this.hourlyMultipliers).map(Number).filter(hour => this.isPeakHour(hour)).sort((a, b) => a - b),
+      hourly_multipliers: this.hourlyMultipliers,
+      day_multipliers: this.dayMultipliers,
+      special_conditions: this.specialConditions
+    };
+  }
+}
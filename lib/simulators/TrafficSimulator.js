@@ -1,21 +1,35 @@
 import { loadCityDatazones } from '../utils/dataLoaders.js';
-import { ROAD_TYPE_WEIGHTS, PEAK_HOUR_MULTIPLIERS, AREA_MULTIPLIERS, WEEKEND_MULTIPLIERS } from '../utils/constants.js';
+import { ROAD_TYPE_WEIGHTS, ROAD_TYPE_CAPACITY, SCHOOL_RUN_MULTIPLIERS } from '../utils/constants.js';
+import { SeededRandom } from '../utils/random.js';
+import { getCityConfig } from '../utils/cityConfigs.js';
+import { getLocalHour, getLocalDayOfWeek } from '../utils/timeUtils.js';
+import { RoadNetwork } from './RoadNetwork.js';
+import { StreetModel } from './StreetModel.js';
+import { DemandModel } from './DemandModel.js';
+import { logInfo } from '../utils/logger.js';
 
 export class TrafficSimulator {
-  constructor(cityId = 'edinburgh') {
+  constructor(cityId = 'edinburgh', rng = new SeededRandom()) {
     this.cityId = cityId;
+    this.timeZone = getCityConfig(cityId).timezone;
+    this.rng = rng;
+    // Per-hour logging - switched off for headless batch runs
+    this.verbose = true;
     this.datazones = [];
     this.previousHourData = null;
     this.isInitialized = false;
     this.roadTypeWeights = ROAD_TYPE_WEIGHTS;
-    this.peakHourMultipliers = PEAK_HOUR_MULTIPLIERS;
+    this.roadNetwork = new RoadNetwork(cityId);
+    this.streetModel = new StreetModel(cityId);
+    this.demandModel = new DemandModel(cityId, rng);
   }
 
-  async initializeWithDatazones(datazoneData) {
+  async initializeWithDatazones(datazoneData, { adjacency = null, boundaries = null, trafficProfile, demandWeights } = {}) {
     if (this.isInitialized) return;
     
-    console.log(`🚗 Initializing ${this.cityId} traffic system with ${datazoneData.length} datazones...`);
+    logInfo(`🚗 Initializing ${this.cityId} traffic system with ${datazoneData.length} datazones...`);
     
+    this.streetModel.build(datazoneData);
     this.datazones = datazoneData.map(zone => {
       const baselineCongestion = this.calculateBaselineCongestion(zone);
       
@@ -30,74 +44,100 @@ export class TrafficSimulator {
         current_congestion: baselineCongestion,
         congestion_trend: 0,
         
-        street_congestion: this.calculateStreetCongestion(zone.street_ids, baselineCongestion),
+        street_congestion: this.calculateStreetBaselines(zone.datazone_code, baselineCongestion),
         
         area_type: this.determineAreaType(zone),
         traffic_capacity: this.calculateTrafficCapacity(zone),
+        major_road_share: this.calculateMajorRoadShare(zone),
         bottleneck_risk: this.calculateBottleneckRisk(zone)
       };
     });
     
+    this.roadNetwork.build(this.datazones, adjacency, boundaries);
+    this.trafficProfile = trafficProfile;
+    this.demandModel.initialize(trafficProfile, demandWeights);
+    
     this.isInitialized = true;
-    console.log(`✅ ${this.cityId} traffic system initialized. Average baseline congestion: ${this.getAverageBaseline().toFixed(1)}%`);
+    logInfo(`✅ ${this.cityId} traffic system initialized. Average baseline congestion: ${this.getAverageBaseline().toFixed(1)}%`);
   }
 
-  async simulateNextHour(currentTime, weather, events, previousTrafficData) {
+  // calendarFlags: CityCalendar.getFlags() for the simulated date (bank holiday, school term)
+  // incidents: IncidentGenerator.getActiveIncidents() - each one takes capacity off a street
+  async simulateNextHour(currentTime, weather, events, previousTrafficData, calendarFlags = null, incidents = []) {
     if (!this.isInitialized) {
       throw new Error(`${this.cityId} traffic simulator not initialized`);
     }
 
-    const hour = currentTime.getHours();
-    const dayOfWeek = currentTime.getDay();
+    const hour = getLocalHour(currentTime, this.timeZone);
+    // Bank holidays come back as Sunday so they pick up the Sunday profile and weekend area mix
+    const dayOfWeek = calendarFlags?.effective_day_of_week ?? getLocalDayOfWeek(currentTime, this.timeZone);
     const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
     
-    const factors = this.calculateTrafficFactors(hour, dayOfWeek, weather, events);
+    const factors = this.calculateTrafficFactors(hour, dayOfWeek, weather, events, calendarFlags);
+    const zoneIncidentImpacts = this.calculateZoneIncidentImpacts(incidents);
     
-    let totalCongestion = 0;
-    let totalSpeed = 0;
-    let totalVehicles = 0;
-    let peakHourDetected = false;
+    const previousZones = new Map(
+      (previousTrafficData?.datazones || []).map(zone => [zone.datazone_code, zone])
+    );
     
-    const updatedDatazones = this.datazones.map(zone => {
-      let zoneCongestion = zone.baseline_congestion;
-      
-      if (!isWeekend) {
-        const peakMultiplier = this.getPeakMultiplierForArea(zone.area_type, zone.dominant_street_type);
-        zoneCongestion *= factors.timeMultiplier * peakMultiplier;
-      } else {
-        const weekendMultiplier = this.getWeekendMultiplierForArea(zone.area_type);
-        zoneCongestion *= weekendMultiplier;
-      }
+    // Trips produced/attracted this hour, loaded onto each zone as volume
+    const demand = this.demandModel.generateHourDemand(this.datazones, hour, dayOfWeek, {
+      specialMultiplier: factors.specialMultiplier,
+      eventZones: new Set(factors.zoneEventImpacts.keys())
+    });
+    const congestionPerVcRatio = this.demandModel.weights.congestion_per_vc_ratio;
+    
+    // Pass 1: each zone's own congestion from volume/capacity, weather, events and momentum
+    const localCongestion = new Map();
+    for (const zone of this.datazones) {
+      const capacityFactor = zoneIncidentImpacts.get(zone.datazone_code)?.capacityFactor ?? 1.0;
+      let zoneCongestion = (demand.zones.get(zone.datazone_code).vc_ratio / capacityFactor) * congestionPerVcRatio;
       
       zoneCongestion *= factors.weatherMultiplier;
       
       const zoneEventImpact = factors.zoneEventImpacts.get(zone.datazone_code) || 1.0;
       zoneCongestion *= zoneEventImpact;
       
-      if (previousTrafficData) {
-        const prevZone = previousTrafficData.datazones.find(z => z.datazone_code === zone.datazone_code);
-        if (prevZone) {
-          const momentum = 0.3;
-          zoneCongestion = (zoneCongestion * 0.7) + (prevZone.datazone_congestion * momentum);
-        }
+      const prevZone = previousZones.get(zone.datazone_code);
+      if (prevZone) {
+        const momentum = 0.3;
+        zoneCongestion = (zoneCongestion * 0.7) + (prevZone.datazone_congestion * momentum);
       }
       
-      zoneCongestion = Math.max(0.1, Math.min(10.0, zoneCongestion));
+      localCongestion.set(zone.datazone_code, Math.max(0.1, Math.min(10.0, zoneCongestion)));
+    }
+    
+    // Pass 2: saturated zones push traffic into their neighbours
+    const networkCongestion = this.roadNetwork.applySpillover(localCongestion);
+    
+    let totalCongestion = 0;
+    let totalSpeed = 0;
+    let totalVehicles = 0;
+    let totalLostCapacity = 0;
+    let incidentZones = 0;
+    const peakHourDetected = factors.timeMultiplier >= this.trafficProfile.peakThreshold;
+    
+    const updatedDatazones = this.datazones.map(zone => {
+      const { congestion: zoneCongestion, spillover } = networkCongestion.get(zone.datazone_code);
       
-      const congestionTrend = previousTrafficData ? 
-        Math.round((zoneCongestion - (previousTrafficData.datazones.find(z => z.datazone_code === zone.datazone_code)?.datazone_congestion || zoneCongestion)) * 100) / 100 :
+      const prevZone = previousZones.get(zone.datazone_code);
+      const congestionTrend = prevZone ?
+        Math.round((zoneCongestion - prevZone.datazone_congestion) * 100) / 100 :
         0;
       
-      const streetCongestion = this.calculateStreetCongestion(zone.street_ids, zoneCongestion);
+      const zoneDemand = demand.zones.get(zone.datazone_code);
+      const incidentImpact = zoneIncidentImpacts.get(zone.datazone_code);
+      const capacityFactor = incidentImpact?.capacityFactor ?? 1.0;
+      const streetCongestion = this.calculateStreetCongestion(zone.datazone_code, zoneCongestion, prevZone, incidentImpact);
       const speed = Math.max(5, 50 - (zoneCongestion * 8));
-      const vehicles = Math.round(zoneCongestion * zone.traffic_capacity * (0.8 + Math.random() * 0.4));
+      const vehicles = Math.round(zoneDemand.volume * (factors.zoneEventImpacts.get(zone.datazone_code) || 1.0));
       
       totalCongestion += zoneCongestion;
       totalSpeed += speed;
       totalVehicles += vehicles;
-      
-      if (factors.timeMultiplier > 1.5) {
-        peakHourDetected = true;
+      if (incidentImpact) {
+        totalLostCapacity += zone.traffic_capacity * (1 - capacityFactor);
+        incidentZones++;
       }
       
       return {
@@ -107,6 +147,13 @@ export class TrafficSimulator {
         street_congestion: streetCongestion,
         area_type: zone.area_type,
         congestion_trend: congestionTrend,
+        network_spillover: spillover,
+        trips_produced: zoneDemand.produced,
+        trips_attracted: zoneDemand.attracted,
+        vehicle_volume: vehicles,
+        volume_capacity_ratio: Math.round((zoneDemand.vc_ratio / capacityFactor) * 100) / 100,
+        incident_capacity_loss: Math.round((1 - capacityFactor) * 1000) / 1000,
+        active_incident_ids: incidentImpact ? incidentImpact.incidentIds : []
       };
     });
     
@@ -117,21 +164,40 @@ export class TrafficSimulator {
       congestion_level: Math.round(averageCongestion * 100) / 100,
       average_speed: Math.round(averageSpeed * 10) / 10,
       total_vehicles: totalVehicles,
+      total_trips: demand.total_trips,
+      demand_period: demand.period,
       peak_hour: peakHourDetected,
       weather_impact: Math.round(factors.weatherMultiplier * 100) / 100,
       events_impact: Math.round(factors.eventsMultiplier * 100) / 100,
+      // Vehicles per hour of road capacity taken out by incidents
+      incident_lost_capacity: Math.round(totalLostCapacity),
+      incident_zones: incidentZones,
       datazones: updatedDatazones,
       simulation_time: currentTime.toISOString(),
-      weekend_mode: isWeekend
+      weekend_mode: isWeekend,
+      time_multiplier: Math.round(factors.timeMultiplier * 100) / 100,
+      special_conditions: factors.specialConditions
     };
   }
 
-  calculateTrafficFactors(hour, dayOfWeek, weather, events) {
-    let timeMultiplier = 1.0;
-    if (hour >= 7 && hour <= 9) timeMultiplier = 1.6;
-    else if (hour >= 16 && hour <= 18) timeMultiplier = 1.8;
-    else if (hour >= 22 || hour <= 5) timeMultiplier = 0.3;
-    else if (hour >= 10 && hour <= 15) timeMultiplier = 0.8;
+  calculateTrafficFactors(hour, dayOfWeek, weather, events, calendarFlags = null) {
+    const schoolRunMultiplier = calendarFlags?.is_school_term ? (SCHOOL_RUN_MULTIPLIERS[hour] ?? 1.0) : 1.0;
+    const activeConditions = {
+      school_holidays: !!calendarFlags?.school_holidays,
+      public_holidays: !!calendarFlags?.is_holiday,
+      major_events: !!(events && events.length > 0),
+      school_run: schoolRunMultiplier > 1.0
+    };
+    
+    // public_holidays is already covered by the Sunday day pattern and major_events
+    // is applied per zone through demand attraction, so neither is applied city-wide
+    const specialMultiplier = this.trafficProfile.getSpecialMultiplier({
+      school_holidays: activeConditions.school_holidays
+    }) * schoolRunMultiplier;
+    
+    const timeMultiplier = this.trafficProfile.getHourlyMultiplier(hour) *
+      this.trafficProfile.getDayMultiplier(dayOfWeek) *
+      specialMultiplier;
     
     let weatherMultiplier = 1.0;
     if (weather.condition === 'rainy') weatherMultiplier = 1.4;
@@ -152,6 +218,8 @@ export class TrafficSimulator {
     
     return {
       timeMultiplier,
+      specialMultiplier,
+      specialConditions: activeConditions,
       weatherMultiplier,
       eventsMultiplier,
       zoneEventImpacts
@@ -183,7 +251,41 @@ export class TrafficSimulator {
         }
       }
       
-      console.log(`🚗 ${this.cityId} event "${event.name}" affecting ${affectedDatazones.length} specific datazones with ${event.impact_factor}x impact`);
+      if (this.verbose) logInfo(`🚗 ${this.cityId} event "${event.name}" affecting ${affectedDatazones.length} specific datazones with ${event.impact_factor}x impact`);
+    }
+    
+    return zoneImpacts;
+  }
+
+  // Capacity each zone keeps after incidents (never below 20%) and the streets they block
+  calculateZoneIncidentImpacts(incidents) {
+    const zoneImpacts = new Map();
+    if (!incidents || incidents.length === 0) {
+      return zoneImpacts;
+    }
+    
+    const zonesByCode = new Map(this.datazones.map(zone => [zone.datazone_code, zone]));
+    const lostCapacity = new Map();
+    
+    for (const incident of incidents) {
+      const zone = zonesByCode.get(incident.datazone_code);
+      if (!zone) continue;
+      
+      if (!zoneImpacts.has(zone.datazone_code)) {
+        zoneImpacts.set(zone.datazone_code, { capacityFactor: 1.0, incidentIds: [], streetReductions: new Map() });
+      }
+      const impact = zoneImpacts.get(zone.datazone_code);
+      const reduction = incident.current_capacity_reduction ?? incident.capacity_reduction;
+      
+      impact.incidentIds.push(incident.id);
+      impact.streetReductions.set(incident.street_id, Math.max(impact.streetReductions.get(incident.street_id) || 0, reduction));
+      lostCapacity.set(zone.datazone_code,
+        (lostCapacity.get(zone.datazone_code) || 0) + (ROAD_TYPE_CAPACITY[incident.road_type] || 0) * reduction);
+    }
+    
+    for (const [datazoneCode, impact] of zoneImpacts) {
+      const capacity = zonesByCode.get(datazoneCode).traffic_capacity;
+      impact.capacityFactor = capacity > 0 ? Math.max(0.2, 1 - lostCapacity.get(datazoneCode) / capacity) : 1.0;
     }
     
     return zoneImpacts;
@@ -202,23 +304,48 @@ export class TrafficSimulator {
       }
     }
     
-    const randomVariation = 0.8 + (Math.random() * 0.4);
+    const randomVariation = 0.8 + (this.rng.random() * 0.4);
     return Math.max(0.3, Math.min(3.0, baseScore * randomVariation));
   }
 
-  calculateStreetCongestion(streetIds, zoneCongestion) {
-    if (!streetIds || streetIds.length === 0) return [];
-    
-    return streetIds.map(streetId => {
-      const streetVariation = 0.7 + (Math.random() * 0.6);
-      const streetCongestion = zoneCongestion * streetVariation;
+  calculateStreetBaselines(datazoneCode, zoneBaseline) {
+    return this.streetModel.getZoneStreets(datazoneCode).map(street => {
+      const congestion = this.streetModel.getBaselineCongestion(street, zoneBaseline);
       return {
-        street_id: streetId,
-        congestion_level: Math.round(streetCongestion * 100) / 100
+        street_id: street.street_id,
+        road_class: street.road_class,
+        congestion_level: congestion,
+        speed: this.streetModel.calculateSpeed(street, congestion)
       };
     });
   }
 
+  // Each street follows its zone through its own fixed factor, carrying momentum from
+  // its previous hour; a small noise term keeps neighbouring streets from moving in lockstep
+  calculateStreetCongestion(datazoneCode, zoneCongestion, prevZone = null, incidentImpact = null) {
+    const previousStreets = new Map(
+      (prevZone?.street_congestion || []).map(street => [street.street_id, street.congestion_level])
+    );
+    
+    return this.streetModel.getZoneStreets(datazoneCode).map(street => {
+      const incidentReduction = incidentImpact?.streetReductions.get(street.street_id) || 0;
+      const congestion = this.streetModel.calculateCongestion(street, zoneCongestion, {
+        previousCongestion: previousStreets.get(street.street_id),
+        noise: 0.95 + this.rng.random() * 0.1,
+        incidentReduction
+      });
+      
+      const entry = {
+        street_id: street.street_id,
+        road_class: street.road_class,
+        congestion_level: Math.round(congestion * 100) / 100,
+        speed: this.streetModel.calculateSpeed(street, congestion)
+      };
+      if (incidentReduction > 0) entry.incident = true;
+      return entry;
+    });
+  }
+
   determineAreaType(zone) {
     if (!zone.street_type_counts) return 'mixed_local';
     
@@ -241,19 +368,27 @@ export class TrafficSimulator {
   }
 
   calculateTrafficCapacity(zone) {
-    const baseCapacity = 100;
-    const streetCount = zone.street_count || 10;
-    const streetMultiplier = Math.log(streetCount + 1) * 50;
-    
-    let typeMultiplier = 1.0;
+    // Sum per-class street capacity when the road mix is known
     if (zone.street_type_counts) {
-      const majorRoads = (zone.street_type_counts.motorway || 0) + 
-        (zone.street_type_counts.trunk || 0) + 
-        (zone.street_type_counts.primary || 0);
-      typeMultiplier = 1.0 + (majorRoads * 0.5);
+      const capacity = Object.entries(zone.street_type_counts).reduce(
+        (sum, [roadType, count]) => sum + count * (ROAD_TYPE_CAPACITY[roadType] ?? 200),
+        0
+      );
+      if (capacity > 0) return capacity;
     }
     
-    return Math.round(baseCapacity + streetMultiplier * typeMultiplier);
+    const baseCapacity = 100;
+    const streetCount = zone.street_count || 10;
+    return Math.round(baseCapacity + Math.log(streetCount + 1) * 50);
+  }
+
+  calculateMajorRoadShare(zone) {
+    if (!zone.street_type_counts) return 0;
+    
+    const counts = zone.street_type_counts;
+    const totalStreets = Object.values(counts).reduce((a, b) => a + b, 0);
+    const majorRoads = (counts.motorway || 0) + (counts.trunk || 0) + (counts.primary || 0) + (counts.secondary || 0);
+    return totalStreets > 0 ? majorRoads / totalStreets : 0;
   }
 
   calculateBottleneckRisk(zone) {
@@ -265,19 +400,26 @@ export class TrafficSimulator {
     return 'low';
   }
 
-  getAverageBaseline() {
-    if (this.datazones.length === 0) return 0;
-    const total = this.datazones.reduce((sum, zone) => sum + zone.baseline_congestion, 0);
-    return total / this.datazones.length;
+  serializeState() {
+    return {
+      baseline_congestion: Object.fromEntries(
+        this.datazones.map(zone => [zone.datazone_code, zone.baseline_congestion])
+      )
+    };
   }
 
-  getPeakMultiplierForArea(areaType, dominantRoadType) {
-    const areaMultiplier = AREA_MULTIPLIERS[areaType] || 1.3;
-    const roadMultiplier = this.peakHourMultipliers[dominantRoadType] || 1.2;
-    return (roadMultiplier + areaMultiplier) / 2;
+  restoreState(state) {
+    for (const zone of this.datazones) {
+      const baseline = state.baseline_congestion[zone.datazone_code];
+      if (baseline !== undefined) {
+        zone.baseline_congestion = baseline;
+      }
+    }
   }
 
-  getWeekendMultiplierForArea(areaType) {
-    return WEEKEND_MULTIPLIERS[areaType] || 0.8;
+  getAverageBaseline() {
+    if (this.datazones.length === 0) return 0;
+    const total = this.datazones.reduce((sum, zone) => sum + zone.baseline_congestion, 0);
+    return total / this.datazones.length;
   }
 }
\ No newline at end of file
@@ -1,86 +1,71 @@
-import { readFileSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
-import { getSeason, getSeasonalTemp } from '../utils/timeUtils.js';
 import { getCityConfig } from '../utils/cityConfigs.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { SeededRandom } from '../utils/random.js';
+import { CITY_WEATHER_VARIATIONS, NO_WEATHER_VARIATION } from '../utils/constants.js';
+import { createWeatherProvider, DEFAULT_WEATHER_CONFIG } from '../weather/weatherProviders.js';
+import { SyntheticWeatherProvider } from '../weather/SyntheticWeatherProvider.js';
+import { logInfo } from '../utils/logger.js';
 
 export class WeatherSimulator {
-  constructor(cityId = 'edinburgh') {
+  constructor(cityId = 'edinburgh', rng = new SeededRandom()) {
     this.cityId = cityId;
+    this.rng = rng;
     this.cityConfig = getCityConfig(cityId);
-    this.weatherData = new Map();
+    this.weatherConfig = this.cityConfig.weather || DEFAULT_WEATHER_CONFIG;
+    this.provider = createWeatherProvider(cityId, this.weatherConfig, { rng, timeZone: this.cityConfig.timezone });
+    this.fallback = this.provider.recorded
+      ? new SyntheticWeatherProvider(cityId, { rng, timeZone: this.cityConfig.timezone })
+      : this.provider;
+    // The per-city offsets only make sense when cities share the same observations
+    this.applyCityVariations = this.weatherConfig.city_variations ?? this.weatherConfig.file === DEFAULT_WEATHER_CONFIG.file;
     this.availableDateRange = null;
     this.isLoaded = false;
-    // Single weather file for all UK cities
-    this.dataPath = join(__dirname, '..', '..', 'data', 'weather_data.csv');
     this.baseHistoricalDate = null;
     this.simulationStartTime = null;
   }
 
   async initialize() {
-    if (this.isLoaded) return;
+    if (this.isLoaded || !this.provider.recorded) return;
     
-    console.log(`🌤️ Loading UK weather data for ${this.cityId}...`);
+    logInfo(`🌤️ Loading ${this.provider.type} weather data for ${this.cityId}...`);
     
     try {
-      const csvData = readFileSync(this.dataPath, 'utf8');
-      const lines = csvData.split('\n');
-      
-      let earliestDate = null;
-      let latestDate = null;
-      let recordCount = 0;
-      
-      for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-        
-        const values = line.split(',');
-        const datetime = values[0];
-        
-        if (!datetime) continue;
-        
-        const date = new Date(datetime);
-        if (!earliestDate || date < earliestDate) earliestDate = date;
-        if (!latestDate || date > latestDate) latestDate = date;
-        
-        this.weatherData.set(datetime, {
-          datetime: datetime,
-          temperature: parseFloat(values[1]),
-          humidity: parseFloat(values[2]),
-          precipitation: parseFloat(values[3]),
-          precipitationProbability: parseFloat(values[4]),
-          precipitationType: values[5],
-          windSpeed: parseFloat(values[6]),
-          conditions: values[7].replace(/"/g, ''),
-          icon: values[8],
-          source: 'historical_1min_uk'
-        });
-        
-        recordCount++;
-      }
-      
-      this.availableDateRange = {
-        start: earliestDate,
-        end: latestDate,
-        totalRecords: recordCount
-      };
+      await this.provider.load();
+      this.availableDateRange = this.provider.range;
       
       this.isLoaded = true;
       this.baseHistoricalDate = this.getRandomStartDate();
       
-      console.log(`✅ Loaded ${recordCount} UK weather records for ${this.cityId}`);
-      console.log(`📅 Date range: ${earliestDate.toISOString()} to ${latestDate.toISOString()}`);
-      console.log(`🎲 Selected random start date: ${this.baseHistoricalDate.toISOString()}`);
+      const { start, end, totalRecords } = this.availableDateRange;
+      logInfo(`✅ Loaded ${totalRecords} weather records for ${this.cityId} from ${this.provider.file}`);
+      logInfo(`📅 Date range: ${start.toISOString()} to ${end.toISOString()}`);
+      logInfo(`🎲 Selected random start date: ${this.baseHistoricalDate.toISOString()}`);
       
     } catch (error) {
-      console.warn(`⚠️ Could not load UK weather data for ${this.cityId}, using fallback generation:`, error.message);
+      console.warn(`⚠️ Could not load ${this.provider.type} weather data for ${this.cityId}, using fallback generation:`, error.message);
       this.isLoaded = false;
     }
   }
 
+  describe() {
+    return {
+      ...this.provider.describe(),
+      using_fallback: this.provider.recorded && !this.isLoaded,
+      city_variations: this.applyCityVariations
+    };
+  }
+
+  serializeState() {
+    return {
+      base_historical_date: this.baseHistoricalDate ? this.baseHistoricalDate.toISOString() : null,
+      simulation_start_time: this.simulationStartTime ? this.simulationStartTime.toISOString() : null
+    };
+  }
+
+  restoreState(state) {
+    this.baseHistoricalDate = state.base_historical_date ? new Date(state.base_historical_date) : null;
+    this.simulationStartTime = state.simulation_start_time ? new Date(state.simulation_start_time) : null;
+  }
+
   getRandomStartDate() {
     if (!this.availableDateRange) {
       throw new Error('Weather data not loaded');
@@ -88,8 +73,9 @@ export class WeatherSimulator {
     
     const { start, end } = this.availableDateRange;
     const timeRange = end.getTime() - start.getTime();
-    const bufferDays = 7 * 24 * 60 * 60 * 1000;
-    const randomTime = start.getTime() + Math.random() * (timeRange - bufferDays);
+    // Leave a week of data after the start point (or as much as a short file has)
+    const bufferDays = Math.min(7 * 24 * 60 * 60 * 1000, timeRange);
+    const randomTime = start.getTime() + this.rng.random() * (timeRange - bufferDays);
     
     const randomDate = new Date(randomTime);
     randomDate.setMinutes(0, 0, 0);
@@ -97,18 +83,30 @@ export class WeatherSimulator {
     return randomDate;
   }
 
+  // Runs longer than the recorded data loop back to its start
+  getHistoricalTime(simulationElapsed) {
+    const start = this.availableDateRange.start.getTime();
+    const span = this.availableDateRange.end.getTime() - start + this.provider.resolutionMs;
+    const offset = this.baseHistoricalDate.getTime() - start + simulationElapsed;
+    return new Date(start + ((offset % span) + span) % span);
+  }
+
   async simulateForTime(requestedSimulationTime) {
     if (!this.simulationStartTime) {
       this.simulationStartTime = new Date(requestedSimulationTime);
-      console.log(`🌤️ ${this.cityId} weather simulation started at: ${this.simulationStartTime.toISOString()}`);
+      logInfo(`🌤️ ${this.cityId} weather simulation started at: ${this.simulationStartTime.toISOString()}`);
     }
     
     const currentSimTime = new Date(requestedSimulationTime);
+    if (!this.isLoaded || !this.baseHistoricalDate) {
+      return this.generateFallbackWeather(currentSimTime);
+    }
+    
     const simulationElapsed = currentSimTime.getTime() - this.simulationStartTime.getTime();
-    const historicalDateTime = new Date(this.baseHistoricalDate.getTime() + simulationElapsed);
+    const historicalDateTime = this.getHistoricalTime(simulationElapsed);
     
     try {
-      const weatherData = this.getWeatherForDateTime(historicalDateTime);
+      const weatherData = this.provider.getObservation(historicalDateTime);
       
       // Apply minor city-specific variations to make weather slightly different
       const cityVariations = this.getCityWeatherVariations();
@@ -120,7 +118,7 @@ export class WeatherSimulator {
         condition: this.mapConditionToSimulation(weatherData.conditions),
         pressure: this.estimatePressure(weatherData),
         precipitation: weatherData.precipitation,
-        source: `historical_1min_uk_${this.cityId}`,
+        source: `${this.provider.sourceName}_${this.cityId}`,
         historical_time: historicalDateTime.toISOString(),
         simulation_time: currentSimTime.toISOString(),
         raw_conditions: weatherData.conditions
@@ -135,70 +133,10 @@ export class WeatherSimulator {
   }
 
   getCityWeatherVariations() {
-    // Small variations to make each city's weather slightly different
-    // while still using the same base data
-    const variations = {
-      edinburgh: {
-        tempOffset: -1.0,    // Slightly cooler
-        humidityOffset: 2,   // Slightly more humid
-        windOffset: 1.0      // Slightly windier
-      },
-      york: {
-        tempOffset: 0.5,     // Slightly warmer
-        humidityOffset: -1,  // Slightly less humid  
-        windOffset: -0.5     // Slightly less windy
-      },
-      london: {
-        tempOffset: 2.0,     // Warmer (urban heat island)
-        humidityOffset: -3,  // Less humid
-        windOffset: -1.0     // Less windy (sheltered by buildings)
-      },
-      manchester: {
-        tempOffset: 0.0,     // Same as base
-        humidityOffset: 3,   // More humid (industrial/coastal influence)
-        windOffset: 0.5      // Slightly windier
-      }
-    };
-    
-    return variations[this.cityId] || { tempOffset: 0, humidityOffset: 0, windOffset: 0 };
-  }
-
-  getWeatherForDateTime(targetDateTime) {
-    const datetimeKey = targetDateTime.toISOString().slice(0, 19);
-    
-    if (this.weatherData.has(datetimeKey)) {
-      return this.weatherData.get(datetimeKey);
-    }
-    
-    return this.findClosestWeatherData(targetDateTime);
-  }
-
-  findClosestWeatherData(targetDateTime) {
-    let closestKey = null;
-    let closestDiff = Infinity;
-    
-    const targetTime = targetDateTime.getTime();
-    
-    for (const [key, data] of this.weatherData.entries()) {
-      const dataTime = new Date(key).getTime();
-      const diff = Math.abs(dataTime - targetTime);
-      
-      if (diff < closestDiff && diff < 60000) {
-        closestDiff = diff;
-        closestKey = key;
-      }
-    }
-    
-    if (closestKey) {
-      const data = this.weatherData.get(closestKey);
-      return {
-        ...data,
-        source: `historical_1min_interpolated_uk_${this.cityId}`,
-        time_diff_seconds: Math.round(closestDiff / 1000)
-      };
+    if (!this.applyCityVariations) {
+      return NO_WEATHER_VARIATION;
     }
-    
-    throw new Error(`No weather data found near ${targetDateTime.toISOString()}`);
+    return CITY_WEATHER_VARIATIONS[this.cityId] || NO_WEATHER_VARIATION;
   }
 
   mapConditionToSimulation(conditions) {
@@ -214,7 +152,12 @@ export class WeatherSimulator {
     return 'partly_cloudy';
   }
 
+  // Recorded pressure when the source has it, otherwise a rough figure from the conditions
   estimatePressure(weatherData) {
+    if (Number.isFinite(weatherData.pressure)) {
+      return Math.round(weatherData.pressure * 10) / 10;
+    }
+    
     let basePressure = 1013.25;
     
     if (weatherData.conditions.toLowerCase().includes('rain')) {
@@ -231,39 +174,6 @@ export class WeatherSimulator {
   }
 
   generateFallbackWeather(currentTime) {
-    const hour = currentTime.getHours();
-    const season = getSeason(currentTime);
-    
-    const timeOfDayFactor = Math.sin((hour - 6) * Math.PI / 12);
-    const seasonalTemp = getSeasonalTemp(season);
-    const baseTemp = seasonalTemp + (timeOfDayFactor * 8);
-    
-    // Apply city variations to fallback weather too
-    const cityVariations = this.getCityWeatherVariations();
-    
-    const temperature = baseTemp + cityVariations.tempOffset + (Math.random() - 0.5) * 4;
-    const humidity = 60 + cityVariations.humidityOffset + (1 - timeOfDayFactor) * 25 + (Math.random() - 0.5) * 20;
-    const windSpeed = Math.max(0, 5 + cityVariations.windOffset + (Math.random() - 0.5) * 15);
-    const condition = this.determineCondition(temperature, humidity, windSpeed, season);
-    const pressure = 1013 + (Math.random() - 0.5) * 40;
-    
-    return {
-      temperature: Math.round(temperature * 10) / 10,
-      humidity: Math.max(0, Math.min(100, Math.round(humidity))),
-      windSpeed: Math.round(windSpeed * 10) / 10,
-      condition: condition,
-      pressure: Math.round(pressure * 10) / 10,
-      source: `fallback_generated_uk_${this.cityId}`,
-      simulation_time: currentTime.toISOString()
-    };
-  }
-
-  determineCondition(temperature, humidity, windSpeed, season) {
-    if (humidity > 85 && temperature > 2) return 'rainy';
-    if (humidity > 70 && windSpeed > 15) return 'stormy';
-    if (temperature < 2 && humidity > 80) return 'snowy';
-    if (humidity < 30) return 'sunny';
-    if (humidity > 60) return 'cloudy';
-    return 'partly_cloudy';
+    return this.fallback.generate(currentTime);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,61 @@
+import { CitySimulation } from './CitySimulation.js';
+import { formatHourRecord, HOUR_DETAIL_LEVELS } from '../utils/hourRecords.js';
+
+export const MAX_BATCH_HOURS = 8760;
+
+// Run a simulation without Express, the wall-clock scheduler or Foundry.
+// Returns the hourly series, or streams it through onHour when given.
+export async function runHeadlessSimulation({
+  cityId = 'edinburgh',
+  hours = 24,
+  seed,
+  startTime,
+  detail = 'datazones',
+  verbose = false,
+  onHour = null
+} = {}) {
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_BATCH_HOURS) {
+    throw new Error(`hours must be an integer between 1 and ${MAX_BATCH_HOURS}`);
+  }
+  
+  if (!HOUR_DETAIL_LEVELS.includes(detail)) {
+    throw new Error(`detail must be one of: ${HOUR_DETAIL_LEVELS.join(', ')}`);
+  }
+  
+  const simulation = new CitySimulation(`headless_${cityId}_${Date.now()}`, 3600, cityId, {
+    seed,
+    startTime,
+    enableFoundry: false,
+    historyLog: false
+  });
+  simulation.setVerbose(verbose);
+  
+  const series = [];
+  const emit = async (hourData, index) => {
+    const record = formatHourRecord(hourData, detail);
+    if (onHour) {
+      await onHour(record, index);
+    } else {
+      series.push(record);
+    }
+  };
+  
+  try {
+    // start() pre-generates the first hour, which counts towards the series
+    await simulation.start({ paused: true });
+    await emit(simulation.readyHourData, 0);
+    
+    await simulation.runBatch(hours - 1, {
+      onHour: (hourData, index) => emit(hourData, index + 1)
+    });
+  } finally {
+    simulation.stop();
+  }
+  
+  return {
+    city_id: cityId,
+    seed: simulation.seed,
+    hours,
+    series
+  };
+}
@@ -0,0 +1,292 @@
+import { appendFile, mkdir, readFile, readdir, truncate, unlink, writeFile } from 'fs/promises';
+import { basename, dirname, join } from 'path';
+import { writeJsonAtomic } from '../utils/snapshotStore.js';
+import { logInfo } from '../utils/logger.js';
+
+export const DEFAULT_OUTBOX_MAX_MB = 100;
+
+// The delivered head of a segment is only cut away once it is at least this big and
+// more than half of the file
+const COMPACT_MIN_BYTES = 1024 * 1024;
+
+const EMPTY = Buffer.alloc(0);
+
+// Durable FIFO of records waiting to be delivered. Records are appended to an NDJSON
+// segment (<base>.<n>.ndjson) and a small state file (<base>.state.json) records how
+// far into it has been delivered, so an enqueue or a delivery costs one small write
+// however long the queue is. Once the delivered head makes up most of the segment the
+// rest is copied to a new segment; a drained outbox simply starts a new one.
+//
+// Past maxBytes the oldest records are dropped; the count survives restarts and is
+// raised as an alarm in the sink's health.
+export class DiskOutbox {
+  constructor(basePath, { maxBytes = DEFAULT_OUTBOX_MAX_MB * 1024 * 1024 } = {}) {
+    this.basePath = basePath;
+    this.statePath = `${basePath}.state.json`;
+    this.maxBytes = maxBytes;
+
+    // { queued_at, record, bytes } for every undelivered record, oldest first
+    this.entries = [];
+    this.queuedBytes = 0;
+    // How many records have ever left the head of the queue (see remove)
+    this.headSeq = 0;
+    this.overflowDropped = 0;
+    this.lastOverflowAt = null;
+
+    // File state, only changed by operations on the write chain. The queue on disk is
+    // segment bytes [offset, size) followed by `pending` (appends not yet written).
+    this.disk = { segment: 0, offset: 0, size: 0, pending: EMPTY };
+    this.saving = Promise.resolve();
+    this.lastWriteError = null;
+  }
+
+  get filePath() {
+    return this.segmentPath(this.disk.segment);
+  }
+
+  segmentPath(segment) {
+    return `${this.basePath}.${segment}.ndjson`;
+  }
+
+  // Pick up anything a previous run left undelivered
+  async load() {
+    await this.saving;
+
+    let state = { segment: 0, offset: 0, overflow_dropped: 0 };
+    try {
+      state = { ...state, ...JSON.parse(await readFile(this.statePath, 'utf8')) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ Could not read outbox state ${this.statePath}:`, error.message);
+      }
+    }
+
+    let segment = EMPTY;
+    try {
+      segment = await readFile(this.segmentPath(state.segment));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ Could not read outbox ${this.segmentPath(state.segment)}:`, error.message);
+      }
+    }
+
+    const { entries, offset, validBytes } = parseSegment(segment, Math.min(state.offset, segment.length));
+    this.entries = entries;
+    this.queuedBytes = entries.reduce((total, entry) => total + entry.bytes, 0);
+    this.overflowDropped = state.overflow_dropped;
+    this.disk = { segment: state.segment, offset: Math.min(offset, validBytes), size: validBytes, pending: EMPTY };
+
+    // A crash part-way through an append leaves half a line at the end
+    if (validBytes < segment.length) {
+      console.warn(`⚠️ Discarding ${segment.length - validBytes} byte(s) of an unfinished write in ${this.filePath}`);
+      await truncate(this.filePath, validBytes).catch(error => this.recordWriteError(error));
+    }
+    await this.removeOldSegments();
+
+    if (this.entries.length > 0) {
+      logInfo(`📬 Loaded ${this.entries.length} undelivered record(s) from ${this.filePath}`);
+    }
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  enqueue(records) {
+    const queuedAt = new Date().toISOString();
+    const lines = records.map(record => {
+      const line = `${JSON.stringify({ queued_at: queuedAt, record })}\n`;
+      const bytes = Buffer.byteLength(line);
+      this.entries.push({ queued_at: queuedAt, record, bytes });
+      this.queuedBytes += bytes;
+      return line;
+    });
+    this.chain(() => this.append(Buffer.from(lines.join(''))));
+
+    if (this.queuedBytes > this.maxBytes) {
+      let dropped = 0;
+      let droppedBytes = 0;
+      while (this.queuedBytes - droppedBytes > this.maxBytes) {
+        droppedBytes += this.entries[dropped].bytes;
+        dropped++;
+      }
+      this.dropHead(dropped, droppedBytes);
+      this.overflowDropped += dropped;
+      this.lastOverflowAt = queuedAt;
+      console.error(`❌ Outbox ${this.basePath} is over ${Math.round(this.maxBytes / 1024 / 1024)}MB - dropped ${dropped} oldest record(s)`);
+    }
+  }
+
+  peek(count) {
+    return this.entries.slice(0, count).map(entry => entry.record);
+  }
+
+  // Remove `count` delivered records. fromSeq is headSeq when the batch was peeked, so
+  // records dropped for space while it was in flight are not counted twice.
+  remove(count, fromSeq = this.headSeq) {
+    const remaining = Math.min(this.entries.length, count - (this.headSeq - fromSeq));
+    if (remaining <= 0) return;
+
+    let bytes = 0;
+    for (let i = 0; i < remaining; i++) {
+      bytes += this.entries[i].bytes;
+    }
+    this.dropHead(remaining, bytes);
+  }
+
+  dropHead(count, bytes) {
+    this.entries.splice(0, count);
+    this.queuedBytes -= bytes;
+    this.headSeq += count;
+    this.chain(() => this.advance(bytes));
+  }
+
+  getOldestQueuedAt() {
+    return this.entries.length > 0 ? this.entries[0].queued_at : null;
+  }
+
+  // File operations run one at a time, in the order they were requested
+  chain(operation) {
+    this.saving = this.saving.then(operation).catch(error => this.recordWriteError(error));
+    return this.saving;
+  }
+
+  recordWriteError(error) {
+    this.lastWriteError = error.message;
+    console.error(`❌ Could not write outbox ${this.basePath}:`, error.message);
+  }
+
+  async append(bytes) {
+    this.disk.pending = Buffer.concat([this.disk.pending, bytes]);
+    await this.writePending();
+  }
+
+  // Appends that failed (disk full, say) are kept and retried ahead of the next one
+  async writePending() {
+    const { pending } = this.disk;
+    if (pending.length === 0) return;
+
+    await mkdir(dirname(this.basePath), { recursive: true });
+    await appendFile(this.filePath, pending);
+    this.disk.size += pending.length;
+    this.disk.pending = EMPTY;
+    this.lastWriteError = null;
+  }
+
+  async advance(bytes) {
+    const disk = this.disk;
+    disk.offset += bytes;
+
+    try {
+      await this.writePending();
+    } catch (error) {
+      this.recordWriteError(error);
+    }
+
+    if (disk.offset >= disk.size + disk.pending.length) {
+      await this.startSegment(EMPTY);
+      return;
+    }
+
+    // Delivered records that never reached the file just leave the pending buffer
+    if (disk.offset > disk.size) {
+      disk.pending = disk.pending.subarray(disk.offset - disk.size);
+      disk.offset = disk.size;
+    }
+
+    if (disk.pending.length === 0 && disk.offset >= COMPACT_MIN_BYTES && disk.offset * 2 > disk.size) {
+      const segment = await readFile(this.filePath);
+      await this.startSegment(segment.subarray(disk.offset));
+      return;
+    }
+
+    await this.writeState();
+  }
+
+  // The new segment is complete before the state file points at it, so a crash at any
+  // step leaves either the old queue or the new one
+  async startSegment(contents) {
+    const previousPath = this.filePath;
+    const segment = this.disk.segment + 1;
+
+    if (contents.length > 0) {
+      await writeFile(this.segmentPath(segment), contents);
+    }
+    this.disk = { segment, offset: 0, size: contents.length, pending: EMPTY };
+    await this.writeState();
+
+    await unlink(previousPath).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  writeState() {
+    return writeJsonAtomic(this.statePath, {
+      segment: this.disk.segment,
+      offset: this.disk.offset,
+      overflow_dropped: this.overflowDropped
+    });
+  }
+
+  // Segments left behind by a crash between writing the state file and unlinking
+  async removeOldSegments() {
+    const prefix = `${basename(this.basePath)}.`;
+    const current = basename(this.filePath);
+    let names = [];
+    try {
+      names = await readdir(dirname(this.basePath));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const name of names) {
+      const segment = name.startsWith(prefix) ? name.slice(prefix.length) : '';
+      if (/^\d+\.ndjson$/.test(segment) && name !== current) {
+        await unlink(join(dirname(this.basePath), name)).catch(error => this.recordWriteError(error));
+      }
+    }
+  }
+
+  getHealth() {
+    return {
+      outbox_file: this.filePath,
+      outbox_bytes: this.queuedBytes,
+      outbox_max_bytes: this.maxBytes,
+      outbox_write_error: this.lastWriteError,
+      outbox_dropped_records: this.overflowDropped,
+      last_overflow_at: this.lastOverflowAt
+    };
+  }
+
+  async settle() {
+    await this.saving;
+  }
+}
+
+// Records in complete lines from `offset` on, and how many bytes of the segment hold
+// complete lines. An unreadable line is folded into the record before it (or skipped
+// over) so offsets still line up with the file.
+function parseSegment(segment, offset) {
+  const entries = [];
+  let start = offset;
+  let newline;
+
+  while ((newline = segment.indexOf(0x0a, start)) !== -1) {
+    const bytes = newline + 1 - start;
+    try {
+      const { queued_at, record } = JSON.parse(segment.toString('utf8', start, newline));
+      entries.push({ queued_at, record, bytes });
+    } catch (error) {
+      console.warn(`⚠️ Skipping an unreadable outbox line: ${error.message}`);
+      if (entries.length > 0) {
+        entries[entries.length - 1].bytes += bytes;
+      } else {
+        offset += bytes;
+      }
+    }
+    start = newline + 1;
+  }
+
+  return { entries, offset, validBytes: start };
+}
@@ -0,0 +1,189 @@
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { OutputSink } from './OutputSink.js';
+import { DiskOutbox, DEFAULT_OUTBOX_MAX_MB } from './DiskOutbox.js';
+import { foundryTokens } from './FoundryTokenManager.js';
+import { FOUNDRY_STREAM_KINDS, buildFoundryRows } from './foundryRows.js';
+import { logInfo } from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_OUTBOX_DIR = join(__dirname, '..', '..', 'outbox');
+
+export const STREAM_RID_PREFIX = 'ri.foundry.main.stream.';
+
+// Plain http is only accepted for a Foundry mock running on this machine
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+function isAllowedFoundryUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || (url.protocol === 'http:' && LOOPBACK_HOSTS.includes(url.hostname));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Credentials only ever come from the environment, never from a sink spec. A sink
+// that names its own streams doesn't need FOUNDRY_STREAM_RID (requireStream: false).
+export function loadFoundryConfig({ quiet = false, requireStream = true } = {}) {
+  const foundryUrl = process.env.FOUNDRY_URL;
+  const clientId = process.env.FOUNDRY_CLIENT_ID;
+  const clientSecret = process.env.FOUNDRY_CLIENT_SECRET;
+  const streamRid = process.env.FOUNDRY_STREAM_RID || null;
+
+  if (!foundryUrl || !clientId || !clientSecret || (requireStream && !streamRid)) {
+    logInfo('⚠️ Foundry environment variables not configured - Foundry integration disabled');
+    return null;
+  }
+
+  if (!isAllowedFoundryUrl(foundryUrl)) {
+    console.error('❌ FOUNDRY_URL must use HTTPS (http is only allowed for localhost)');
+    return null;
+  }
+
+  if (streamRid && !streamRid.startsWith(STREAM_RID_PREFIX)) {
+    console.error('❌ Invalid FOUNDRY_STREAM_RID format');
+    return null;
+  }
+
+  if (!quiet) logInfo(`✅ Foundry configuration loaded: ${foundryUrl}`);
+
+  return {
+    foundryUrl,
+    clientId,
+    clientSecret,
+    streamRid
+  };
+}
+
+// Pushes hours to Foundry through a disk outbox (OUTBOX_DIR/<simulation>_<sink>.*)
+// so an outage delays records instead of losing them, up to outbox_max_mb of backlog.
+//
+// By default each hour is one flat row on stream_rid (or FOUNDRY_STREAM_RID). With
+// `streams` ({ weather: rid, traffic_zones: rid, ... }) each hour is split into
+// normalized per-entity rows and every kind goes to its own stream; kinds without a
+// stream are not sent.
+export class FoundrySink extends OutputSink {
+  constructor(options = {}, { simulationId, foundryConfig, tokenManager = foundryTokens }) {
+    super('foundry', options);
+    this.simulationId = simulationId;
+    this.foundryConfig = foundryConfig;
+    this.tokenManager = tokenManager;
+    this.streams = options.streams || null;
+    this.streamRid = this.streams ? null : (options.stream_rid || foundryConfig.streamRid);
+
+    const outboxDir = process.env.OUTBOX_DIR || DEFAULT_OUTBOX_DIR;
+    this.outbox = new DiskOutbox(join(outboxDir, `${simulationId}_${this.name}`), {
+      maxBytes: (options.outbox_max_mb ?? DEFAULT_OUTBOX_MAX_MB) * 1024 * 1024
+    });
+  }
+
+  get isConnected() {
+    return this.tokenManager.hasValidToken(this.foundryConfig);
+  }
+
+  async open() {
+    try {
+      await this.tokenManager.getToken(this.foundryConfig);
+    } catch (error) {
+      console.error(`❌ Foundry connection failed for simulation ${this.simulationId}:`, {
+        message: error.message,
+        status: error.response?.status,
+        foundryUrl: this.foundryConfig.foundryUrl
+      });
+      throw error;
+    }
+  }
+
+  // Outbox records carry their destination so a restart still routes them correctly
+  formatRecords(data) {
+    if (!this.streams) {
+      return [{ stream_rid: this.streamRid, row: this.formatRecord(data) }];
+    }
+
+    return FOUNDRY_STREAM_KINDS
+      .filter(kind => this.streams[kind])
+      .flatMap(kind => buildFoundryRows(data, kind).map(row => ({ stream_rid: this.streams[kind], row })));
+  }
+
+  batchKey(record) {
+    return record.stream_rid;
+  }
+
+  formatRecord(data) {
+    return {
+      simulation_id: data.simulation_id,
+      city_id: data.city_id,
+      city_name: data.city_name,
+      timestamp: data.timestamp,
+      hour: data.hour,
+      game_time: data.timestamp,
+      seed: data.seed,
+
+      weather_temperature: parseFloat(data.weather.temperature.toFixed(2)),
+      weather_humidity: parseFloat(data.weather.humidity.toFixed(2)),
+      weather_wind_speed: parseFloat(data.weather.windSpeed.toFixed(2)),
+      weather_condition: data.weather.condition,
+      weather_pressure: data.weather.pressure || null,
+
+      traffic_congestion_level: parseFloat(data.traffic.congestion_level.toFixed(2)),
+      traffic_average_speed: parseFloat(data.traffic.average_speed.toFixed(2)),
+      traffic_total_vehicles: data.traffic.total_vehicles || 0,
+      traffic_peak_hour: data.traffic.peak_hour || false,
+      traffic_weather_impact: data.traffic.weather_impact || 1.0,
+      traffic_events_impact: data.traffic.events_impact || 1.0,
+
+      events_active_count: data.events.active_count,
+      events_scheduled_count: data.events.scheduled_count,
+      events_completed_count: data.events.completed_count,
+      events_summary: JSON.stringify(data.events.events),
+
+      seconds_per_hour: data.seconds_per_hour
+    };
+  }
+
+  // Batches never mix streams (see batchKey)
+  async sendBatch(records) {
+    const streamRid = records[0].stream_rid;
+    const token = await this.tokenManager.getToken(this.foundryConfig);
+    const axios = (await import('axios')).default;
+
+    try {
+      const response = await axios.post(
+        `${this.foundryConfig.foundryUrl}/api/v1/streams/${streamRid}/records`,
+        {
+          records: records.map(record => record.row)
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+            'User-Agent': 'City-Simulation/1.0.0'
+          },
+          timeout: 15000
+        }
+      );
+
+      logInfo(`📤 Pushed ${records.length} record(s) to Foundry stream ${streamRid} for simulation ${this.simulationId} (${response.status})`);
+
+    } catch (error) {
+      // Drop the token so the retry re-authenticates
+      if (error.response?.status === 401 || error.response?.status === 403) {
+        logInfo(`🔄 Re-authenticating with Foundry...`);
+        this.tokenManager.invalidate(this.foundryConfig, token);
+      }
+      throw error;
+    }
+  }
+
+  getHealth() {
+    return {
+      ...super.getHealth(),
+      stream_rid: this.streamRid,
+      streams: this.streams,
+      auth: this.tokenManager.getStatus(this.foundryConfig)
+    };
+  }
+}
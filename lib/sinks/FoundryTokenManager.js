@@ -0,0 +1,190 @@
+import { logInfo } from '../utils/logger.js';
+
+// Client-credentials tokens shared by every Foundry sink. Tokens are cached per
+// Foundry URL + client id and refreshed shortly before they expire; simultaneous
+// requests for the same token wait on a single refresh. After repeated auth failures
+// the circuit opens and requests fail fast until the cooldown has passed.
+
+const DEFAULT_TOKEN_LIFETIME_SECONDS = 3600;
+
+export class FoundryTokenManager {
+  constructor(options = {}) {
+    this.tokenPath = options.tokenPath ?? '/multipass/api/oauth2/token';
+    // Refresh this long before expiry (capped at a tenth of the token's lifetime)
+    this.refreshMarginMs = options.refreshMarginMs ?? 60000;
+    this.failureThreshold = options.failureThreshold ?? 3;
+    this.cooldownMs = options.cooldownMs ?? 30000;
+    this.maxCooldownMs = options.maxCooldownMs ?? 600000;
+    this.timeoutMs = options.timeoutMs ?? 30000;
+    this.entries = new Map();
+  }
+
+  getKey(config) {
+    return `${config.foundryUrl}|${config.clientId}`;
+  }
+
+  getEntry(config) {
+    const key = this.getKey(config);
+    if (!this.entries.has(key)) {
+      this.entries.set(key, {
+        token: null,
+        expiresAt: 0,
+        refreshAt: 0,
+        refreshing: null,
+        consecutiveFailures: 0,
+        circuitOpenUntil: 0,
+        tripCount: 0,
+        lastError: null,
+        lastRefreshAt: null,
+        refreshCount: 0
+      });
+    }
+    return this.entries.get(key);
+  }
+
+  hasValidToken(config) {
+    const entry = this.entries.get(this.getKey(config));
+    return !!entry?.token && Date.now() < entry.expiresAt;
+  }
+
+  async getToken(config) {
+    const entry = this.getEntry(config);
+    const now = Date.now();
+
+    if (entry.token && now < entry.refreshAt) {
+      return entry.token;
+    }
+
+    try {
+      return await this.refresh(config, entry);
+    } catch (error) {
+      // A failed early refresh is not fatal while the current token is still valid
+      if (entry.token && Date.now() < entry.expiresAt) {
+        return entry.token;
+      }
+      throw error;
+    }
+  }
+
+  refresh(config, entry) {
+    if (entry.refreshing) {
+      return entry.refreshing;
+    }
+
+    if (Date.now() < entry.circuitOpenUntil) {
+      const retryIn = Math.ceil((entry.circuitOpenUntil - Date.now()) / 1000);
+      return Promise.reject(new Error(`Foundry authentication circuit open after ${entry.consecutiveFailures} failures - retrying in ${retryIn}s (last error: ${entry.lastError})`));
+    }
+
+    entry.refreshing = this.requestToken(config)
+      .then(({ token, expiresInSeconds }) => {
+        const lifetimeMs = expiresInSeconds * 1000;
+        const now = Date.now();
+        entry.token = token;
+        entry.expiresAt = now + lifetimeMs;
+        entry.refreshAt = entry.expiresAt - Math.min(this.refreshMarginMs, lifetimeMs / 10);
+        entry.consecutiveFailures = 0;
+        entry.circuitOpenUntil = 0;
+        entry.tripCount = 0;
+        entry.lastError = null;
+        entry.lastRefreshAt = new Date(now).toISOString();
+        entry.refreshCount++;
+        logInfo(`✅ Foundry token refreshed for ${config.foundryUrl} (expires in ${expiresInSeconds}s)`);
+        return token;
+      })
+      .catch(error => {
+        entry.consecutiveFailures++;
+        entry.lastError = error.message;
+
+        if (entry.consecutiveFailures >= this.failureThreshold) {
+          // Each trip in a row doubles the cooldown
+          const cooldown = Math.min(this.maxCooldownMs, this.cooldownMs * 2 ** entry.tripCount);
+          entry.tripCount++;
+          entry.circuitOpenUntil = Date.now() + cooldown;
+          console.error(`❌ Foundry authentication failed ${entry.consecutiveFailures} times for ${config.foundryUrl} - pausing auth for ${cooldown}ms`);
+        } else {
+          console.error(`❌ Foundry authentication failed for ${config.foundryUrl}:`, entry.lastError);
+        }
+        throw error;
+      })
+      .finally(() => {
+        entry.refreshing = null;
+      });
+
+    return entry.refreshing;
+  }
+
+  async requestToken(config) {
+    const axios = (await import('axios')).default;
+
+    logInfo(`🔗 Authenticating with Foundry at ${config.foundryUrl}...`);
+
+    const response = await axios.post(
+      `${config.foundryUrl}${this.tokenPath}`,
+      {
+        grant_type: 'client_credentials',
+        client_id: config.clientId,
+        client_secret: config.clientSecret
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'City-Simulation/1.0.0'
+        },
+        timeout: this.timeoutMs
+      }
+    );
+
+    const token = response.data?.access_token;
+    if (!token) {
+      throw new Error('Foundry token response did not include an access_token');
+    }
+
+    const expiresIn = Number(response.data.expires_in);
+    return {
+      token,
+      expiresInSeconds: Number.isFinite(expiresIn) && expiresIn > 0 ? expiresIn : DEFAULT_TOKEN_LIFETIME_SECONDS
+    };
+  }
+
+  // Called when Foundry rejects a token. Only drops it if nobody has refreshed it since,
+  // so a burst of 401s from several sinks causes one refresh rather than one each.
+  invalidate(config, token) {
+    const entry = this.entries.get(this.getKey(config));
+    if (entry && entry.token === token) {
+      entry.token = null;
+      entry.expiresAt = 0;
+      entry.refreshAt = 0;
+    }
+  }
+
+  getStatus(config) {
+    const entry = this.entries.get(this.getKey(config));
+    if (!entry) {
+      return { state: 'unauthenticated' };
+    }
+
+    const now = Date.now();
+    let state = 'unauthenticated';
+    if (now < entry.circuitOpenUntil) {
+      state = 'circuit_open';
+    } else if (entry.token && now < entry.expiresAt) {
+      state = 'authenticated';
+    } else if (entry.token) {
+      state = 'expired';
+    }
+
+    return {
+      state,
+      expires_at: entry.token ? new Date(entry.expiresAt).toISOString() : null,
+      last_refresh_at: entry.lastRefreshAt,
+      refresh_count: entry.refreshCount,
+      consecutive_failures: entry.consecutiveFailures,
+      circuit_open_until: now < entry.circuitOpenUntil ? new Date(entry.circuitOpenUntil).toISOString() : null,
+      last_error: entry.lastError
+    };
+  }
+}
+
+// One manager per process so simulations with the same credentials share a token
+export const foundryTokens = new FoundryTokenManager();
@@ -0,0 +1,46 @@
+import { appendFile, mkdir } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { OutputSink } from './OutputSink.js';
+import { formatHourRecord } from '../utils/hourRecords.js';
+import { logInfo } from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_OUTPUT_DIR = join(__dirname, '..', '..', 'output');
+
+// File names come from API requests - keep them inside the output directory
+export const SAFE_FILE_NAME_PATTERN = /^[A-Za-z0-9_.-]+\.ndjson$/;
+
+// Appends one JSON line per hour to OUTPUT_DIR/<file_name>
+export class NdjsonFileSink extends OutputSink {
+  constructor(options = {}, { simulationId }) {
+    super('ndjson', { batch_size: 24, ...options });
+    this.simulationId = simulationId;
+    this.detail = options.detail || 'datazones';
+    this.directory = process.env.OUTPUT_DIR || DEFAULT_OUTPUT_DIR;
+    this.filePath = join(this.directory, options.file_name || `${simulationId}.ndjson`);
+  }
+
+  async open() {
+    await mkdir(this.directory, { recursive: true });
+    logInfo(`📝 ${this.name} sink writing to ${this.filePath}`);
+  }
+
+  formatRecord(hourData) {
+    return {
+      simulation_id: hourData.simulation_id,
+      city_id: hourData.city_id,
+      ...formatHourRecord(hourData, this.detail)
+    };
+  }
+
+  async sendBatch(records) {
+    await appendFile(this.filePath, records.map(record => JSON.stringify(record)).join('\n') + '\n', 'utf8');
+  }
+
+  getHealth() {
+    return { ...super.getHealth(), file: this.filePath };
+  }
+}
@@ -0,0 +1,312 @@
+import { buildDatazoneRows } from '../utils/hourRecords.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Base class for everywhere simulation hours can be sent. Subclasses implement
+// sendBatch(records); buffering, batching, retries and health tracking live here.
+// Deliveries are chained so a sink never sends batches out of order.
+//
+// Sinks with an outbox (a DiskOutbox) queue every record on disk first and never give
+// up on it: failed sends back off with jitter and retry until the endpoint recovers.
+// Sinks without one keep records in memory and drop a batch after max_retries.
+export class OutputSink {
+  constructor(type, options = {}) {
+    this.type = type;
+    this.name = options.name || type;
+    this.batchSize = options.batch_size ?? 1;
+    // Largest batch sent in one request when draining a backlog from the outbox
+    this.maxBatchSize = Math.max(this.batchSize, options.max_batch_size ?? 100);
+    // Partial batches are sent after this long so a quiet simulation doesn't hold records back
+    this.flushIntervalMs = options.flush_interval_ms ?? 5000;
+    this.maxRetries = options.max_retries ?? 3;
+    this.retryDelayMs = options.retry_delay_ms ?? 1000;
+    this.maxRetryDelayMs = options.max_retry_delay_ms ?? 300000;
+
+    this.outbox = null;
+    this.buffer = [];
+    this.delivery = Promise.resolve();
+    this.flushTimer = null;
+    this.retryTimer = null;
+    this.retryAttempt = 0;
+    this.nextRetryAt = null;
+    this.closed = false;
+
+    this.status = 'idle';
+    this.deliveredRecords = 0;
+    this.batchesSent = 0;
+    this.failedAttempts = 0;
+    this.droppedRecords = 0;
+    this.lastSuccessAt = null;
+    this.lastError = null;
+    this.lastErrorAt = null;
+    // Bugs rather than failed sends: a record that can't be formatted, a delivery step that throws
+    this.internalErrors = 0;
+    this.lastInternalError = null;
+  }
+
+  // Connect/authenticate before the first hour
+  async open() {}
+
+  // Called when the simulation starts (or starts again after a stop). Open failures
+  // are reported in health rather than failing the simulation.
+  async start() {
+    this.closed = false;
+    if (this.status === 'closed') this.status = 'idle';
+
+    if (this.outbox) {
+      await this.outbox.load();
+    }
+
+    try {
+      await this.open();
+    } catch (error) {
+      this.recordFailure(error);
+      this.status = 'failing';
+      console.error(`❌ Failed to open ${this.name} sink:`, error.message);
+    }
+
+    if (this.outbox?.size > 0) {
+      this.flush();
+    }
+  }
+
+  recordFailure(error) {
+    this.failedAttempts++;
+    this.lastError = error.message;
+    this.lastErrorAt = new Date().toISOString();
+  }
+
+  recordInternalError(error, context) {
+    this.recordFailure(error);
+    this.status = 'failing';
+    this.internalErrors++;
+    this.lastInternalError = `${context}: ${error.message}`;
+    console.error(`❌ ${this.name} sink ${context}:`, error);
+  }
+
+  recordSuccess(count) {
+    this.status = 'healthy';
+    this.deliveredRecords += count;
+    this.batchesSent++;
+    this.lastSuccessAt = new Date().toISOString();
+  }
+
+  async sendBatch(records) {
+    throw new Error(`${this.type} sink does not implement sendBatch`);
+  }
+
+  // Shape one hour payload into the record this sink sends
+  formatRecord(hourData) {
+    return hourData;
+  }
+
+  // Sinks that split an hour into several records override this instead. Sinks with
+  // detail 'datazone_rows' send one record per datazone (Foundry sinks don't take a
+  // detail - they use streams.traffic_zones).
+  formatRecords(hourData) {
+    if (this.detail === 'datazone_rows') {
+      return buildDatazoneRows(hourData);
+    }
+    return [this.formatRecord(hourData)];
+  }
+
+  // Records with different keys are never sent in the same outbox batch
+  batchKey(record) {
+    return null;
+  }
+
+  get queuedCount() {
+    return this.outbox ? this.outbox.size : this.buffer.length;
+  }
+
+  write(hourData) {
+    if (this.closed) return;
+
+    let records;
+    try {
+      records = this.formatRecords(hourData);
+    } catch (error) {
+      this.recordInternalError(error, `could not format the hour at ${hourData.timestamp}`);
+      return;
+    }
+
+    if (this.outbox) {
+      this.outbox.enqueue(records);
+    } else {
+      this.buffer.push(...records);
+    }
+
+    if (this.queuedCount >= this.batchSize) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushIntervalMs);
+      this.flushTimer.unref?.();
+    }
+  }
+
+  // force: send now even while waiting out a retry delay (used on close)
+  flush({ force = false } = {}) {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    if (this.outbox) {
+      // New records wait for the scheduled retry rather than hammering a failing endpoint
+      if (!this.retryTimer || force) {
+        this.chainDelivery(() => this.drainOutbox());
+      }
+    } else if (this.buffer.length > 0) {
+      const batch = this.buffer.splice(0, this.buffer.length);
+      this.chainDelivery(() => this.deliver(batch));
+    }
+    return this.delivery;
+  }
+
+  // Failed sends are retried inside the step; a step that throws is reported in health
+  // and the chain carries on, so later deliveries still run
+  chainDelivery(step) {
+    this.delivery = this.delivery
+      .then(step)
+      .catch(error => this.recordInternalError(error, 'delivery error'));
+  }
+
+  // Retry with doubling delays; after the last attempt the batch is dropped
+  async deliver(batch) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await this.sendBatch(batch);
+        this.recordSuccess(batch.length);
+        return;
+      } catch (error) {
+        this.recordFailure(error);
+
+        if (attempt >= this.maxRetries) {
+          this.status = 'failing';
+          this.droppedRecords += batch.length;
+          console.error(`❌ ${this.name} sink dropped ${batch.length} record(s) after ${attempt + 1} attempt(s): ${error.message}`);
+          return;
+        }
+
+        this.status = 'retrying';
+        await sleep(this.retryDelayMs * 2 ** attempt);
+      }
+    }
+  }
+
+  // Send the outbox oldest-first in batches; a record leaves the outbox only once delivered
+  async drainOutbox() {
+    this.clearRetryTimer();
+
+    while (this.outbox.size > 0) {
+      const headSeq = this.outbox.headSeq;
+      const batch = this.takeSameKey(this.outbox.peek(this.maxBatchSize));
+      try {
+        await this.sendBatch(batch);
+      } catch (error) {
+        this.recordFailure(error);
+        this.scheduleRetry();
+        return;
+      }
+
+      this.outbox.remove(batch.length, headSeq);
+      this.retryAttempt = 0;
+      this.recordSuccess(batch.length);
+    }
+  }
+
+  // Cut a batch at the first record bound somewhere else so order is kept per key
+  takeSameKey(records) {
+    const key = this.batchKey(records[0]);
+    const end = records.findIndex(record => this.batchKey(record) !== key);
+    return end === -1 ? records : records.slice(0, end);
+  }
+
+  // Exponential backoff with jitter so simulations sharing an endpoint don't retry in
+  // lockstep. Uses Math.random rather than the simulation's seeded PRNG on purpose -
+  // delivery must never change what a seeded run generates.
+  scheduleRetry() {
+    const delay = Math.min(this.maxRetryDelayMs, this.retryDelayMs * 2 ** this.retryAttempt);
+    const jitteredDelay = Math.round(delay / 2 + Math.random() * (delay / 2));
+
+    this.retryAttempt++;
+    this.status = this.retryAttempt > this.maxRetries ? 'failing' : 'retrying';
+    this.nextRetryAt = new Date(Date.now() + jitteredDelay).toISOString();
+
+    console.error(`❌ ${this.name} sink delivery failed (attempt ${this.retryAttempt}), ${this.outbox.size} record(s) queued - retrying in ${jitteredDelay}ms: ${this.lastError}`);
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flush();
+    }, jitteredDelay);
+    this.retryTimer.unref?.();
+  }
+
+  clearRetryTimer() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+    this.nextRetryAt = null;
+  }
+
+  // One last delivery attempt; whatever is left stays in the outbox for next time
+  async close() {
+    if (this.closed) return;
+
+    await this.flush({ force: true });
+    this.clearRetryTimer();
+    if (this.outbox) {
+      await this.outbox.settle();
+    }
+    this.closed = true;
+    this.status = 'closed';
+  }
+
+  getHealth() {
+    const health = {
+      name: this.name,
+      type: this.type,
+      status: this.status,
+      durable: !!this.outbox,
+      batch_size: this.batchSize,
+      queued_records: this.queuedCount,
+      delivered_records: this.deliveredRecords,
+      batches_sent: this.batchesSent,
+      failed_attempts: this.failedAttempts,
+      dropped_records: this.droppedRecords + (this.outbox?.overflowDropped || 0),
+      internal_errors: this.internalErrors,
+      last_success_at: this.lastSuccessAt,
+      last_error: this.lastError,
+      last_error_at: this.lastErrorAt
+    };
+
+    if (this.outbox) {
+      Object.assign(health, this.outbox.getHealth());
+      health.oldest_queued_at = this.outbox.getOldestQueuedAt();
+      health.next_retry_at = this.nextRetryAt;
+      health.retry_attempt = this.retryAttempt;
+    }
+
+    health.alarms = this.getAlarms();
+    return health;
+  }
+
+  // Conditions that need an operator, as opposed to transient delivery failures
+  getAlarms() {
+    const alarms = [];
+    if (this.droppedRecords > 0) {
+      alarms.push(`dropped ${this.droppedRecords} record(s) after ${this.maxRetries} retries`);
+    }
+    if (this.outbox?.overflowDropped > 0) {
+      alarms.push(`outbox full - dropped ${this.outbox.overflowDropped} oldest undelivered record(s)`);
+    }
+    if (this.internalErrors > 0) {
+      alarms.push(`${this.internalErrors} internal error(s), last - ${this.lastInternalError}`);
+    }
+    if (this.outbox?.lastWriteError) {
+      alarms.push(`outbox not writable: ${this.outbox.lastWriteError}`);
+    }
+    return alarms;
+  }
+}
@@ -0,0 +1,240 @@
+import { FoundrySink, loadFoundryConfig, STREAM_RID_PREFIX } from './FoundrySink.js';
+import { FOUNDRY_STREAM_KINDS } from './foundryRows.js';
+import { NdjsonFileSink, SAFE_FILE_NAME_PATTERN } from './NdjsonFileSink.js';
+import { WebhookSink, getAllowedWebhookHosts, isAllowedWebhookHost } from './WebhookSink.js';
+import { StdoutSink } from './StdoutSink.js';
+import { HOUR_DETAIL_LEVELS } from '../utils/hourRecords.js';
+
+export const SINK_TYPES = ['foundry', 'ndjson', 'webhook', 'stdout'];
+
+// Sinks also accept 'datazone_rows': one record per datazone per hour
+const SINK_DETAIL_LEVELS = [...HOUR_DETAIL_LEVELS, 'datazone_rows'];
+
+// Sink names end up in outbox file names
+const SAFE_SINK_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+const FOUNDRY_ENV_VARS = ['FOUNDRY_URL', 'FOUNDRY_CLIENT_ID', 'FOUNDRY_CLIENT_SECRET'];
+
+// Refused in Foundry specs - the server's environment is the only source of credentials
+const FOUNDRY_CREDENTIAL_OPTIONS = ['foundry_url', 'url', 'client_id', 'client_secret', 'token', 'access_token'];
+
+// Integer options shared by every sink type: [min, max]
+const NUMERIC_OPTIONS = {
+  batch_size: [1, 1000],
+  flush_interval_ms: [100, 3600000],
+  max_retries: [0, 10],
+  retry_delay_ms: [0, 60000],
+  max_retry_delay_ms: [1000, 3600000],
+  max_batch_size: [1, 1000],
+  outbox_max_mb: [1, 10240],
+  timeout_ms: [1000, 120000]
+};
+
+// Accepts either a comma-separated list of types ("ndjson,stdout") or a JSON array
+// of specs ('[{"type":"webhook","url":"https://..."}]')
+export function parseSinkSpecs(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value;
+  }
+
+  const text = String(value).trim();
+  if (text.startsWith('[')) {
+    return JSON.parse(text);
+  }
+  return text.split(',').map(type => type.trim()).filter(Boolean).map(type => ({ type }));
+}
+
+export function validateSinkSpecs(specs) {
+  const errors = [];
+  if (!Array.isArray(specs)) {
+    return ['sinks must be an array of sink specs'];
+  }
+
+  const names = new Set();
+  specs.forEach((spec, index) => {
+    const label = `sinks[${index}]`;
+    if (!spec || typeof spec !== 'object') {
+      errors.push(`${label} must be an object with a type`);
+      return;
+    }
+
+    if (!SINK_TYPES.includes(spec.type)) {
+      errors.push(`${label}.type must be one of: ${SINK_TYPES.join(', ')}`);
+      return;
+    }
+
+    const name = spec.name || spec.type;
+    if (typeof name !== 'string' || !SAFE_SINK_NAME_PATTERN.test(name)) {
+      errors.push(`${label}.name must only use letters, numbers, '_', '-' and '.'`);
+    }
+    if (names.has(name)) {
+      errors.push(`${label}: duplicate sink name '${name}' - give each sink of the same type a name`);
+    }
+    names.add(name);
+
+    for (const [option, [min, max]] of Object.entries(NUMERIC_OPTIONS)) {
+      if (spec[option] !== undefined && (!Number.isInteger(spec[option]) || spec[option] < min || spec[option] > max)) {
+        errors.push(`${label}.${option} must be an integer between ${min} and ${max}`);
+      }
+    }
+
+    if (spec.detail !== undefined && !SINK_DETAIL_LEVELS.includes(spec.detail)) {
+      errors.push(`${label}.detail must be one of: ${SINK_DETAIL_LEVELS.join(', ')}`);
+    }
+
+    if (spec.type === 'foundry') {
+      errors.push(...validateFoundrySpec(spec, label));
+    }
+
+    if (spec.type === 'ndjson' && spec.file_name !== undefined && !SAFE_FILE_NAME_PATTERN.test(spec.file_name)) {
+      errors.push(`${label}.file_name must end in .ndjson and only use letters, numbers, '_', '-' and '.'`);
+    }
+
+    if (spec.type === 'webhook') {
+      let url = null;
+      try {
+        url = new URL(spec.url);
+      } catch (error) {
+        // reported below
+      }
+      const allowedHosts = getAllowedWebhookHosts();
+      if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+        errors.push(`${label}.url must be an http(s) URL`);
+      } else if (allowedHosts.length === 0) {
+        errors.push(`${label}: webhook sinks are disabled - set WEBHOOK_ALLOWED_HOSTS to the hosts they may post to`);
+      } else if (!isAllowedWebhookHost(url.hostname, allowedHosts)) {
+        errors.push(`${label}.url host '${url.hostname}' is not in WEBHOOK_ALLOWED_HOSTS`);
+      }
+      if (spec.headers !== undefined && (typeof spec.headers !== 'object' || Array.isArray(spec.headers) ||
+        Object.values(spec.headers).some(header => typeof header !== 'string'))) {
+        errors.push(`${label}.headers must be an object of string values`);
+      }
+    }
+
+    if (spec.type === 'stdout' && spec.stream !== undefined && !['stdout', 'stderr'].includes(spec.stream)) {
+      errors.push(`${label}.stream must be stdout or stderr`);
+    }
+  });
+
+  return errors;
+}
+
+const isStreamRid = (value) => typeof value === 'string' && value.startsWith(STREAM_RID_PREFIX);
+
+function validateFoundrySpec(spec, label) {
+  const errors = [];
+
+  const credentials = FOUNDRY_CREDENTIAL_OPTIONS.filter(option => spec[option] !== undefined);
+  if (credentials.length > 0) {
+    errors.push(`${label}: ${credentials.join(', ')} not allowed - Foundry credentials come from the server environment`);
+  }
+
+  // Foundry rows have their own shape (see foundryRows.js); per-datazone rows go to streams.traffic_zones
+  if (spec.detail !== undefined) {
+    errors.push(`${label}.detail is not supported for foundry sinks - use streams.traffic_zones for one row per datazone`);
+  }
+
+  if (spec.stream_rid !== undefined && !isStreamRid(spec.stream_rid)) {
+    errors.push(`${label}.stream_rid must start with ${STREAM_RID_PREFIX}`);
+  }
+
+  if (spec.streams !== undefined) {
+    if (spec.stream_rid !== undefined) {
+      errors.push(`${label}: give either stream_rid or streams, not both`);
+    }
+    if (!spec.streams || typeof spec.streams !== 'object' || Array.isArray(spec.streams) || Object.keys(spec.streams).length === 0) {
+      errors.push(`${label}.streams must map one or more of ${FOUNDRY_STREAM_KINDS.join(', ')} to a stream RID`);
+    } else {
+      for (const [kind, rid] of Object.entries(spec.streams)) {
+        if (!FOUNDRY_STREAM_KINDS.includes(kind)) {
+          errors.push(`${label}.streams.${kind} is not a stream kind - use ${FOUNDRY_STREAM_KINDS.join(', ')}`);
+        } else if (!isStreamRid(rid)) {
+          errors.push(`${label}.streams.${kind} must start with ${STREAM_RID_PREFIX}`);
+        }
+      }
+    }
+  }
+
+  const requiredEnv = hasOwnStreams(spec) ? FOUNDRY_ENV_VARS : [...FOUNDRY_ENV_VARS, 'FOUNDRY_STREAM_RID'];
+  const missing = requiredEnv.filter(variable => !process.env[variable]);
+  if (missing.length > 0) {
+    errors.push(`${label}: Foundry sink needs ${missing.join(', ')} set in the environment`);
+  }
+
+  return errors;
+}
+
+function hasOwnStreams(spec) {
+  return spec.stream_rid !== undefined || spec.streams !== undefined;
+}
+
+function createSink(spec, context) {
+  switch (spec.type) {
+    case 'foundry': {
+      const foundryConfig = loadFoundryConfig({ quiet: true, requireStream: !hasOwnStreams(spec) });
+      if (!foundryConfig) {
+        throw new Error('Foundry sink requested but the Foundry environment is not configured correctly');
+      }
+      return new FoundrySink(spec, { ...context, foundryConfig });
+    }
+    case 'ndjson':
+      return new NdjsonFileSink(spec, context);
+    case 'webhook':
+      return new WebhookSink(spec, context);
+    case 'stdout':
+      return new StdoutSink(spec, context);
+    default:
+      throw new Error(`Unknown sink type '${spec.type}'`);
+  }
+}
+
+// The sinks one simulation publishes its hours to, set up when the simulation is created
+export class SinkRegistry {
+  constructor(specs = [], context = {}) {
+    const errors = validateSinkSpecs(specs);
+    if (errors.length > 0) {
+      throw new Error(`Invalid sinks: ${errors.join('; ')}`);
+    }
+
+    this.specs = specs;
+    this.sinks = specs.map(spec => createSink(spec, context));
+  }
+
+  get size() {
+    return this.sinks.length;
+  }
+
+  getByType(type) {
+    return this.sinks.find(sink => sink.type === type) || null;
+  }
+
+  hasType(type) {
+    return this.getByType(type) !== null;
+  }
+
+  async openAll() {
+    await Promise.all(this.sinks.map(sink => sink.start()));
+  }
+
+  // Hand an hour to every sink - delivery happens in the background
+  publish(hourData) {
+    for (const sink of this.sinks) {
+      sink.write(hourData);
+    }
+  }
+
+  async flushAll() {
+    await Promise.all(this.sinks.map(sink => sink.flush()));
+  }
+
+  async closeAll() {
+    await Promise.all(this.sinks.map(sink => sink.close()));
+  }
+
+  getHealth() {
+    return this.sinks.map(sink => sink.getHealth());
+  }
+}
@@ -0,0 +1,25 @@
+import { OutputSink } from './OutputSink.js';
+import { formatHourRecord } from '../utils/hourRecords.js';
+
+// Writes one JSON line per hour to stdout (or stderr, to keep it apart from the logs)
+export class StdoutSink extends OutputSink {
+  constructor(options = {}) {
+    super('stdout', options);
+    this.detail = options.detail || 'summary';
+    this.stream = options.stream === 'stderr' ? process.stderr : process.stdout;
+  }
+
+  formatRecord(hourData) {
+    return {
+      simulation_id: hourData.simulation_id,
+      city_id: hourData.city_id,
+      ...formatHourRecord(hourData, this.detail)
+    };
+  }
+
+  async sendBatch(records) {
+    for (const record of records) {
+      this.stream.write(`${JSON.stringify(record)}\n`);
+    }
+  }
+}
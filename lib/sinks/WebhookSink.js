@@ -0,0 +1,65 @@
+import { OutputSink } from './OutputSink.js';
+import { formatHourRecord } from '../utils/hourRecords.js';
+
+// Webhook URLs come from API callers, so the server only posts to hosts listed in
+// WEBHOOK_ALLOWED_HOSTS (comma-separated; '*.example.com' matches any subdomain).
+// Without it webhook sinks are refused.
+export function getAllowedWebhookHosts() {
+  return (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+export function isAllowedWebhookHost(hostname, allowedHosts = getAllowedWebhookHosts()) {
+  const host = hostname.toLowerCase();
+  return allowedHosts.some(pattern => pattern.startsWith('*.')
+    ? host.endsWith(pattern.slice(1))
+    : host === pattern);
+}
+
+// POSTs { simulation_id, records: [...] } to an allow-listed HTTP endpoint
+export class WebhookSink extends OutputSink {
+  constructor(options = {}, { simulationId }) {
+    super('webhook', options);
+    this.simulationId = simulationId;
+    this.url = options.url;
+    this.headers = options.headers || {};
+    this.detail = options.detail || 'summary';
+    this.timeoutMs = options.timeout_ms ?? 15000;
+  }
+
+  formatRecord(hourData) {
+    return {
+      simulation_id: hourData.simulation_id,
+      city_id: hourData.city_id,
+      ...formatHourRecord(hourData, this.detail)
+    };
+  }
+
+  async sendBatch(records) {
+    const axios = (await import('axios')).default;
+
+    await axios.post(
+      this.url,
+      {
+        simulation_id: this.simulationId,
+        records
+      },
+      {
+        headers: {
+          ...this.headers,
+          'Content-Type': 'application/json',
+          'User-Agent': 'City-Simulation/1.0.0'
+        },
+        timeout: this.timeoutMs,
+        // A redirect could point anywhere, allow-listed or not
+        maxRedirects: 0
+      }
+    );
+  }
+
+  getHealth() {
+    return { ...super.getHealth(), url: this.url };
+  }
+}
@@ -0,0 +1,88 @@
+import { buildDatazoneRows, hourRowKeys } from '../utils/hourRecords.js';
+
+// Normalized Foundry rows: one row per entity per hour, each kind going to its own
+// stream. Every row starts with hourRowKeys so streams join back up on
+// (simulation_id, timestamp).
+export const FOUNDRY_STREAM_KINDS = ['weather', 'traffic', 'traffic_zones', 'events', 'incidents'];
+
+const round = (value, places = 2) => (typeof value === 'number' ? parseFloat(value.toFixed(places)) : null);
+
+function weatherRows(data) {
+  const { weather } = data;
+  return [{
+    ...hourRowKeys(data),
+    temperature: round(weather.temperature),
+    humidity: round(weather.humidity),
+    wind_speed: round(weather.windSpeed),
+    condition: weather.condition,
+    pressure: round(weather.pressure)
+  }];
+}
+
+function trafficRows(data) {
+  const { traffic } = data;
+  return [{
+    ...hourRowKeys(data),
+    congestion_level: round(traffic.congestion_level),
+    average_speed: round(traffic.average_speed),
+    total_vehicles: traffic.total_vehicles || 0,
+    peak_hour: traffic.peak_hour || false,
+    weather_impact: traffic.weather_impact || 1.0,
+    events_impact: traffic.events_impact || 1.0,
+    incident_lost_capacity: traffic.incident_lost_capacity || 0,
+    incident_zones: traffic.incident_zones || 0,
+    is_holiday: data.calendar?.is_holiday ?? null,
+    is_school_term: data.calendar?.is_school_term ?? null
+  }];
+}
+
+// Only events in progress this hour - scheduled and finished ones have nothing to report
+function eventRows(data) {
+  return data.events.events
+    .filter(event => event.status === 'active')
+    .map(event => ({
+      ...hourRowKeys(data),
+      event_id: event.id,
+      event_type: event.type,
+      name: event.name,
+      source: event.source,
+      impact_factor: event.impact_factor,
+      affected_datazones: event.affected_datazones || [],
+      started_at: event.actual_start_time,
+      hours_remaining: event.hours_remaining
+    }));
+}
+
+function incidentRows(data) {
+  if (!data.incidents) {
+    return [];
+  }
+
+  return data.incidents.incidents
+    .filter(incident => incident.status !== 'cleared')
+    .map(incident => ({
+      ...hourRowKeys(data),
+      incident_id: incident.id,
+      incident_type: incident.type,
+      severity: incident.severity,
+      status: incident.status,
+      datazone_code: incident.datazone_code,
+      street_id: incident.street_id,
+      road_type: incident.road_type,
+      capacity_reduction: incident.current_capacity_reduction,
+      started_at: incident.started_at,
+      expected_clear_time: incident.expected_clear_time
+    }));
+}
+
+const ROW_BUILDERS = {
+  weather: weatherRows,
+  traffic: trafficRows,
+  traffic_zones: buildDatazoneRows,
+  events: eventRows,
+  incidents: incidentRows
+};
+
+export function buildFoundryRows(data, kind) {
+  return ROW_BUILDERS[kind](data);
+}
@@ -1,31 +1,58 @@
+// Optional per-city keys: adjacency_file (datazone neighbours for the road network - without it,
+// boundary polygons in geometry_file or street IDs shared between datazones, congestion spillover
+// is disabled; no shipped city has any of these yet)
+// traffic_profile_file may point at a city-specific copy of base_traffic_patterns.json
+// region picks the bank holiday rules (scotland | england); school_terms_file lists local term dates
+// geometry_file: GeoJSON FeatureCollection for GET /api/simulations/:id/geojson and road network
+// adjacency - Polygon/MultiPolygon features with properties.datazone_code and LineString/MultiLineString
+// features with properties.street_id (or osm_id). No city ships with one; supply your own (e.g. Data Zone
+// boundaries from spatialdata.gov.scot)
+// weather: { provider: csv | json | open_meteo | synthetic, file, columns?, city_variations? } - where the
+// city's weather comes from; csv/json/open_meteo replay the file, synthetic generates it
 export const CITY_CONFIGS = {
   edinburgh: {
     name: "Edinburgh, Scotland",
     country: "UK",
     timezone: "Europe/London",
     datazones_file: "data/datazones/edinburgh_datazones_with_streets.json",
-    events_file: "data/events/edinburgh_events.json"
+    events_file: "data/events/edinburgh_events.json",
+    traffic_profile_file: "base_traffic_patterns.json",
+    region: "scotland",
+    school_terms_file: "data/calendar/edinburgh_school_terms.json",
+    weather: { provider: "csv", file: "data/weather_data.csv" }
   },
   york: {
     name: "York, England", 
     country: "UK",
     timezone: "Europe/London",
     datazones_file: "data/datazones/york_datazones_with_streets.json",
-    events_file: "data/events/york_events.json"
+    events_file: "data/events/york_events.json",
+    traffic_profile_file: "base_traffic_patterns.json",
+    region: "england",
+    school_terms_file: "data/calendar/york_school_terms.json",
+    weather: { provider: "csv", file: "data/weather_data.csv" }
   },
   hull: {
     name: "Hull, England",
     country: "UK", 
     timezone: "Europe/London",
     datazones_file: "data/datazones/hull_datazones_with_streets.json",
-    events_file: "data/events/hull_events.json"
+    events_file: "data/events/hull_events.json",
+    traffic_profile_file: "base_traffic_patterns.json",
+    region: "england",
+    school_terms_file: "data/calendar/hull_school_terms.json",
+    weather: { provider: "csv", file: "data/weather_data.csv" }
   },
   manchester: {
     name: "Manchester, England",
     country: "UK",
     timezone: "Europe/London", 
     datazones_file: "data/datazones/manchester_datazones_with_streets.json",
-    events_file: "data/events/manchester_events.json"
+    events_file: "data/events/manchester_events.json",
+    traffic_profile_file: "base_traffic_patterns.json",
+    region: "england",
+    school_terms_file: "data/calendar/manchester_school_terms.json",
+    weather: { provider: "csv", file: "data/weather_data.csv" }
   }
 };
 
@@ -42,6 +69,9 @@ export function getAvailableCities() {
     city_id: id,
     name: config.name,
     country: config.country,
-    timezone: config.timezone
+    timezone: config.timezone,
+    region: config.region,
+    weather_provider: config.weather?.provider || 'csv',
+    has_geometry: !!config.geometry_file
   }));
 }
\ No newline at end of file
@@ -11,6 +11,22 @@ export const ROAD_TYPE_WEIGHTS = {
   'cycleway': 0
 };
 
+// Approximate vehicles per hour one street of each class can carry
+export const ROAD_TYPE_CAPACITY = {
+  'motorway': 2000,
+  'trunk': 1600,
+  'primary': 1200,
+  'secondary': 900,
+  'tertiary': 600,
+  'unclassified': 300,
+  'residential': 200,
+  'living_street': 100,
+  'service': 100,
+  'pedestrian': 0,
+  'footway': 0,
+  'cycleway': 0
+};
+
 export const PEAK_HOUR_MULTIPLIERS = {
   'primary': 2.5,
   'secondary': 2.2,
@@ -38,4 +54,136 @@ export const WEEKEND_MULTIPLIERS = {
   'dense_residential': 0.9,
   'suburban_residential': 1.1,
   'mixed_local': 0.85
-};
\ No newline at end of file
+};
+
+// Congestion above the saturation threshold spills a share of the excess into
+// adjacent datazones each hour, split evenly between neighbours
+export const NETWORK_SPILLOVER = {
+  saturationThreshold: 3.0,
+  spillRate: 0.3,
+  maxCongestion: 10.0
+};
+
+// Extra demand at school drop-off and pick-up hours on term-time weekdays
+export const SCHOOL_RUN_MULTIPLIERS = {
+  8: 1.15,
+  15: 1.25
+};
+
+// Bounds shared by manual events and event templates
+export const MAX_EVENT_DURATION_HOURS = 168;
+export const MAX_EVENT_IMPACT_FACTOR = 3.0;
+
+// Unplanned incidents. base_rate is the chance per risk-weighted street per hour;
+// capacity_reduction is the share of the street's capacity lost at moderate severity
+export const INCIDENT_TYPES = {
+  collision: {
+    base_rate: 0.000022,
+    duration_hours: [1, 4],
+    capacity_reduction: 0.4,
+    severity_weights: { minor: 0.5, moderate: 0.35, severe: 0.15 },
+    congestion_sensitive: true
+  },
+  breakdown: {
+    base_rate: 0.000033,
+    duration_hours: [1, 2],
+    capacity_reduction: 0.2,
+    severity_weights: { minor: 0.7, moderate: 0.25, severe: 0.05 },
+    congestion_sensitive: true
+  },
+  roadworks: {
+    base_rate: 0.0000066,
+    duration_hours: [24, 120],
+    capacity_reduction: 0.35,
+    severity_weights: { minor: 0.3, moderate: 0.5, severe: 0.2 },
+    congestion_sensitive: false,
+    // Crews only start work on weekdays during the day
+    start_hours: [7, 17]
+  }
+};
+
+export const INCIDENT_SEVERITY = {
+  minor: { reduction_multiplier: 0.6, duration_multiplier: 0.75 },
+  moderate: { reduction_multiplier: 1.0, duration_multiplier: 1.0 },
+  severe: { reduction_multiplier: 1.6, duration_multiplier: 1.5 }
+};
+
+// How likely each road class is to host an incident, per street
+export const INCIDENT_ROAD_RISK = {
+  'motorway': 2.0,
+  'trunk': 1.8,
+  'primary': 1.5,
+  'secondary': 1.2,
+  'tertiary': 1.0,
+  'unclassified': 0.6,
+  'residential': 0.4,
+  'living_street': 0.2,
+  'service': 0.2,
+  'pedestrian': 0,
+  'footway': 0,
+  'cycleway': 0
+};
+
+// Weather condition multipliers on the incident rate; unlisted conditions are 1.0
+export const INCIDENT_WEATHER_FACTORS = {
+  collision: { rainy: 1.5, snowy: 3.0, stormy: 2.5 },
+  breakdown: { rainy: 1.2, snowy: 2.0, stormy: 1.5 },
+  roadworks: { rainy: 0.7, snowy: 0.1, stormy: 0.2 }
+};
+
+// Free-flow speed (km/h) of each street class; classes without one carry no vehicles
+export const STREET_FREE_FLOW_SPEEDS = {
+  'motorway': 110,
+  'trunk': 90,
+  'primary': 50,
+  'secondary': 50,
+  'tertiary': 40,
+  'unclassified': 40,
+  'residential': 30,
+  'living_street': 15,
+  'service': 15
+};
+
+// How strongly each street class follows its zone's congestion - through routes
+// load up first, side streets lag behind
+export const STREET_CONGESTION_SENSITIVITY = {
+  'motorway': 1.25,
+  'trunk': 1.2,
+  'primary': 1.15,
+  'secondary': 1.1,
+  'tertiary': 1.0,
+  'unclassified': 0.85,
+  'residential': 0.7,
+  'living_street': 0.5,
+  'service': 0.5
+};
+
+// Share of a street's previous congestion carried into the next hour
+export const STREET_MOMENTUM = 0.4;
+
+// Small per-city adjustments applied to weather replayed from the shared UK file (and
+// to generated weather) so cities sharing one data source don't report identical weather
+export const CITY_WEATHER_VARIATIONS = {
+  edinburgh: {
+    tempOffset: -1.0,    // Slightly cooler
+    humidityOffset: 2,   // Slightly more humid
+    windOffset: 1.0      // Slightly windier
+  },
+  york: {
+    tempOffset: 0.5,     // Slightly warmer
+    humidityOffset: -1,  // Slightly less humid  
+    windOffset: -0.5     // Slightly less windy
+  },
+  london: {
+    tempOffset: 2.0,     // Warmer (urban heat island)
+    humidityOffset: -3,  // Less humid
+    windOffset: -1.0     // Less windy (sheltered by buildings)
+  },
+  manchester: {
+    tempOffset: 0.0,     // Same as base
+    humidityOffset: 3,   // More humid (industrial/coastal influence)
+    windOffset: 0.5      // Slightly windier
+  }
+};
+
+export const NO_WEATHER_VARIATION = { tempOffset: 0, humidityOffset: 0, windOffset: 0 };
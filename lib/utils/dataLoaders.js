@@ -2,6 +2,8 @@ import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { getCityConfig } from './cityConfigs.js';
+import { validateEventTemplate } from './eventTemplates.js';
+import { logInfo } from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -9,13 +11,16 @@ const __dirname = dirname(__filename);
 // Cache for loaded city data
 const cityDataCache = new Map();
 const cityEventsCache = new Map();
+const cityAdjacencyCache = new Map();
+const citySchoolTermsCache = new Map();
+const cityGeometryCache = new Map();
 
 export async function loadCityDatazones(cityId) {
   if (cityDataCache.has(cityId)) {
     return cityDataCache.get(cityId);
   }
   
-  console.log(`📍 Loading ${cityId} datazones data...`);
+  logInfo(`📍 Loading ${cityId} datazones data...`);
   
   try {
     const cityConfig = getCityConfig(cityId);
@@ -23,7 +28,7 @@ export async function loadCityDatazones(cityId) {
     const datazoneData = JSON.parse(readFileSync(datazoneFilePath, 'utf8'));
     
     cityDataCache.set(cityId, datazoneData);
-    console.log(`✅ Loaded ${datazoneData.length} ${cityId} datazones`);
+    logInfo(`✅ Loaded ${datazoneData.length} ${cityId} datazones`);
     return datazoneData;
     
   } catch (error) {
@@ -32,26 +37,209 @@ export async function loadCityDatazones(cityId) {
   }
 }
 
-export async function loadCityEvents(cityId) {
+// Reads the city's event templates and validates each one against the template
+// schema and the city's datazone file. Invalid templates are reported, not used.
+export async function loadCityEventTemplates(cityId) {
   if (cityEventsCache.has(cityId)) {
     return cityEventsCache.get(cityId);
   }
   
-  console.log(`🎪 Loading ${cityId} events data...`);
+  logInfo(`🎪 Loading ${cityId} events data...`);
   
+  const cityConfig = getCityConfig(cityId);
+  let eventsData;
   try {
-    const cityConfig = getCityConfig(cityId);
     const eventsFilePath = join(__dirname, '..', '..', cityConfig.events_file);
-    const eventsData = JSON.parse(readFileSync(eventsFilePath, 'utf8'));
+    eventsData = JSON.parse(readFileSync(eventsFilePath, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Failed to load ${cityId} events:`, error.message);
+    throw new Error(`Could not load events for ${cityId}. Make sure ${cityConfig.events_file} exists.`);
+  }
+  
+  if (!Array.isArray(eventsData)) {
+    throw new Error(`Invalid events file for ${cityId}: ${cityConfig.events_file} must contain an array of event templates`);
+  }
+  
+  const datazones = await loadCityDatazones(cityId);
+  const knownDatazones = new Set(datazones.map(zone => zone.datazone_code));
+  
+  const templates = eventsData.map((template, index) => {
+    const errors = validateEventTemplate(template, knownDatazones);
+    return {
+      index,
+      name: template?.name ?? null,
+      valid: errors.length === 0,
+      errors,
+      template
+    };
+  });
+  
+  const result = {
+    city_id: cityId,
+    source: cityConfig.events_file,
+    valid_count: templates.filter(entry => entry.valid).length,
+    rejected_count: templates.filter(entry => !entry.valid).length,
+    templates
+  };
+  
+  for (const entry of templates.filter(entry => !entry.valid)) {
+    console.warn(`⚠️ Rejected ${cityId} event template #${entry.index} "${entry.name}": ${entry.errors.join('; ')}`);
+  }
+  
+  cityEventsCache.set(cityId, result);
+  logInfo(`✅ Loaded ${result.valid_count} ${cityId} event types (${result.rejected_count} rejected)`);
+  return result;
+}
+
+// Templates a simulation can use. A file where nothing survives validation (usually
+// datazone codes from another release) leaves the city without template events; the
+// counts are in the simulation status and the rejections in /events/templates.
+export async function loadCityEvents(cityId) {
+  const { source, valid_count, rejected_count, templates } = await loadCityEventTemplates(cityId);
+  if (valid_count === 0) {
+    console.error(`❌ No valid ${cityId} event templates in ${source} (${rejected_count} rejected) - template events are disabled, see GET /api/cities/${cityId}/events/templates`);
+  }
+  return templates.filter(entry => entry.valid).map(entry => entry.template);
+}
+
+// Optional datazone adjacency ({ "S010...": ["S010...", ...] }) for the road network
+export async function loadCityAdjacency(cityId) {
+  const cityConfig = getCityConfig(cityId);
+  if (!cityConfig.adjacency_file) {
+    return null;
+  }
+  
+  if (cityAdjacencyCache.has(cityId)) {
+    return cityAdjacencyCache.get(cityId);
+  }
+  
+  try {
+    const adjacencyFilePath = join(__dirname, '..', '..', cityConfig.adjacency_file);
+    const adjacencyData = JSON.parse(readFileSync(adjacencyFilePath, 'utf8'));
     
-    cityEventsCache.set(cityId, eventsData);
-    console.log(`✅ Loaded ${eventsData.length} ${cityId} event types`);
-    return eventsData;
+    cityAdjacencyCache.set(cityId, adjacencyData);
+    logInfo(`✅ Loaded ${Object.keys(adjacencyData).length} ${cityId} adjacency entries`);
+    return adjacencyData;
     
   } catch (error) {
-    console.error(`❌ Failed to load ${cityId} events:`, error.message);
-    throw new Error(`Could not load events for ${cityId}. Make sure ${getCityConfig(cityId).events_file} exists.`);
+    console.error(`❌ Failed to load ${cityId} adjacency:`, error.message);
+    throw new Error(`Could not load adjacency for ${cityId}. Make sure ${cityConfig.adjacency_file} exists.`);
+  }
+}
+
+export async function loadCitySchoolTerms(cityId) {
+  const cityConfig = getCityConfig(cityId);
+  if (!cityConfig.school_terms_file) {
+    return null;
+  }
+  
+  if (citySchoolTermsCache.has(cityId)) {
+    return citySchoolTermsCache.get(cityId);
+  }
+  
+  try {
+    const termsFilePath = join(__dirname, '..', '..', cityConfig.school_terms_file);
+    const termsData = JSON.parse(readFileSync(termsFilePath, 'utf8'));
+    
+    citySchoolTermsCache.set(cityId, termsData);
+    logInfo(`✅ Loaded ${termsData.terms.length} ${cityId} school terms`);
+    return termsData;
+    
+  } catch (error) {
+    console.error(`❌ Failed to load ${cityId} school terms:`, error.message);
+    throw new Error(`Could not load school terms for ${cityId}. Make sure ${cityConfig.school_terms_file} exists.`);
+  }
+}
+
+const DATAZONE_GEOMETRY_TYPES = ['Polygon', 'MultiPolygon'];
+const STREET_GEOMETRY_TYPES = ['LineString', 'MultiLineString'];
+
+// Optional map geometry: a GeoJSON FeatureCollection whose features carry either a
+// datazone_code (polygons) or a street_id / osm_id (linestrings) property
+export async function loadCityGeometry(cityId) {
+  const cityConfig = getCityConfig(cityId);
+  if (!cityConfig.geometry_file) {
+    return null;
+  }
+  
+  if (cityGeometryCache.has(cityId)) {
+    return cityGeometryCache.get(cityId);
+  }
+  
+  let geometryData;
+  try {
+    const geometryFilePath = join(__dirname, '..', '..', cityConfig.geometry_file);
+    geometryData = JSON.parse(readFileSync(geometryFilePath, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Failed to load ${cityId} geometry:`, error.message);
+    throw new Error(`Could not load geometry for ${cityId}. Make sure ${cityConfig.geometry_file} exists.`);
+  }
+  
+  if (geometryData?.type !== 'FeatureCollection' || !Array.isArray(geometryData.features)) {
+    throw new Error(`Invalid geometry file for ${cityId}: ${cityConfig.geometry_file} must be a GeoJSON FeatureCollection`);
+  }
+  
+  const geometry = {
+    source: cityConfig.geometry_file,
+    datazones: new Map(),
+    streets: new Map(),
+    skipped: 0
+  };
+  
+  for (const feature of geometryData.features) {
+    const properties = feature?.properties || {};
+    const type = feature?.geometry?.type;
+    const streetId = properties.street_id ?? properties.osm_id;
+    
+    if (properties.datazone_code && DATAZONE_GEOMETRY_TYPES.includes(type)) {
+      geometry.datazones.set(properties.datazone_code, feature.geometry);
+    } else if (streetId !== undefined && streetId !== null && STREET_GEOMETRY_TYPES.includes(type)) {
+      geometry.streets.set(Number(streetId), feature.geometry);
+    } else {
+      geometry.skipped++;
+    }
+  }
+  
+  if (geometry.skipped > 0) {
+    console.warn(`⚠️ Skipped ${geometry.skipped} ${cityId} geometry features without a datazone_code polygon or street_id linestring`);
   }
+  
+  cityGeometryCache.set(cityId, geometry);
+  logInfo(`✅ Loaded ${cityId} geometry: ${geometry.datazones.size} datazones, ${geometry.streets.size} streets`);
+  return geometry;
+}
+
+// Shared traffic inputs (not per-city) - loaded once and cached
+const sharedDataCache = new Map();
+
+function loadSharedJson(relativePath, label) {
+  if (sharedDataCache.has(relativePath)) {
+    return sharedDataCache.get(relativePath);
+  }
+  
+  try {
+    const data = JSON.parse(readFileSync(join(__dirname, '..', '..', relativePath), 'utf8'));
+    sharedDataCache.set(relativePath, data);
+    logInfo(`✅ Loaded ${label} from ${relativePath}`);
+    return data;
+    
+  } catch (error) {
+    console.error(`❌ Failed to load ${label}:`, error.message);
+    throw new Error(`Could not load ${label}. Make sure ${relativePath} exists.`);
+  }
+}
+
+export async function loadCityTrafficProfile(cityId) {
+  const cityConfig = getCityConfig(cityId);
+  const profileFile = cityConfig.traffic_profile_file || 'base_traffic_patterns.json';
+  return {
+    source: profileFile,
+    data: loadSharedJson(profileFile, `${cityId} traffic profile`)
+  };
+}
+
+export async function loadDemandWeights() {
+  return loadSharedJson('data/demand/od_weights.json', 'OD demand weights');
 }
 
 // Legacy function for backward compatibility
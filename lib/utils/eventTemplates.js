@@ -0,0 +1,228 @@
+import { MAX_EVENT_IMPACT_FACTOR } from './constants.js';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// 'eligible' templates are placed at random on dates that pass the rules;
+// 'recurring' templates get an occurrence on every date that passes them
+export const RECURRENCE_TYPES = ['eligible', 'recurring'];
+const RECURRENCE_FIELDS = ['type', 'days_of_week', 'months', 'dates', 'window', 'every_n_weeks', 'anchor_date'];
+const RECURRENCE_RULES = ['days_of_week', 'months', 'dates', 'window', 'every_n_weeks'];
+
+// Fields an event template in data/events/<city>_events.json may carry
+export const EVENT_TEMPLATE_FIELDS = {
+  type: { required: true },
+  name: { required: true },
+  description: { required: false },
+  location_description: { required: false },
+  affected_datazones: { required: true },
+  impact_factor: { required: true },
+  start_hour: { required: true },
+  end_hour: { required: true },
+  duration_hours: { required: true },
+  recurrence: { required: false }
+};
+
+// Keys older files used for a field that has since been renamed
+const RENAMED_FIELDS = {
+  datazones: 'affected_datazones'
+};
+
+const isHour = (value) => Number.isInteger(value) && value >= 0 && value <= 23;
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+const isMonthDay = (value) => typeof value === 'string' && /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/.test(value);
+const isFullDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) && isMonthDay(value.slice(5));
+
+function validateRecurrence(recurrence) {
+  if (!recurrence || typeof recurrence !== 'object' || Array.isArray(recurrence)) {
+    return ['recurrence must be an object'];
+  }
+  
+  const errors = [];
+  
+  for (const field of Object.keys(recurrence)) {
+    if (!RECURRENCE_FIELDS.includes(field)) {
+      errors.push(`unknown recurrence field '${field}'`);
+    }
+  }
+  
+  if (recurrence.type !== undefined && !RECURRENCE_TYPES.includes(recurrence.type)) {
+    errors.push(`recurrence.type must be one of: ${RECURRENCE_TYPES.join(', ')}`);
+  }
+  
+  if (recurrence.days_of_week !== undefined) {
+    if (!Array.isArray(recurrence.days_of_week) || recurrence.days_of_week.length === 0 ||
+      !recurrence.days_of_week.every(day => DAY_NAMES.includes(day))) {
+      errors.push(`recurrence.days_of_week must be a non-empty array of: ${DAY_NAMES.join(', ')}`);
+    }
+  }
+  
+  if (recurrence.months !== undefined) {
+    if (!Array.isArray(recurrence.months) || recurrence.months.length === 0 ||
+      !recurrence.months.every(month => Number.isInteger(month) && month >= 1 && month <= 12)) {
+      errors.push('recurrence.months must be a non-empty array of month numbers 1-12');
+    }
+  }
+  
+  if (recurrence.dates !== undefined) {
+    if (!Array.isArray(recurrence.dates) || recurrence.dates.length === 0 ||
+      !recurrence.dates.every(date => isMonthDay(date) || isFullDate(date))) {
+      errors.push('recurrence.dates must be a non-empty array of MM-DD (every year) or YYYY-MM-DD dates');
+    }
+  }
+  
+  if (recurrence.window !== undefined) {
+    const window = recurrence.window;
+    if (!window || typeof window !== 'object' || !isMonthDay(window.start) || !isMonthDay(window.end) ||
+      Object.keys(window).some(key => key !== 'start' && key !== 'end')) {
+      errors.push('recurrence.window must be { "start": "MM-DD", "end": "MM-DD" }');
+    }
+  }
+  
+  if (recurrence.every_n_weeks !== undefined) {
+    if (!Number.isInteger(recurrence.every_n_weeks) || recurrence.every_n_weeks < 1) {
+      errors.push('recurrence.every_n_weeks must be a whole number of at least 1');
+    }
+    if (!isFullDate(recurrence.anchor_date)) {
+      errors.push('recurrence.every_n_weeks needs an anchor_date (YYYY-MM-DD) in a week the event runs');
+    }
+  } else if (recurrence.anchor_date !== undefined) {
+    errors.push('recurrence.anchor_date is only used with every_n_weeks');
+  }
+  
+  if (recurrence.type === 'recurring' && !RECURRENCE_RULES.some(rule => recurrence[rule] !== undefined)) {
+    errors.push(`a recurring template needs at least one of: ${RECURRENCE_RULES.join(', ')}`);
+  }
+  
+  return errors;
+}
+
+export function getRecurrenceType(template) {
+  return template.recurrence?.type || 'eligible';
+}
+
+// Whether a template may run on a local calendar date ('YYYY-MM-DD').
+// Templates without recurrence rules are eligible every day.
+export function isTemplateEligibleOn(template, dateKey) {
+  const recurrence = template.recurrence;
+  if (!recurrence) {
+    return true;
+  }
+  
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const monthDay = dateKey.slice(5);
+  const dateMs = Date.UTC(year, month - 1, day);
+  const dayOfWeek = new Date(dateMs).getUTCDay();
+  
+  if (recurrence.days_of_week && !recurrence.days_of_week.includes(DAY_NAMES[dayOfWeek])) {
+    return false;
+  }
+  
+  if (recurrence.months && !recurrence.months.includes(month)) {
+    return false;
+  }
+  
+  if (recurrence.dates && !recurrence.dates.some(date => date === dateKey || date === monthDay)) {
+    return false;
+  }
+  
+  if (recurrence.window) {
+    const { start, end } = recurrence.window;
+    // Windows may wrap the new year, e.g. 12-20 to 01-05
+    const inWindow = start <= end ?
+      monthDay >= start && monthDay <= end :
+      monthDay >= start || monthDay <= end;
+    if (!inWindow) {
+      return false;
+    }
+  }
+  
+  if (recurrence.every_n_weeks) {
+    const [anchorYear, anchorMonth, anchorDay] = recurrence.anchor_date.split('-').map(Number);
+    const weeks = Math.floor((dateMs - Date.UTC(anchorYear, anchorMonth - 1, anchorDay)) / (7 * 24 * 60 * 60 * 1000));
+    if (((weeks % recurrence.every_n_weeks) + recurrence.every_n_weeks) % recurrence.every_n_weeks !== 0) {
+      return false;
+    }
+  }
+  
+  return true;
+}
+
+// Returns a list of problems with one template; empty when it is valid.
+// knownDatazones: Set of the city's datazone codes
+export function validateEventTemplate(template, knownDatazones = null) {
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    return ['template must be an object'];
+  }
+  
+  const errors = [];
+  
+  for (const field of Object.keys(template)) {
+    if (RENAMED_FIELDS[field]) {
+      errors.push(`unknown field '${field}' (use '${RENAMED_FIELDS[field]}')`);
+    } else if (!EVENT_TEMPLATE_FIELDS[field]) {
+      errors.push(`unknown field '${field}'`);
+    }
+  }
+  
+  for (const [field, { required }] of Object.entries(EVENT_TEMPLATE_FIELDS)) {
+    if (required && template[field] === undefined) {
+      errors.push(`missing required field '${field}'`);
+    }
+  }
+  
+  for (const field of ['type', 'name']) {
+    if (template[field] !== undefined && !isNonEmptyString(template[field])) {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  }
+  
+  for (const field of ['description', 'location_description']) {
+    if (template[field] !== undefined && typeof template[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  }
+  
+  if (template.affected_datazones !== undefined) {
+    if (!Array.isArray(template.affected_datazones) || template.affected_datazones.length === 0) {
+      errors.push('affected_datazones must be a non-empty array of datazone codes');
+    } else if (knownDatazones) {
+      const unknown = template.affected_datazones.filter(code => !knownDatazones.has(code));
+      if (unknown.length > 0) {
+        errors.push(`affected_datazones not in the city's datazone file: ${unknown.join(', ')}`);
+      }
+    }
+  }
+  
+  if (template.impact_factor !== undefined) {
+    const impact = template.impact_factor;
+    if (typeof impact !== 'number' || !Number.isFinite(impact) || impact <= 0 || impact > MAX_EVENT_IMPACT_FACTOR) {
+      errors.push(`impact_factor must be a number greater than 0 and at most ${MAX_EVENT_IMPACT_FACTOR}`);
+    }
+  }
+  
+  for (const field of ['start_hour', 'end_hour']) {
+    if (template[field] !== undefined && !isHour(template[field])) {
+      errors.push(`${field} must be a whole hour between 0 and 23 (got ${JSON.stringify(template[field])})`);
+    }
+  }
+  
+  const duration = template.duration_hours;
+  const durationValid = Number.isInteger(duration) && duration >= 1 && duration <= 24;
+  if (duration !== undefined && !durationValid) {
+    errors.push(`duration_hours must be a whole number between 1 and 24 (got ${JSON.stringify(duration)})`);
+  }
+  
+  if (isHour(template.start_hour) && isHour(template.end_hour) && durationValid) {
+    const expectedEnd = (template.start_hour + duration) % 24;
+    if (expectedEnd !== template.end_hour) {
+      errors.push(`end_hour ${template.end_hour} does not match start_hour ${template.start_hour} + duration_hours ${duration} (expected ${expectedEnd})`);
+    }
+  }
+  
+  if (template.recurrence !== undefined) {
+    errors.push(...validateRecurrence(template.recurrence));
+  }
+  
+  return errors;
+}
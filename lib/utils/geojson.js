@@ -0,0 +1,109 @@
+export const GEOJSON_LAYERS = ['datazones', 'streets'];
+
+// Datazone -> active event IDs, and datazone/street -> active incident IDs
+function collectActiveFlags(hourData) {
+  const zoneEvents = new Map();
+  const zoneIncidents = new Map();
+  const streetIncidents = new Map();
+  const add = (map, key, id) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(id);
+  };
+
+  for (const event of hourData.events?.events || []) {
+    if (event.status !== 'active') continue;
+    for (const datazoneCode of event.affected_datazones || []) {
+      add(zoneEvents, datazoneCode, event.id);
+    }
+  }
+
+  for (const incident of hourData.incidents?.incidents || []) {
+    if (incident.status === 'cleared') continue;
+    add(zoneIncidents, incident.datazone_code, incident.id);
+    add(streetIncidents, incident.street_id, incident.id);
+  }
+
+  return { zoneEvents, zoneIncidents, streetIncidents };
+}
+
+function datazoneFeatures(hourData, geometry, flags) {
+  return hourData.traffic.datazones.map(zone => {
+    const eventIds = flags.zoneEvents.get(zone.datazone_code) || [];
+    const incidentIds = flags.zoneIncidents.get(zone.datazone_code) || [];
+
+    return {
+      type: 'Feature',
+      id: zone.datazone_code,
+      geometry: geometry.datazones.get(zone.datazone_code) || null,
+      properties: {
+        datazone_code: zone.datazone_code,
+        congestion: zone.datazone_congestion,
+        congestion_trend: zone.congestion_trend,
+        area_type: zone.area_type,
+        vehicle_volume: zone.vehicle_volume ?? null,
+        has_active_event: eventIds.length > 0,
+        active_event_ids: eventIds,
+        has_active_incident: incidentIds.length > 0,
+        active_incident_ids: incidentIds,
+        incident_capacity_loss: zone.incident_capacity_loss ?? 0
+      }
+    };
+  });
+}
+
+function streetFeatures(hourData, geometry, flags) {
+  return hourData.traffic.datazones.flatMap(zone => {
+    const hasActiveEvent = flags.zoneEvents.has(zone.datazone_code);
+
+    return (zone.street_congestion || []).map(street => {
+      const incidentIds = flags.streetIncidents.get(street.street_id) || [];
+
+      return {
+        type: 'Feature',
+        id: street.street_id,
+        geometry: geometry.streets.get(Number(street.street_id)) || null,
+        properties: {
+          street_id: street.street_id,
+          datazone_code: zone.datazone_code,
+          road_class: street.road_class ?? null,
+          congestion: street.congestion_level,
+          speed: street.speed ?? null,
+          datazone_congestion_trend: zone.congestion_trend,
+          area_type: zone.area_type,
+          has_active_event: hasActiveEvent,
+          has_active_incident: incidentIds.length > 0,
+          active_incident_ids: incidentIds
+        }
+      };
+    });
+  });
+}
+
+// FeatureCollection for one layer of a generated hour. Features the geometry file
+// doesn't cover are dropped and counted in metadata.missing_geometry.
+export function buildGeoJsonLayer(layer, hourData, geometry) {
+  if (!GEOJSON_LAYERS.includes(layer)) {
+    throw new Error(`Unknown layer '${layer}'. Expected one of: ${GEOJSON_LAYERS.join(', ')}`);
+  }
+
+  const flags = collectActiveFlags(hourData);
+  const allFeatures = layer === 'datazones' ?
+    datazoneFeatures(hourData, geometry, flags) :
+    streetFeatures(hourData, geometry, flags);
+  const features = allFeatures.filter(feature => feature.geometry !== null);
+
+  return {
+    type: 'FeatureCollection',
+    features,
+    metadata: {
+      simulation_id: hourData.simulation_id,
+      city_id: hourData.city_id,
+      layer,
+      timestamp: hourData.timestamp,
+      local_timestamp: hourData.local_timestamp,
+      geometry_source: geometry.source,
+      feature_count: features.length,
+      missing_geometry: allFeatures.length - features.length
+    }
+  };
+}
@@ -0,0 +1,127 @@
+import { createWriteStream, mkdirSync } from 'fs';
+import { join } from 'path';
+import { formatHourRecord, pickFields } from './hourRecords.js';
+
+export const DEFAULT_HISTORY_HOURS = 336;
+
+// Fixed-size ring buffer of generated hours, oldest overwritten first.
+// Optionally mirrors every hour to an NDJSON append log on disk.
+export class HourHistory {
+  constructor({ capacity = DEFAULT_HISTORY_HOURS, logDirectory = null, logName = 'history' } = {}) {
+    this.capacity = capacity;
+    this.buffer = new Array(capacity);
+    this.head = 0;
+    this.count = 0;
+    this.totalRecorded = 0;
+    
+    this.logPath = logDirectory ? join(logDirectory, `${logName}.ndjson`) : null;
+    this.logStream = null;
+  }
+
+  record(eventId, hourData) {
+    const record = {
+      event_id: eventId,
+      ...formatHourRecord(hourData, 'datazones')
+    };
+    
+    this.buffer[this.head] = record;
+    this.head = (this.head + 1) % this.capacity;
+    this.count = Math.min(this.count + 1, this.capacity);
+    this.totalRecorded++;
+    
+    this.appendToLog(record);
+  }
+
+  appendToLog(record) {
+    if (!this.logPath) return;
+    
+    if (!this.logStream) {
+      mkdirSync(join(this.logPath, '..'), { recursive: true });
+      this.logStream = createWriteStream(this.logPath, { flags: 'a' });
+      this.logStream.on('error', (error) => {
+        console.error(`❌ History log ${this.logPath} failed, disabling:`, error.message);
+        this.logPath = null;
+        this.logStream = null;
+      });
+    }
+    
+    this.logStream.write(`${JSON.stringify(record)}\n`);
+  }
+
+  close() {
+    if (this.logStream) {
+      this.logStream.end();
+      this.logStream = null;
+    }
+  }
+
+  // Oldest to newest
+  entries() {
+    const ordered = [];
+    const start = (this.head - this.count + this.capacity) % this.capacity;
+    for (let i = 0; i < this.count; i++) {
+      ordered.push(this.buffer[(start + i) % this.capacity]);
+    }
+    return ordered;
+  }
+
+  query({ from = null, to = null, fields = null, maxPoints = null } = {}) {
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+    
+    let series = this.entries().filter(record => {
+      const time = new Date(record.timestamp).getTime();
+      return time >= fromTime && time <= toTime;
+    });
+    
+    if (fields && fields.length > 0) {
+      series = series.map(record => ({
+        event_id: record.event_id,
+        timestamp: record.timestamp,
+        ...pickFields(record, fields)
+      }));
+    }
+    
+    if (maxPoints && series.length > maxPoints) {
+      series = downsample(series, maxPoints);
+    }
+    
+    return series;
+  }
+
+  getStats() {
+    const entries = this.entries();
+    return {
+      capacity: this.capacity,
+      stored_hours: this.count,
+      total_recorded: this.totalRecorded,
+      oldest_timestamp: entries[0]?.timestamp || null,
+      newest_timestamp: entries[entries.length - 1]?.timestamp || null,
+      log_path: this.logPath
+    };
+  }
+}
+
+// Bucket the series into maxPoints groups: numbers are averaged, anything
+// else (strings, arrays, objects) keeps the last value in the bucket
+function downsample(series, maxPoints) {
+  const bucketSize = Math.ceil(series.length / maxPoints);
+  const buckets = [];
+  
+  for (let i = 0; i < series.length; i += bucketSize) {
+    const bucket = series.slice(i, i + bucketSize);
+    const last = bucket[bucket.length - 1];
+    const merged = { ...last, timestamp: bucket[0].timestamp, bucket_hours: bucket.length };
+    
+    for (const [key, value] of Object.entries(last)) {
+      if (typeof value === 'number' && key !== 'event_id') {
+        const sum = bucket.reduce((total, record) => total + (record[key] ?? 0), 0);
+        merged[key] = Math.round((sum / bucket.length) * 100) / 100;
+      }
+    }
+    
+    buckets.push(merged);
+  }
+  
+  return buckets;
+}
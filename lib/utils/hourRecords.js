@@ -0,0 +1,114 @@
+export const HOUR_DETAIL_LEVELS = ['summary', 'datazones', 'full'];
+
+// Shape one generated hour for batch output and history. 'summary' keeps city-level
+// aggregates, 'datazones' adds per-zone congestion, 'full' is the raw payload.
+export function formatHourRecord(hourData, detail = 'datazones') {
+  if (detail === 'full') {
+    return hourData;
+  }
+  
+  const { traffic } = hourData;
+  const record = {
+    timestamp: hourData.timestamp,
+    local_timestamp: hourData.local_timestamp,
+    hour: hourData.hour,
+    calendar: hourData.calendar,
+    weather: hourData.weather,
+    events: {
+      active_count: hourData.events.active_count,
+      scheduled_count: hourData.events.scheduled_count,
+      completed_count: hourData.events.completed_count,
+      active_event_ids: hourData.events.events.filter(event => event.status === 'active').map(event => event.id)
+    },
+    incidents: hourData.incidents ? {
+      active_count: hourData.incidents.active_count,
+      active_by_type: hourData.incidents.active_by_type,
+      active_incident_ids: hourData.incidents.incidents.filter(incident => incident.status !== 'cleared').map(incident => incident.id)
+    } : null,
+    traffic: {
+      congestion_level: traffic.congestion_level,
+      average_speed: traffic.average_speed,
+      total_vehicles: traffic.total_vehicles,
+      peak_hour: traffic.peak_hour,
+      weather_impact: traffic.weather_impact,
+      events_impact: traffic.events_impact,
+      incident_lost_capacity: traffic.incident_lost_capacity,
+      incident_zones: traffic.incident_zones
+    }
+  };
+  
+  if (detail === 'datazones') {
+    record.traffic.datazones = traffic.datazones.map(zone => ({
+      datazone_code: zone.datazone_code,
+      datazone_congestion: zone.datazone_congestion,
+      area_type: zone.area_type,
+      congestion_trend: zone.congestion_trend
+    }));
+  }
+  
+  return record;
+}
+
+// Keys every normalized row starts with, so rows join back up on (simulation_id, timestamp)
+// and carry the seed that replays them
+export function hourRowKeys(hourData) {
+  return {
+    simulation_id: hourData.simulation_id,
+    city_id: hourData.city_id,
+    seed: hourData.seed,
+    timestamp: hourData.timestamp,
+    local_timestamp: hourData.local_timestamp ?? null,
+    hour: hourData.hour
+  };
+}
+
+// Vehicle and speed figures reported for a zone, derived from its congestion when the
+// traffic model doesn't provide them
+export function estimateZoneTraffic(zone) {
+  return {
+    estimated_vehicles: zone.vehicle_volume ?? Math.round(zone.datazone_congestion * 50),
+    average_speed: Math.max(5, 50 - (zone.datazone_congestion * 8))
+  };
+}
+
+// One row per datazone for the hour, with the events and incidents active in it
+export function buildDatazoneRows(hourData) {
+  const eventIdsByZone = new Map();
+  for (const event of hourData.events.events) {
+    if (event.status !== 'active') continue;
+    for (const code of event.affected_datazones || []) {
+      if (!eventIdsByZone.has(code)) eventIdsByZone.set(code, []);
+      eventIdsByZone.get(code).push(event.id);
+    }
+  }
+
+  const keys = hourRowKeys(hourData);
+  return hourData.traffic.datazones.map(zone => ({
+    ...keys,
+    datazone_code: zone.datazone_code,
+    area_type: zone.area_type,
+    datazone_congestion: zone.datazone_congestion,
+    congestion_trend: zone.congestion_trend,
+    ...estimateZoneTraffic(zone),
+    incident_capacity_loss: zone.incident_capacity_loss || 0,
+    active_event_ids: eventIdsByZone.get(zone.datazone_code) || [],
+    active_incident_ids: zone.active_incident_ids || []
+  }));
+}
+
+// Pick dotted paths (e.g. "traffic.congestion_level") out of a record
+export function pickFields(record, fields) {
+  const picked = {};
+  
+  for (const field of fields) {
+    let value = record;
+    for (const key of field.split('.')) {
+      value = value?.[key];
+    }
+    if (value !== undefined) {
+      picked[field] = value;
+    }
+  }
+  
+  return picked;
+}
@@ -0,0 +1,11 @@
+// Progress and lifecycle messages. Warnings and errors go straight to console.warn and
+// console.error; LOG_LEVEL=warn (or error) switches these off.
+const QUIET_LEVELS = ['warn', 'error', 'silent'];
+
+export const isInfoLogging = () => !QUIET_LEVELS.includes(process.env.LOG_LEVEL);
+
+export function logInfo(...args) {
+  if (isInfoLogging()) {
+    console.log(...args);
+  }
+}
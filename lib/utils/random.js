@@ -0,0 +1,55 @@
+// Seedable PRNG (mulberry32) so a simulation run can be replayed exactly.
+// All simulators of one CitySimulation share a single instance - the order of
+// draws is deterministic, so the same seed gives the same sequence of hours.
+
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return seed >>> 0;
+  }
+  
+  const seedString = String(seed);
+  if (/^\d+$/.test(seedString)) {
+    return Number(seedString) >>> 0;
+  }
+  
+  // FNV-1a hash so string seeds like "demo-2024" are accepted too
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seedString.length; i++) {
+    hash ^= seedString.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Stable value in [0, 1) for an identifier such as a street ID - independent of the
+// simulation seed, so the same street always gets the same number
+export function hashToUnit(value) {
+  return new SeededRandom(normalizeSeed(`id:${value}`)).random();
+}
+
+export function generateSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+export class SeededRandom {
+  constructor(seed = generateSeed()) {
+    this.seed = normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  random() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
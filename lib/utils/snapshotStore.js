@@ -0,0 +1,144 @@
+import { mkdir, readFile, readdir, rename, unlink, writeFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { logInfo } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_SNAPSHOT_DIR = join(__dirname, '..', '..', 'snapshots');
+const AUTOSAVE_SUBDIR = 'autosave';
+
+// Snapshot IDs end up in file names - keep them to a safe character set
+export const SAFE_ID_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+export const isSafeId = (id) => typeof id === 'string' && SAFE_ID_PATTERN.test(id);
+
+function assertSafeId(id, label) {
+  if (!isSafeId(id)) {
+    throw new Error(`Invalid ${label} '${id}' - only letters, numbers, '_', '-' and '.' are allowed`);
+  }
+}
+
+// Write to a temp file then rename so a crash never leaves a half-written snapshot
+export async function writeJsonAtomic(filePath, data) {
+  await mkdir(dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  await writeFile(tempPath, JSON.stringify(data), 'utf8');
+  await rename(tempPath, filePath);
+}
+
+async function listJsonFiles(directory) {
+  try {
+    const entries = await readdir(directory, { withFileTypes: true });
+    return entries.filter(entry => entry.isFile() && entry.name.endsWith('.json')).map(entry => entry.name);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+export class SnapshotStore {
+  constructor(directory = process.env.SNAPSHOT_DIR || DEFAULT_SNAPSHOT_DIR) {
+    this.directory = directory;
+    this.autosaveDirectory = join(directory, AUTOSAVE_SUBDIR);
+  }
+
+  async save(simulation, { label = null } = {}) {
+    const savedAt = new Date();
+    const snapshotId = `${simulation.id}_${savedAt.getTime()}`;
+    assertSafeId(snapshotId, 'snapshot id');
+    
+    const snapshot = {
+      snapshot_id: snapshotId,
+      label: label,
+      saved_at: savedAt.toISOString(),
+      ...simulation.serializeState()
+    };
+    
+    await writeJsonAtomic(join(this.directory, `${snapshotId}.json`), snapshot);
+    logInfo(`💾 Saved snapshot ${snapshotId} for ${simulation.cityConfig.name} simulation ${simulation.id}`);
+    
+    return this.describe(snapshot);
+  }
+
+  async load(snapshotId) {
+    assertSafeId(snapshotId, 'snapshot id');
+    
+    try {
+      return JSON.parse(await readFile(join(this.directory, `${snapshotId}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Snapshot ${snapshotId} not found`);
+      }
+      throw error;
+    }
+  }
+
+  async list({ simulationId = null } = {}) {
+    const snapshots = [];
+    
+    for (const fileName of await listJsonFiles(this.directory)) {
+      try {
+        const snapshot = JSON.parse(await readFile(join(this.directory, fileName), 'utf8'));
+        if (!simulationId || snapshot.simulation_id === simulationId) {
+          snapshots.push(this.describe(snapshot));
+        }
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable snapshot ${fileName}:`, error.message);
+      }
+    }
+    
+    return snapshots.sort((a, b) => b.saved_at.localeCompare(a.saved_at));
+  }
+
+  describe(snapshot) {
+    return {
+      snapshot_id: snapshot.snapshot_id,
+      label: snapshot.label,
+      saved_at: snapshot.saved_at,
+      simulation_id: snapshot.simulation_id,
+      city_id: snapshot.city_id,
+      state: snapshot.state,
+      seed: snapshot.seed,
+      current_time: snapshot.current_time,
+      hour_counter: snapshot.hour_counter
+    };
+  }
+
+  // Autosaves hold one rolling snapshot per live simulation, restored on boot
+  async autosave(simulation) {
+    assertSafeId(simulation.id, 'simulation id');
+    
+    await writeJsonAtomic(join(this.autosaveDirectory, `${simulation.id}.json`), {
+      snapshot_id: `autosave_${simulation.id}`,
+      label: 'autosave',
+      saved_at: new Date().toISOString(),
+      ...simulation.serializeState()
+    });
+  }
+
+  async removeAutosave(simulationId) {
+    if (!isSafeId(simulationId)) return;
+    
+    try {
+      await unlink(join(this.autosaveDirectory, `${simulationId}.json`));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async loadAutosaves() {
+    const snapshots = [];
+    
+    for (const fileName of await listJsonFiles(this.autosaveDirectory)) {
+      try {
+        snapshots.push(JSON.parse(await readFile(join(this.autosaveDirectory, fileName), 'utf8')));
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable autosave ${fileName}:`, error.message);
+      }
+    }
+    
+    return snapshots;
+  }
+}
@@ -0,0 +1,39 @@
+export const SSE_HEARTBEAT_INTERVAL_MS = 15000;
+export const SSE_RETRY_MS = 5000;
+
+export function openSseStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Stop reverse proxies (nginx, Render) from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+}
+
+export function writeSseEvent(res, { id, event, data }) {
+  let message = '';
+  if (id !== undefined && id !== null) message += `id: ${id}\n`;
+  if (event) message += `event: ${event}\n`;
+  
+  for (const line of JSON.stringify(data).split('\n')) {
+    message += `data: ${line}\n`;
+  }
+  
+  res.write(`${message}\n`);
+}
+
+export function writeSseComment(res, comment) {
+  res.write(`: ${comment}\n\n`);
+}
+
+export function parseLastEventId(req) {
+  const rawId = req.get('Last-Event-ID') ?? req.query.last_event_id;
+  if (rawId === undefined || rawId === '') return null;
+  
+  const lastEventId = parseInt(rawId);
+  return Number.isNaN(lastEventId) ? null : lastEventId;
+}
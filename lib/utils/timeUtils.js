@@ -6,13 +6,13 @@ export const calculateHoursUntilStart = (event, currentTime) => {
   return 0;
 };
 
-export const calculateHoursRemaining = (event, currentTime) => {
+export const calculateHoursRemaining = (event, currentTime, timeZone) => {
   if (event.actual_end_time) {
     const msRemaining = event.actual_end_time.getTime() - currentTime.getTime();
     return Math.max(0, Math.round(msRemaining / (60 * 60 * 1000)));
   }
   
-  const currentHour = currentTime.getHours();
+  const currentHour = getLocalHour(currentTime, timeZone);
   if (currentHour <= event.end_hour) {
     return event.end_hour - currentHour;
   }
@@ -20,12 +20,92 @@ export const calculateHoursRemaining = (event, currentTime) => {
   return 0;
 };
 
-export const getDateKey = (date) => {
-  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+// Wall-clock fields of an instant in an IANA timezone (the host timezone when omitted).
+// All simulation time reasoning goes through these rather than Date#getHours()/getDay().
+const zonedFormatters = new Map();
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const getZonedFormatter = (timeZone) => {
+  const key = timeZone || '';
+  if (!zonedFormatters.has(key)) {
+    zonedFormatters.set(key, new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return zonedFormatters.get(key);
+};
+
+export const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getZonedFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    dayOfWeek: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+export const getLocalHour = (date, timeZone) => getZonedParts(date, timeZone).hour;
+
+export const getLocalDayOfWeek = (date, timeZone) => getZonedParts(date, timeZone).dayOfWeek;
+
+// Minutes ahead of UTC at this instant, e.g. 60 during BST
+export const getTimezoneOffsetMinutes = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+// ISO 8601 with the local offset, e.g. 2025-07-01T08:00:00+01:00
+export const toLocalISOString = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const offset = getTimezoneOffsetMinutes(date, timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+  const sign = offset < 0 ? '-' : '+';
+  
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+};
+
+// The instant a local wall-clock hour starts. On the 25-hour day the repeated hour
+// resolves to its first occurrence; on the 23-hour day the skipped hour rolls forward.
+export const zonedTimeToDate = (year, month, day, hour, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, hour);
+  const dayMs = 24 * 60 * 60 * 1000;
+  const candidates = [guess - dayMs, guess + dayMs]
+    .map(probe => new Date(guess - getTimezoneOffsetMinutes(new Date(probe), timeZone) * 60000))
+    .sort((a, b) => a - b);
+  
+  const exact = candidates.find(candidate => {
+    const parts = getZonedParts(candidate, timeZone);
+    return parts.day === day && parts.hour === hour;
+  });
+  
+  return exact || candidates[candidates.length - 1];
+};
+
+export const getDateKey = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
 };
 
-export const getSeason = (date) => {
-  const month = date.getMonth();
+export const getSeason = (date, timeZone) => {
+  const month = getZonedParts(date, timeZone).month - 1;
   if (month >= 2 && month <= 4) return 'spring';
   if (month >= 5 && month <= 7) return 'summer';
   if (month >= 8 && month <= 10) return 'autumn';
@@ -0,0 +1,179 @@
+import { getDateKey, getZonedParts } from './timeUtils.js';
+
+export const CALENDAR_REGIONS = ['scotland', 'england'];
+
+// Bank holidays that move to the next free weekday when they land on a weekend
+const FIXED_HOLIDAYS = {
+  scotland: [
+    { month: 1, day: 1, name: "New Year's Day" },
+    { month: 1, day: 2, name: '2nd January' },
+    { month: 11, day: 30, name: "St Andrew's Day" },
+    { month: 12, day: 25, name: 'Christmas Day' },
+    { month: 12, day: 26, name: 'Boxing Day' }
+  ],
+  england: [
+    { month: 1, day: 1, name: "New Year's Day" },
+    { month: 12, day: 25, name: 'Christmas Day' },
+    { month: 12, day: 26, name: 'Boxing Day' }
+  ]
+};
+
+// Dates are handled as UTC midnights so the rules never drift with the host timezone
+const toKey = (date) => date.toISOString().slice(0, 10);
+const utcDate = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+const addDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+// Anonymous Gregorian algorithm
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return utcDate(year, month, day);
+}
+
+function firstMonday(year, month) {
+  const first = utcDate(year, month, 1);
+  return addDays(first, (8 - first.getUTCDay()) % 7);
+}
+
+function lastMonday(year, month) {
+  const last = utcDate(year, month + 1, 0);
+  return addDays(last, -((last.getUTCDay() + 6) % 7));
+}
+
+// Returns [{ date: 'YYYY-MM-DD', name }] sorted by date
+export function getBankHolidays(year, region) {
+  if (!CALENDAR_REGIONS.includes(region)) {
+    throw new Error(`Unknown calendar region '${region}'. Expected one of: ${CALENDAR_REGIONS.join(', ')}`);
+  }
+
+  const easter = easterSunday(year);
+  const holidays = new Map();
+
+  holidays.set(toKey(addDays(easter, -2)), 'Good Friday');
+  if (region === 'england') {
+    holidays.set(toKey(addDays(easter, 1)), 'Easter Monday');
+  }
+  holidays.set(toKey(firstMonday(year, 5)), 'Early May bank holiday');
+  holidays.set(toKey(lastMonday(year, 5)), 'Spring bank holiday');
+  holidays.set(toKey(region === 'scotland' ? firstMonday(year, 8) : lastMonday(year, 8)), 'Summer bank holiday');
+
+  // Weekday fixed holidays first, so a substitute never displaces one (Christmas on a
+  // Sunday moves to the Tuesday because Boxing Day keeps the Monday)
+  const isWeekend = (date) => date.getUTCDay() === 0 || date.getUTCDay() === 6;
+  const fixed = FIXED_HOLIDAYS[region].map(({ month, day, name }) => ({ date: utcDate(year, month, day), name }));
+  for (const { date, name } of fixed.filter(holiday => !isWeekend(holiday.date))) {
+    holidays.set(toKey(date), name);
+  }
+  for (const { date, name } of fixed.filter(holiday => isWeekend(holiday.date))) {
+    let substitute = date;
+    while (isWeekend(substitute) || holidays.has(toKey(substitute))) {
+      substitute = addDays(substitute, 1);
+    }
+    holidays.set(toKey(substitute), `${name} (substitute day)`);
+  }
+
+  return Array.from(holidays.entries())
+    .map(([date, name]) => ({ date, name }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Academic years run August to July; 2024 means 2024-25
+const academicYearOf = (dateKey) => {
+  const [year, month] = dateKey.split('-').map(Number);
+  return month >= 8 ? year : year - 1;
+};
+
+// Bank holidays for the city's nation plus its school terms from data/calendar
+export class CityCalendar {
+  constructor(cityId, region, schoolTerms = null, timeZone = undefined) {
+    if (!CALENDAR_REGIONS.includes(region)) {
+      throw new Error(`Unknown calendar region '${region}' for ${cityId}. Expected one of: ${CALENDAR_REGIONS.join(', ')}`);
+    }
+
+    this.cityId = cityId;
+    this.region = region;
+    this.timeZone = timeZone;
+    this.holidayCache = new Map();
+    this.terms = (schoolTerms?.terms || []).map(term => ({ ...term }));
+    this.termYears = Array.from(new Set(this.terms.map(term => academicYearOf(term.start)))).sort((a, b) => a - b);
+  }
+
+  getHolidaysForYear(year) {
+    if (!this.holidayCache.has(year)) {
+      this.holidayCache.set(year, new Map(getBankHolidays(year, this.region).map(holiday => [holiday.date, holiday.name])));
+    }
+    return this.holidayCache.get(year);
+  }
+
+  // Name of the bank holiday on this date, or null
+  getHoliday(date) {
+    return this.getHolidaysForYear(getZonedParts(date, this.timeZone).year).get(getDateKey(date, this.timeZone)) || null;
+  }
+
+  isHoliday(date) {
+    return this.getHoliday(date) !== null;
+  }
+
+  // Dates outside the covered academic years borrow the nearest covered year
+  getTermDateKey(dateKey) {
+    const academicYear = academicYearOf(dateKey);
+    if (this.termYears.length === 0 || this.termYears.includes(academicYear)) {
+      return dateKey;
+    }
+
+    const nearest = this.termYears.reduce((best, year) =>
+      Math.abs(year - academicYear) < Math.abs(best - academicYear) ? year : best
+    );
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const shiftedDay = month === 2 && day === 29 ? 28 : day;
+    return `${year + nearest - academicYear}-${String(month).padStart(2, '0')}-${String(shiftedDay).padStart(2, '0')}`;
+  }
+
+  getSchoolTerm(date) {
+    const day = getZonedParts(date, this.timeZone).dayOfWeek;
+    if (day === 0 || day === 6 || this.isHoliday(date)) {
+      return null;
+    }
+
+    const termKey = this.getTermDateKey(getDateKey(date, this.timeZone));
+    return this.terms.find(term => termKey >= term.start && termKey <= term.end) || null;
+  }
+
+  isSchoolTerm(date) {
+    return this.getSchoolTerm(date) !== null;
+  }
+
+  // Bank holidays run on the Sunday pattern
+  getEffectiveDayOfWeek(date) {
+    return this.isHoliday(date) ? 0 : getZonedParts(date, this.timeZone).dayOfWeek;
+  }
+
+  getFlags(date) {
+    const day = getZonedParts(date, this.timeZone).dayOfWeek;
+    const bankHoliday = this.getHoliday(date);
+    const schoolTerm = this.getSchoolTerm(date);
+
+    return {
+      date: getDateKey(date, this.timeZone),
+      region: this.region,
+      is_holiday: bankHoliday !== null,
+      bank_holiday: bankHoliday,
+      is_school_term: schoolTerm !== null,
+      school_term: schoolTerm ? schoolTerm.name : null,
+      school_holidays: schoolTerm === null && bankHoliday === null && day !== 0 && day !== 6,
+      effective_day_of_week: this.getEffectiveDayOfWeek(date)
+    };
+  }
+}
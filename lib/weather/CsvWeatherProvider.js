@@ -0,0 +1,36 @@
+import { readFile } from 'fs/promises';
+import { parseCsv } from '../utils/csv.js';
+import { WeatherProvider, WEATHER_FIELD_ALIASES, REQUIRED_WEATHER_FIELDS, buildObservation } from './WeatherProvider.js';
+
+// Replays a CSV of observations. Columns are found by header name (see
+// WEATHER_FIELD_ALIASES); `columns` maps fields to other header names, e.g.
+// { temperature: 'TempC' }. Times without an offset are local to the city.
+export class CsvWeatherProvider extends WeatherProvider {
+  constructor(cityId, options = {}) {
+    super('csv', cityId, options);
+    this.columns = options.columns || {};
+  }
+
+  async readObservations() {
+    const [header, ...rows] = parseCsv(await readFile(this.filePath, 'utf8'));
+    if (!header) {
+      throw new Error(`${this.file} is empty`);
+    }
+
+    const headerIndex = new Map(header.map((name, index) => [name.trim().toLowerCase(), index]));
+    const columnIndex = {};
+    for (const [field, aliases] of Object.entries(WEATHER_FIELD_ALIASES)) {
+      const names = this.columns[field] ? [this.columns[field]] : aliases;
+      const name = names.find(candidate => headerIndex.has(candidate.toLowerCase()));
+      if (name) columnIndex[field] = headerIndex.get(name.toLowerCase());
+    }
+
+    const missing = REQUIRED_WEATHER_FIELDS.filter(field => columnIndex[field] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`${this.file} has no column for ${missing.join(', ')}`);
+    }
+
+    const hourStarts = new Map();
+    return rows.map(values => buildObservation(field => values[columnIndex[field]], this.timeZone, hourStarts));
+  }
+}
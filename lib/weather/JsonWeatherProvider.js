@@ -0,0 +1,29 @@
+import { readFile } from 'fs/promises';
+import { WeatherProvider, WEATHER_FIELD_ALIASES, REQUIRED_WEATHER_FIELDS, buildObservation } from './WeatherProvider.js';
+
+// Replays a JSON file of observations: an array of records, or { records: [...] }.
+// Record keys follow the same names as CSV headers (see WEATHER_FIELD_ALIASES).
+export class JsonWeatherProvider extends WeatherProvider {
+  constructor(cityId, options = {}) {
+    super('json', cityId, options);
+  }
+
+  async readObservations() {
+    const data = JSON.parse(await readFile(this.filePath, 'utf8'));
+    const records = Array.isArray(data) ? data : data.records;
+    if (!Array.isArray(records)) {
+      throw new Error(`${this.file} must be an array of observations or { records: [...] }`);
+    }
+
+    const fieldKey = (record, field) => WEATHER_FIELD_ALIASES[field].find(alias => record[alias] !== undefined);
+    const missing = records.length > 0
+      ? REQUIRED_WEATHER_FIELDS.filter(field => fieldKey(records[0], field) === undefined)
+      : [];
+    if (missing.length > 0) {
+      throw new Error(`${this.file} records have no ${missing.join(', ')}`);
+    }
+
+    const hourStarts = new Map();
+    return records.map(record => buildObservation(field => record[fieldKey(record, field)], this.timeZone, hourStarts));
+  }
+}
@@ -0,0 +1,107 @@
+import { readFile } from 'fs/promises';
+import { WeatherProvider, parseObservationTime } from './WeatherProvider.js';
+
+// WMO weather interpretation codes as used by Open-Meteo, worded so the simulator's
+// condition mapping (rain/snow/storm/clear/cloud) picks them up
+const WMO_CONDITIONS = {
+  0: 'Clear sky',
+  1: 'Mainly clear',
+  2: 'Partially cloudy',
+  3: 'Overcast',
+  45: 'Fog, Overcast',
+  48: 'Freezing fog, Overcast',
+  51: 'Light Rain, Drizzle',
+  53: 'Rain, Drizzle',
+  55: 'Rain, Dense drizzle',
+  56: 'Freezing Rain, Drizzle',
+  57: 'Freezing Rain, Drizzle',
+  61: 'Light Rain',
+  63: 'Rain',
+  65: 'Heavy Rain',
+  66: 'Freezing Rain',
+  67: 'Freezing Rain',
+  71: 'Light Snow',
+  73: 'Snow',
+  75: 'Heavy Snow',
+  77: 'Snow grains',
+  80: 'Rain showers',
+  81: 'Rain showers',
+  82: 'Violent rain showers',
+  85: 'Snow showers',
+  86: 'Heavy snow showers',
+  95: 'Thunderstorm',
+  96: 'Thunderstorm with hail',
+  99: 'Thunderstorm with heavy hail'
+};
+
+// Everything is stored in km/h and °C like the CSV data
+const WIND_SPEED_TO_KMH = { 'km/h': 1, 'm/s': 3.6, 'mp/h': 1.609344, 'mph': 1.609344, 'kn': 1.852 };
+
+// Open-Meteo has renamed a few hourly variables over time
+const pick = (hourly, names) => names.map(name => hourly[name]).find(Array.isArray) || [];
+const unitOf = (units, names) => names.map(name => units[name]).find(Boolean);
+
+// Replays a saved Open-Meteo archive/forecast response (JSON with an `hourly` block).
+// Times are read in the export's own timezone, or as UTC when it was requested in GMT.
+export class OpenMeteoReplayProvider extends WeatherProvider {
+  constructor(cityId, options = {}) {
+    super('open_meteo', cityId, options);
+    this.sourceName = 'open_meteo_replay';
+  }
+
+  async readObservations() {
+    const data = JSON.parse(await readFile(this.filePath, 'utf8'));
+    const hourly = data.hourly;
+    if (!hourly || !Array.isArray(hourly.time)) {
+      throw new Error(`${this.file} is not an Open-Meteo export - it has no hourly.time series`);
+    }
+
+    const units = data.hourly_units || {};
+    const exportTimeZone = !data.timezone || ['GMT', 'UTC'].includes(data.timezone) ? 'UTC' : data.timezone;
+
+    const temperatures = pick(hourly, ['temperature_2m']);
+    const humidities = pick(hourly, ['relative_humidity_2m', 'relativehumidity_2m']);
+    const windSpeeds = pick(hourly, ['wind_speed_10m', 'windspeed_10m']);
+    const precipitation = pick(hourly, ['precipitation', 'rain']);
+    const weatherCodes = pick(hourly, ['weather_code', 'weathercode']);
+    const pressures = pick(hourly, ['pressure_msl', 'surface_pressure']);
+
+    if (temperatures.length === 0 || humidities.length === 0 || windSpeeds.length === 0) {
+      throw new Error(`${this.file} needs hourly temperature_2m, relative_humidity_2m and wind_speed_10m`);
+    }
+
+    const fahrenheit = unitOf(units, ['temperature_2m']) === '°F';
+    const windUnit = unitOf(units, ['wind_speed_10m', 'windspeed_10m']) || 'km/h';
+    const windFactor = WIND_SPEED_TO_KMH[windUnit];
+    if (!windFactor) {
+      throw new Error(`${this.file} uses an unsupported wind speed unit '${windUnit}'`);
+    }
+
+    const hourStarts = new Map();
+    return hourly.time.map((time, index) => {
+      const observedAt = exportTimeZone === 'UTC' && typeof time === 'string' ? `${time}Z` : time;
+      const date = parseObservationTime(observedAt, exportTimeZone, hourStarts);
+      const temperature = temperatures[index];
+      const humidity = humidities[index];
+      const windSpeed = windSpeeds[index];
+
+      if (Number.isNaN(date.getTime()) || temperature == null || humidity == null || windSpeed == null) {
+        return null;
+      }
+
+      return {
+        time: date.getTime(),
+        datetime: String(time),
+        temperature: fahrenheit ? (temperature - 32) * 5 / 9 : temperature,
+        humidity,
+        windSpeed: windSpeed * windFactor,
+        precipitation: precipitation[index] ?? 0,
+        precipitationProbability: null,
+        precipitationType: null,
+        pressure: pressures[index] ?? null,
+        conditions: WMO_CONDITIONS[weatherCodes[index]] ?? '',
+        icon: null
+      };
+    });
+  }
+}
@@ -0,0 +1,59 @@
+import { getSeason, getSeasonalTemp, getLocalHour } from '../utils/timeUtils.js';
+import { CITY_WEATHER_VARIATIONS, NO_WEATHER_VARIATION } from '../utils/constants.js';
+
+// Generates plausible weather from the season and time of day instead of replaying
+// data. Used when a city is configured with it, and as the fallback whenever a
+// recorded provider can't load or has no observation for an hour.
+export class SyntheticWeatherProvider {
+  constructor(cityId, { rng, timeZone }) {
+    this.type = 'synthetic';
+    this.cityId = cityId;
+    this.rng = rng;
+    this.timeZone = timeZone;
+    this.recorded = false;
+    this.sourceName = 'fallback_generated_uk';
+    this.isLoaded = true;
+  }
+
+  async load() {}
+
+  generate(currentTime) {
+    const hour = getLocalHour(currentTime, this.timeZone);
+    const season = getSeason(currentTime, this.timeZone);
+    
+    const timeOfDayFactor = Math.sin((hour - 6) * Math.PI / 12);
+    const seasonalTemp = getSeasonalTemp(season);
+    const baseTemp = seasonalTemp + (timeOfDayFactor * 8);
+    
+    const cityVariations = CITY_WEATHER_VARIATIONS[this.cityId] || NO_WEATHER_VARIATION;
+    
+    const temperature = baseTemp + cityVariations.tempOffset + (this.rng.random() - 0.5) * 4;
+    const humidity = 60 + cityVariations.humidityOffset + (1 - timeOfDayFactor) * 25 + (this.rng.random() - 0.5) * 20;
+    const windSpeed = Math.max(0, 5 + cityVariations.windOffset + (this.rng.random() - 0.5) * 15);
+    const condition = this.determineCondition(temperature, humidity, windSpeed, season);
+    const pressure = 1013 + (this.rng.random() - 0.5) * 40;
+    
+    return {
+      temperature: Math.round(temperature * 10) / 10,
+      humidity: Math.max(0, Math.min(100, Math.round(humidity))),
+      windSpeed: Math.round(windSpeed * 10) / 10,
+      condition: condition,
+      pressure: Math.round(pressure * 10) / 10,
+      source: `${this.sourceName}_${this.cityId}`,
+      simulation_time: currentTime.toISOString()
+    };
+  }
+
+  determineCondition(temperature, humidity, windSpeed, season) {
+    if (humidity > 85 && temperature > 2) return 'rainy';
+    if (humidity > 70 && windSpeed > 15) return 'stormy';
+    if (temperature < 2 && humidity > 80) return 'snowy';
+    if (humidity < 30) return 'sunny';
+    if (humidity > 60) return 'cloudy';
+    return 'partly_cloudy';
+  }
+
+  describe() {
+    return { provider: this.type, file: null, loaded: true };
+  }
+}
@@ -0,0 +1,198 @@
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { zonedTimeToDate } from '../utils/timeUtils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Parsed files are shared by every simulation that replays them
+const seriesCache = new Map();
+
+// Accepted names for each observation field in CSV headers and JSON records
+export const WEATHER_FIELD_ALIASES = {
+  datetime: ['datetime', 'time', 'timestamp', 'date'],
+  temperature: ['temp', 'temperature', 'temperature_2m'],
+  humidity: ['humidity', 'relative_humidity', 'relative_humidity_2m'],
+  windSpeed: ['windspeed', 'wind_speed', 'wind_speed_10m'],
+  precipitation: ['precip', 'precipitation'],
+  precipitationProbability: ['precipprob', 'precipitation_probability'],
+  precipitationType: ['preciptype', 'precipitation_type'],
+  pressure: ['pressure', 'sealevelpressure', 'pressure_msl', 'surface_pressure'],
+  conditions: ['conditions', 'condition', 'weather'],
+  icon: ['icon']
+};
+
+export const REQUIRED_WEATHER_FIELDS = ['datetime', 'temperature', 'humidity', 'windSpeed', 'conditions'];
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Times with a Z or UTC offset are taken as-is; anything else is wall-clock time in timeZone
+export function parseObservationTime(value, timeZone, hourStarts = new Map()) {
+  if (typeof value === 'number') {
+    return new Date(value * 1000);
+  }
+
+  const text = String(value).trim();
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    return new Date(text);
+  }
+
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?/);
+  if (!match) {
+    return new Date(NaN);
+  }
+
+  const [, year, month, day, hour, minute, second = '0'] = match;
+  const hourKey = `${year}-${month}-${day}T${hour}`;
+  if (!hourStarts.has(hourKey)) {
+    hourStarts.set(hourKey, zonedTimeToDate(Number(year), Number(month), Number(day), Number(hour), timeZone));
+  }
+
+  return new Date(hourStarts.get(hourKey).getTime() + (Number(minute) * 60 + Number(second)) * 1000);
+}
+
+// Turn raw field values (looked up by observation field name) into an observation
+export function buildObservation(getField, timeZone, hourStarts) {
+  const time = parseObservationTime(getField('datetime'), timeZone, hourStarts);
+  const temperature = toNumber(getField('temperature'));
+  const humidity = toNumber(getField('humidity'));
+  const windSpeed = toNumber(getField('windSpeed'));
+
+  if (Number.isNaN(time.getTime()) || temperature === null || humidity === null || windSpeed === null) {
+    return null;
+  }
+
+  return {
+    time: time.getTime(),
+    datetime: String(getField('datetime')),
+    temperature,
+    humidity,
+    windSpeed,
+    precipitation: toNumber(getField('precipitation')) ?? 0,
+    precipitationProbability: toNumber(getField('precipitationProbability')),
+    precipitationType: getField('precipitationType') || null,
+    pressure: toNumber(getField('pressure')),
+    conditions: String(getField('conditions') ?? ''),
+    icon: getField('icon') || null
+  };
+}
+
+// Base class for providers that replay recorded observations. Subclasses implement
+// readObservations(); lookups, caching and the covered date range live here. The
+// simulator maps simulation time onto the recorded range and asks for the
+// observation nearest each hour.
+export class WeatherProvider {
+  constructor(type, cityId, options = {}) {
+    this.type = type;
+    this.cityId = cityId;
+    this.options = options;
+    this.timeZone = options.timeZone;
+    this.file = options.file || null;
+    this.filePath = this.file ? join(__dirname, '..', '..', this.file) : null;
+    this.recorded = true;
+    this.sourceName = `historical_${type}`;
+
+    this.observations = [];
+    this.times = [];
+    this.resolutionMs = 0;
+    this.isLoaded = false;
+  }
+
+  async readObservations() {
+    throw new Error(`${this.type} weather provider does not implement readObservations`);
+  }
+
+  async load() {
+    if (this.isLoaded) return;
+
+    const cacheKey = `${this.type}:${this.filePath}:${this.timeZone}`;
+    if (!seriesCache.has(cacheKey)) {
+      const loading = this.readObservations().then(buildSeries);
+      seriesCache.set(cacheKey, loading);
+      loading.catch(() => seriesCache.delete(cacheKey));
+    }
+
+    const series = await seriesCache.get(cacheKey);
+    this.observations = series.observations;
+    this.times = series.times;
+    this.resolutionMs = series.resolutionMs;
+    this.isLoaded = true;
+  }
+
+  get range() {
+    if (this.observations.length === 0) {
+      return null;
+    }
+    return {
+      start: new Date(this.times[0]),
+      end: new Date(this.times[this.times.length - 1]),
+      totalRecords: this.observations.length
+    };
+  }
+
+  // Nearest observation, as long as it is no further away than the data's own spacing
+  getObservation(date) {
+    const target = date.getTime();
+    let low = 0;
+    let high = this.times.length - 1;
+
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.times[mid] < target) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    const candidates = [low - 1, low].filter(index => index >= 0 && index < this.times.length);
+    const nearest = candidates.sort((a, b) => Math.abs(this.times[a] - target) - Math.abs(this.times[b] - target))[0];
+
+    if (nearest === undefined || Math.abs(this.times[nearest] - target) > this.resolutionMs) {
+      throw new Error(`No weather data found near ${date.toISOString()}`);
+    }
+
+    return this.observations[nearest];
+  }
+
+  describe() {
+    const range = this.range;
+    return {
+      provider: this.type,
+      file: this.file,
+      loaded: this.isLoaded,
+      records: range ? range.totalRecords : 0,
+      start: range ? range.start.toISOString() : null,
+      end: range ? range.end.toISOString() : null
+    };
+  }
+}
+
+function buildSeries(observations) {
+  const sorted = observations
+    .filter(Boolean)
+    .sort((a, b) => a.time - b.time)
+    .filter((observation, index, all) => index === 0 || observation.time !== all[index - 1].time);
+
+  if (sorted.length === 0) {
+    throw new Error('no usable weather observations');
+  }
+
+  // Median spacing of the first few hundred records (one minute, one hour, ...)
+  const gaps = [];
+  for (let i = 1; i < Math.min(sorted.length, 500); i++) {
+    gaps.push(sorted[i].time - sorted[i - 1].time);
+  }
+  gaps.sort((a, b) => a - b);
+  const resolutionMs = Math.max(60000, gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : 60000);
+
+  return {
+    observations: sorted,
+    times: sorted.map(observation => observation.time),
+    resolutionMs
+  };
+}
@@ -0,0 +1,31 @@
+import { CsvWeatherProvider } from './CsvWeatherProvider.js';
+import { JsonWeatherProvider } from './JsonWeatherProvider.js';
+import { OpenMeteoReplayProvider } from './OpenMeteoReplayProvider.js';
+import { SyntheticWeatherProvider } from './SyntheticWeatherProvider.js';
+
+export const WEATHER_PROVIDER_TYPES = ['csv', 'json', 'open_meteo', 'synthetic'];
+
+// Cities without a weather entry replay the shared UK observations
+export const DEFAULT_WEATHER_CONFIG = { provider: 'csv', file: 'data/weather_data.csv' };
+
+// Build the provider a city's weather config names
+export function createWeatherProvider(cityId, config = DEFAULT_WEATHER_CONFIG, { rng, timeZone }) {
+  if (!WEATHER_PROVIDER_TYPES.includes(config.provider)) {
+    throw new Error(`Unknown weather provider '${config.provider}' for ${cityId} - use one of: ${WEATHER_PROVIDER_TYPES.join(', ')}`);
+  }
+  if (config.provider !== 'synthetic' && !config.file) {
+    throw new Error(`${config.provider} weather provider for ${cityId} needs a file`);
+  }
+
+  const options = { ...config, timeZone };
+  switch (config.provider) {
+    case 'csv':
+      return new CsvWeatherProvider(cityId, options);
+    case 'json':
+      return new JsonWeatherProvider(cityId, options);
+    case 'open_meteo':
+      return new OpenMeteoReplayProvider(cityId, options);
+    default:
+      return new SyntheticWeatherProvider(cityId, { rng, timeZone });
+  }
+}
@@ -2,14 +2,79 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { CitySimulation, activeSimulations } from './lib/simulation.js';
+import { fileURLToPath } from 'url';
+import { CitySimulation, activeSimulations, formatHourRecord, MAX_BATCH_HOURS, HOUR_DETAIL_LEVELS, TrafficProfile, validateTrafficProfile, CityCalendar, getBankHolidays } from './lib/simulation.js';
 import { getAvailableCities, getCityConfig } from './lib/utils/cityConfigs.js';
+import { loadCityTrafficProfile, loadCitySchoolTerms, loadCityEventTemplates, loadCityGeometry } from './lib/utils/dataLoaders.js';
+import { buildGeoJsonLayer, GEOJSON_LAYERS } from './lib/utils/geojson.js';
+import { buildDatazoneRows } from './lib/utils/hourRecords.js';
+import { AREA_MULTIPLIERS } from './lib/utils/constants.js';
+import { parseSinkSpecs, validateSinkSpecs } from './lib/sinks/SinkRegistry.js';
+import { getZonedParts, zonedTimeToDate } from './lib/utils/timeUtils.js';
+import { attachControlChannel } from './lib/channels/controlChannel.js';
+import { SnapshotStore, isSafeId } from './lib/utils/snapshotStore.js';
+import { openSseStream, writeSseEvent, writeSseComment, parseLastEventId, SSE_HEARTBEAT_INTERVAL_MS } from './lib/utils/sse.js';
+import { logInfo, isInfoLogging } from './lib/utils/logger.js';
 
 // Load environment variables
-dotenv.config();
+dotenv.config({ quiet: !isInfoLogging() });
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const ZONE_AREA_TYPES = Object.keys(AREA_MULTIPLIERS);
+const MAX_DATAZONE_PAGE_SIZE = 1000;
+const AUTOSAVE_INTERVAL_SECONDS = parseInt(process.env.AUTOSAVE_INTERVAL_SECONDS ?? '60');
+
+const snapshotStore = new SnapshotStore();
+
+// Simulation IDs name autosave files, so they follow the snapshot ID rules
+const SIMULATION_ID_RULE = "simulation_id may only contain letters, numbers, '_', '-' and '.'";
+
+// Recreate a simulation from a snapshot and register it as active
+async function restoreSimulation(snapshot, simId = snapshot.simulation_id) {
+  const simulation = new CitySimulation(simId, snapshot.seconds_per_hour, snapshot.city_id, {
+    seed: snapshot.seed,
+    sinks: snapshot.sinks
+  });
+  activeSimulations.set(simId, simulation);
+  
+  try {
+    await simulation.restore(snapshot);
+  } catch (error) {
+    activeSimulations.delete(simId);
+    throw error;
+  }
+  
+  return simulation;
+}
+
+async function autosaveAllSimulations() {
+  const saves = Array.from(activeSimulations.values())
+    .filter(simulation => simulation.state === 'running' || simulation.state === 'paused')
+    .map(simulation => snapshotStore.autosave(simulation).catch(error => {
+      console.error(`❌ Autosave failed for simulation ${simulation.id}:`, error.message);
+    }));
+  
+  await Promise.all(saves);
+}
+
+async function restoreAutosavedSimulations() {
+  const snapshots = await snapshotStore.loadAutosaves();
+  
+  for (const snapshot of snapshots) {
+    if (activeSimulations.has(snapshot.simulation_id)) continue;
+    
+    try {
+      await restoreSimulation(snapshot);
+    } catch (error) {
+      console.error(`❌ Could not restore autosaved simulation ${snapshot.simulation_id}:`, error.message);
+    }
+  }
+  
+  if (snapshots.length > 0) {
+    logInfo(`♻️ Restored ${activeSimulations.size}/${snapshots.length} autosaved simulation(s)`);
+  }
+}
 
 // Middleware
 app.use(cors());
@@ -17,7 +82,7 @@ app.use(express.json());
 
 // Request logging middleware
 app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+  logInfo(`${new Date().toISOString()} - ${req.method} ${req.path}`);
   next();
 });
 
@@ -55,6 +120,119 @@ app.get('/api/cities', (req, res) => {
   }
 });
 
+// Get and validate the traffic profile a city's simulations will use
+app.get('/api/cities/:id/traffic-profile', async (req, res) => {
+  try {
+    const cityId = req.params.id;
+    
+    try {
+      getCityConfig(cityId);
+    } catch (error) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    const profile = await loadCityTrafficProfile(cityId);
+    const errors = validateTrafficProfile(profile.data);
+    
+    res.json({
+      status: 'success',
+      timestamp: new Date().toISOString(),
+      city_id: cityId,
+      source: profile.source,
+      validation: {
+        valid: errors.length === 0,
+        errors
+      },
+      profile: errors.length === 0
+        ? new TrafficProfile(cityId, profile.data, profile.source).describe()
+        : profile.data
+    });
+  } catch (error) {
+    console.error('Error getting traffic profile:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to load traffic profile',
+      error: error.message
+    });
+  }
+});
+
+// Event templates for a city with their schema validation results
+app.get('/api/cities/:id/events/templates', async (req, res) => {
+  try {
+    const cityId = req.params.id;
+    
+    try {
+      getCityConfig(cityId);
+    } catch (error) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    const templates = await loadCityEventTemplates(cityId);
+    
+    res.json({
+      status: 'success',
+      timestamp: new Date().toISOString(),
+      ...templates
+    });
+  } catch (error) {
+    console.error('Error getting event templates:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to load event templates',
+      error: error.message
+    });
+  }
+});
+
+// Calendar flags (bank holiday, school term) for a date in a city
+app.get('/api/cities/:id/calendar', async (req, res) => {
+  try {
+    const cityId = req.params.id;
+    
+    let cityConfig;
+    try {
+      cityConfig = getCityConfig(cityId);
+    } catch (error) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (Number.isNaN(date.getTime())) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid date: ${req.query.date}`
+      });
+    }
+    
+    const calendar = new CityCalendar(cityId, cityConfig.region, await loadCitySchoolTerms(cityId), cityConfig.timezone);
+    
+    res.json({
+      status: 'success',
+      timestamp: new Date().toISOString(),
+      city_id: cityId,
+      ...calendar.getFlags(date),
+      bank_holidays: getBankHolidays(getZonedParts(date, cityConfig.timezone).year, cityConfig.region)
+    });
+  } catch (error) {
+    console.error('Error getting calendar:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to load calendar',
+      error: error.message
+    });
+  }
+});
+
 // Get all active simulations
 app.get('/api/simulations', (req, res) => {
   try {
@@ -62,12 +240,14 @@ app.get('/api/simulations', (req, res) => {
       simulation_id: id,
       city_id: sim.cityId,
       city_name: sim.cityConfig.name,
+      state: sim.state,
       is_running: sim.isRunning,
+      seed: sim.seed,
       current_time: sim.currentTime.toISOString(),
       hour_counter: parseInt(sim.hourCounter),
       seconds_per_hour: parseInt(sim.secondsPerHour),
-      foundry_integration: !!sim.foundryConfig,
-      foundry_connected: !!sim.foundryToken,
+      foundry_integration: sim.sinks.hasType('foundry'),
+      foundry_connected: !!sim.sinks.getByType('foundry')?.isConnected,
       uptime_hours: parseInt(sim.hourCounter),
       is_initialized: sim.isInitialized,
       has_ready_data: !!sim.readyHourData,
@@ -97,7 +277,10 @@ app.get('/api/simulations/start', async (req, res) => {
       seconds_per_hour = 60, 
       simulation_name = `simulation_${Date.now()}`,
       simulation_id,
-      city = 'edinburgh'  // NEW PARAMETER
+      city = 'edinburgh',  // NEW PARAMETER
+      seed,
+      start_time,
+      sinks
     } = req.query;
     
     const secondsPerHour = parseInt(seconds_per_hour) || 60;
@@ -119,6 +302,49 @@ app.get('/api/simulations/start', async (req, res) => {
       });
     }
     
+    if (seed !== undefined && String(seed).trim() === '') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'seed must not be empty'
+      });
+    }
+    
+    if (start_time !== undefined && Number.isNaN(new Date(start_time).getTime())) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'start_time must be a valid ISO 8601 timestamp'
+      });
+    }
+    
+    // Omitting sinks keeps the default (Foundry when configured)
+    let sinkSpecs;
+    if (sinks !== undefined) {
+      try {
+        sinkSpecs = parseSinkSpecs(sinks);
+      } catch (error) {
+        return res.status(400).json({
+          status: 'error',
+          message: `sinks must be a comma-separated list of sink types or a JSON array: ${error.message}`
+        });
+      }
+      
+      const sinkErrors = validateSinkSpecs(sinkSpecs);
+      if (sinkErrors.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid sinks',
+          errors: sinkErrors
+        });
+      }
+    }
+    
+    if (simulation_id !== undefined && !isSafeId(simulation_id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: SIMULATION_ID_RULE
+      });
+    }
+    
     const simId = simulation_id || `sim_${city}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
     if (activeSimulations.has(simId)) {
@@ -128,14 +354,25 @@ app.get('/api/simulations/start', async (req, res) => {
       });
     }
     
-    console.log(`🚀 Starting new ${city} simulation: ${simId} (${secondsPerHour}s per hour)`);
+    logInfo(`🚀 Starting new ${city} simulation: ${simId} (${secondsPerHour}s per hour)`);
     
-    const simulation = new CitySimulation(simId, secondsPerHour, city);
+    const simulation = new CitySimulation(simId, secondsPerHour, city, {
+      seed,
+      startTime: start_time,
+      sinks: sinkSpecs
+    });
     activeSimulations.set(simId, simulation);
     
     // Start the simulation (this will initialize and generate first hour)
-    await simulation.start();
-    
+    try {
+      await simulation.start();
+    } catch (error) {
+      // Don't leave a failed simulation registered or its sinks open
+      activeSimulations.delete(simId);
+      simulation.stop();
+      throw error;
+    }
+
     res.status(201).json({
       status: 'success',
       simulation_id: simId,
@@ -143,13 +380,27 @@ app.get('/api/simulations/start', async (req, res) => {
       city_id: city,
       city_name: simulation.cityConfig.name,
       seconds_per_hour: String(secondsPerHour), 
-      simulation_status: 'running',
-      foundry_integration: !!simulation.foundryConfig,
+      seed: simulation.seed,
+      simulation_status: simulation.state,
+      foundry_integration: simulation.sinks.hasType('foundry'),
+      sinks: simulation.sinks.getHealth().map(sink => ({ name: sink.name, type: sink.type })),
       message: `${simulation.cityConfig.name} simulation started successfully`,
       started_at: new Date().toISOString(),
       api_endpoints: {
         status: `/api/simulations/${simId}/status`,
         data: `/api/simulations/${simId}/data`,
+        stream: `/api/simulations/${simId}/stream`,
+        pause: `/api/simulations/${simId}/pause`,
+        resume: `/api/simulations/${simId}/resume`,
+        step: `/api/simulations/${simId}/step`,
+        run: `/api/simulations/${simId}/run`,
+        events: `/api/simulations/${simId}/events`,
+        snapshots: `/api/simulations/${simId}/snapshots`,
+        history: `/api/simulations/${simId}/history`,
+        street: `/api/simulations/${simId}/streets/:streetId`,
+        datazones: `/api/simulations/${simId}/datazones`,
+        geojson: simulation.cityConfig.geometry_file ? `/api/simulations/${simId}/geojson?layer=datazones` : null,
+        control_channel: '/api/ws',
         stop: `/api/simulations/${simId}/stop`
       }
     });
@@ -164,7 +415,7 @@ app.get('/api/simulations/start', async (req, res) => {
   }
 });
 
-// Get current simulation data - Returns pre-generated data instantly and triggers next generation
+// Get current simulation data - Returns the latest hour produced by the simulation clock (does NOT advance simulation)
 app.get('/api/simulations/:id/data', async (req, res) => {
   try {
     const { id } = req.params;
@@ -184,17 +435,19 @@ app.get('/api/simulations/:id/data', async (req, res) => {
     if (time) {
       requestedTime = new Date(time);
     } else if (hour !== undefined) {
-      requestedTime = new Date();
-      requestedTime.setHours(parseInt(hour), 0, 0, 0);
+      // Today's date at that hour on the city's wall clock
+      const timeZone = simulation.cityConfig.timezone;
+      const today = getZonedParts(new Date(), timeZone);
+      requestedTime = zonedTimeToDate(today.year, today.month, today.day, parseInt(hour), timeZone);
     }
 
     // Generate data for the requested time
     if (requestedTime) {
-      await simulation.generateNextHourData(requestedTime.toISOString());
+      await simulation.generateQueuedHour(requestedTime.toISOString());
     }
 
-    // Get pre-generated data instantly and trigger next generation
-    const snapshot = await simulation.getDataAndAdvance();
+    // Get the latest generated hour - the wall-clock scheduler advances the simulation
+    const snapshot = simulation.getLatestData();
 
     // Transform the snapshot to match GetSimulationDataInterface exactly
     const transformedSnapshot = {
@@ -205,6 +458,8 @@ app.get('/api/simulations/:id/data', async (req, res) => {
       city_id: snapshot.city_id,
       city_name: snapshot.city_name,
       timestamp: snapshot.timestamp || new Date().toISOString(),
+      local_timestamp: snapshot.local_timestamp,
+      timezone: simulation.cityConfig.timezone,
       hour: parseInt(snapshot.hour || 0),
       is_running: simulation.isRunning,
       weather: {
@@ -237,6 +492,12 @@ app.get('/api/simulations/:id/data', async (req, res) => {
           hours_remaining: parseInt(event.hours_remaining ?? -1)
         }))
       },
+      incidents: {
+        active_count: parseInt(snapshot.incidents?.active_count || 0),
+        resolved_count: parseInt(snapshot.incidents?.resolved_count || 0),
+        active_by_type: snapshot.incidents?.active_by_type || {},
+        incidents: snapshot.incidents?.incidents || []
+      },
       traffic: {
         congestion_level: parseFloat(snapshot.traffic?.congestion_level || 0),
         average_speed: parseFloat(snapshot.traffic?.average_speed || 0),
@@ -244,13 +505,16 @@ app.get('/api/simulations/:id/data', async (req, res) => {
         peak_hour: snapshot.traffic?.peak_hour || false,
         weather_impact: parseFloat(snapshot.traffic?.weather_impact || 1.0),
         events_impact: parseFloat(snapshot.traffic?.events_impact || 1.0),
+        incident_lost_capacity: parseInt(snapshot.traffic?.incident_lost_capacity || 0),
+        incident_zones: parseInt(snapshot.traffic?.incident_zones || 0),
         datazones: (snapshot.traffic?.datazones || []).map(zone => ({
           datazone_code: zone.datazone_code || '',
           datazone_congestion: parseFloat(zone.datazone_congestion || 0),
           area_type: zone.area_type || 'unknown',
           congestion_trend: parseFloat(zone.congestion_trend || 0),
           estimated_vehicles: parseInt(zone.estimated_vehicles || 0),
-          average_speed: parseFloat(zone.average_speed || 0)
+          average_speed: parseFloat(zone.average_speed || 0),
+          incident_capacity_loss: parseFloat(zone.incident_capacity_loss || 0)
         }))
       }
     };
@@ -277,10 +541,29 @@ app.get('/api/simulations/:id/data', async (req, res) => {
   }
 });
 
-// Stop a specific simulation
-app.get('/api/simulations/:id/stop', (req, res) => {
+// Query archived hours for charts and reconnect backfill (does NOT advance simulation)
+app.get('/api/simulations/:id/history', (req, res) => {
   try {
     const { id } = req.params;
+    const { from, to, fields, max_points } = req.query;
+    
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value !== undefined && Number.isNaN(new Date(value).getTime())) {
+        return res.status(400).json({
+          status: 'error',
+          message: `${name} must be a valid ISO 8601 timestamp`
+        });
+      }
+    }
+    
+    const maxPoints = max_points !== undefined ? parseInt(max_points) : null;
+    if (max_points !== undefined && (!maxPoints || maxPoints < 1)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'max_points must be a positive integer'
+      });
+    }
+    
     const simulation = activeSimulations.get(id);
     
     if (!simulation) {
@@ -290,98 +573,59 @@ app.get('/api/simulations/:id/stop', (req, res) => {
       });
     }
     
-    const finalHour = simulation.hourCounter;
-    const cityName = simulation.cityConfig.name;
-    simulation.stop();
-    activeSimulations.delete(id);
-    
-    console.log(`⏹️ Stopped ${cityName} simulation: ${id}`);
+    const fieldList = fields ? fields.split(',').map(field => field.trim()).filter(Boolean) : null;
+    const series = simulation.history.query({ from, to, fields: fieldList, maxPoints });
     
     res.json({
       status: 'success',
+      timestamp: new Date().toISOString(),
       simulation_id: id,
-      city_name: cityName,
-      simulation_status: 'stopped',
-      message: `${cityName} simulation ${id} stopped successfully`,
-      stopped_at: new Date().toISOString(),
-      final_hour: parseInt(finalHour)
+      city_id: simulation.cityId,
+      city_name: simulation.cityConfig.name,
+      from: from || null,
+      to: to || null,
+      fields: fieldList,
+      point_count: series.length,
+      history: simulation.history.getStats(),
+      series: series
     });
     
   } catch (error) {
-    console.error(`Error stopping simulation ${req.params.id}:`, error);
+    console.error(`Error getting simulation ${req.params.id} history:`, error);
     res.status(500).json({
       status: 'error',
-      message: 'Failed to stop simulation',
+      message: 'Failed to get simulation history',
       error: error.message
     });
   }
 });
 
-// Stop all active simulations
-app.post('/api/simulations/stop', (req, res) => {
+// Get one street's road class, speed and recent congestion (does NOT advance simulation)
+app.get('/api/simulations/:id/streets/:streetId', (req, res) => {
   try {
-    const stoppedSimulations = [];
-    const errors = [];
+    const { id, streetId } = req.params;
+    const simulation = activeSimulations.get(id);
     
-    for (const [id, simulation] of activeSimulations.entries()) {
-      try {
-        simulation.stop();
-        stoppedSimulations.push({
-          simulation_id: id,
-          city_name: simulation.cityConfig.name,
-          status: 'stopped',
-          uptime_hours: parseInt(simulation.hourCounter)
-        });
-        console.log(`⏹️ Stopped ${simulation.cityConfig.name} simulation: ${id}`);
-      } catch (error) {
-        console.error(`Error stopping simulation ${id}:`, error);
-        errors.push({
-          simulation_id: id,
-          error: error.message
-        });
-      }
+    if (!simulation) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Simulation ${id} not found`
+      });
     }
     
-    activeSimulations.clear();
-    
-    const response = {
-      status: stoppedSimulations.length > 0 ? 'success' : 'no_simulations',
-      message: stoppedSimulations.length > 0 
-        ? `Stopped ${stoppedSimulations.length} simulation(s)`
-        : 'No active simulations to stop',
-      stopped_count: stoppedSimulations.length,
-      stopped_simulations: stoppedSimulations,
-      stopped_at: new Date().toISOString()
-    };
-    
-    if (errors.length > 0) {
-      response.errors = errors;
-      response.status = 'partial_success';
-      response.message += ` (${errors.length} errors occurred)`;
+    const hours = req.query.hours !== undefined ? parseInt(req.query.hours) : 24;
+    if (!hours || hours < 1 || hours > simulation.maxRecentHours) {
+      return res.status(400).json({
+        status: 'error',
+        message: `hours must be an integer between 1 and ${simulation.maxRecentHours}`
+      });
     }
     
-    res.json(response);
-    
-  } catch (error) {
-    console.error('Error stopping all simulations:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to stop simulations',
-      error: error.message
-    });
-  }
-});
-
-// Get simulation status (does NOT advance simulation)
-app.get('/api/simulations/:id/status', (req, res) => {
-  try {
-    const { id } = req.params;
-    const simulation = activeSimulations.get(id);
-    
-    if (!simulation) {
+    const street = simulation.getStreetState(streetId, hours);
+    if (!street) {
       return res.status(404).json({
         status: 'error',
-        message: `Simulation ${id} not found`
+        message: `Street ${streetId} not found in ${simulation.cityConfig.name} simulation ${id}`
       });
     }
     
@@ -390,66 +634,929 @@ app.get('/api/simulations/:id/status', (req, res) => {
       timestamp: new Date().toISOString(),
       simulation_id: id,
       city_id: simulation.cityId,
-      city_name: simulation.cityConfig.name,
-      is_running: simulation.isRunning,
-      is_initialized: simulation.isInitialized,
-      current_time: simulation.currentTime.toISOString(),
-      hour_counter: parseInt(simulation.hourCounter),
-      seconds_per_hour: parseInt(simulation.secondsPerHour),
-      foundry_integration: !!simulation.foundryConfig,
-      foundry_connected: !!simulation.foundryToken,
-      uptime_hours: parseInt(simulation.hourCounter),
-      has_ready_data: !!simulation.readyHourData,
-      is_generating: simulation.isGenerating,
-      created_at: simulation.currentTime ? 
-        new Date(simulation.currentTime.getTime() - (simulation.hourCounter * 60 * 60 * 1000)).toISOString() 
-        : new Date().toISOString()
+      street: street
     });
     
   } catch (error) {
-    console.error(`Error getting simulation ${req.params.id} status:`, error);
+    console.error(`Error getting street ${req.params.streetId} for simulation ${req.params.id}:`, error);
     res.status(500).json({
       status: 'error',
-      message: 'Failed to get simulation status',
+      message: 'Failed to get street state',
       error: error.message
     });
   }
 });
 
-// Update simulation time compression
-app.get('/api/simulations/:id/time-compression', (req, res) => {
+// Get the latest hour as one row per datazone, filtered and paginated (does NOT advance simulation)
+app.get('/api/simulations/:id/datazones', (req, res) => {
   try {
     const { id } = req.params;
-    const { seconds_per_hour } = req.query;
-    
-    const secondsPerHour = parseInt(seconds_per_hour);
-    
-    if (!secondsPerHour || secondsPerHour < 1 || secondsPerHour > 3600) {
+    const { area_type, min_congestion, page = '1', page_size = '100' } = req.query;
+
+    const areaTypes = area_type ? area_type.split(',').map(type => type.trim()).filter(Boolean) : null;
+    const unknownAreaTypes = (areaTypes || []).filter(type => !ZONE_AREA_TYPES.includes(type));
+    if (unknownAreaTypes.length > 0) {
       return res.status(400).json({
         status: 'error',
-        message: 'seconds_per_hour must be between 1 and 3600'
+        message: `Unknown area_type ${unknownAreaTypes.join(', ')} - use ${ZONE_AREA_TYPES.join(', ')}`
       });
     }
-    
-    const simulation = activeSimulations.get(id);
-    
-    if (!simulation) {
-      return res.status(404).json({
+
+    const minCongestion = min_congestion !== undefined ? Number(min_congestion) : null;
+    if (min_congestion !== undefined && (min_congestion === '' || !Number.isFinite(minCongestion) || minCongestion < 0)) {
+      return res.status(400).json({
         status: 'error',
-        message: `Simulation ${id} not found`
+        message: 'min_congestion must be a non-negative number'
       });
     }
-    
-    const oldCompression = simulation.secondsPerHour;
-    simulation.updateTimeCompression(secondsPerHour);
-    
-    res.json({
-      status: 'success',
-      simulation_id: id,
-      city_name: simulation.cityConfig.name,
+
+    const pageNumber = Number(page);
+    const pageSize = Number(page_size);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'page must be a positive integer'
+      });
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_DATAZONE_PAGE_SIZE) {
+      return res.status(400).json({
+        status: 'error',
+        message: `page_size must be an integer between 1 and ${MAX_DATAZONE_PAGE_SIZE}`
+      });
+    }
+
+    const simulation = activeSimulations.get(id);
+
+    if (!simulation) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Simulation ${id} not found`
+      });
+    }
+
+    if (!simulation.readyHourData) {
+      return res.status(202).json({
+        status: 'starting',
+        message: 'Simulation is starting up, data will be available shortly',
+        simulation_id: id,
+        retry_after: 5
+      });
+    }
+
+    const rows = buildDatazoneRows(simulation.readyHourData).filter(row =>
+      (!areaTypes || areaTypes.includes(row.area_type)) &&
+      (minCongestion === null || row.datazone_congestion >= minCongestion)
+    );
+    const totalPages = Math.ceil(rows.length / pageSize);
+
+    res.json({
+      status: 'success',
+      timestamp: new Date().toISOString(),
+      simulation_id: id,
+      city_id: simulation.cityId,
+      city_name: simulation.cityConfig.name,
+      hour_timestamp: simulation.readyHourData.timestamp,
+      filters: {
+        area_type: areaTypes,
+        min_congestion: minCongestion
+      },
+      pagination: {
+        page: pageNumber,
+        page_size: pageSize,
+        total_count: rows.length,
+        total_pages: totalPages,
+        has_more: pageNumber < totalPages
+      },
+      datazones: rows.slice((pageNumber - 1) * pageSize, pageNumber * pageSize)
+    });
+
+  } catch (error) {
+    console.error(`Error getting simulation ${req.params.id} datazones:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get simulation datazones',
+      error: error.message
+    });
+  }
+});
+
+// Get the latest hour as a GeoJSON FeatureCollection for map layers (does NOT advance simulation).
+// Needs polygons the repo doesn't ship: the city config must set geometry_file (see cityConfigs.js),
+// otherwise this is a 404.
+app.get('/api/simulations/:id/geojson', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const layer = req.query.layer || 'datazones';
+    
+    if (!GEOJSON_LAYERS.includes(layer)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `layer must be one of: ${GEOJSON_LAYERS.join(', ')}`
+      });
+    }
+    
+    const simulation = activeSimulations.get(id);
+    
+    if (!simulation) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Simulation ${id} not found`
+      });
+    }
+    
+    const geometry = await loadCityGeometry(simulation.cityId);
+    if (!geometry) {
+      return res.status(404).json({
+        status: 'error',
+        message: `No geometry for ${simulation.cityConfig.name} - map layers need a user-supplied GeoJSON file of datazone polygons and street lines, set as geometry_file in the city config`
+      });
+    }
+    
+    if (!simulation.readyHourData) {
+      return res.status(202).json({
+        status: 'starting',
+        message: 'Simulation is starting up, data will be available shortly',
+        simulation_id: id,
+        retry_after: 5
+      });
+    }
+    
+    res.type('application/geo+json').json(buildGeoJsonLayer(layer, simulation.readyHourData, geometry));
+    
+  } catch (error) {
+    console.error(`Error getting simulation ${req.params.id} GeoJSON:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to build GeoJSON',
+      error: error.message
+    });
+  }
+});
+
+// Stream newly generated hours as Server-Sent Events (does NOT advance simulation)
+app.get('/api/simulations/:id/stream', (req, res) => {
+  const { id } = req.params;
+  const simulation = activeSimulations.get(id);
+  
+  if (!simulation) {
+    return res.status(404).json({
+      status: 'error',
+      message: `Simulation ${id} not found`
+    });
+  }
+  
+  openSseStream(res);
+  
+  // Resume from the in-memory buffer, otherwise start the viewer on the latest hour
+  const lastEventId = parseLastEventId(req);
+  if (lastEventId !== null) {
+    const missedHours = simulation.getHoursSince(lastEventId);
+    for (const entry of missedHours) {
+      writeSseEvent(res, { id: entry.id, event: 'simulation_data', data: entry.data });
+    }
+    logInfo(`📡 Resumed ${simulation.cityConfig.name} stream ${id} from event ${lastEventId} (${missedHours.length} replayed)`);
+  } else if (simulation.readyHourData) {
+    writeSseEvent(res, { id: simulation.hourCounter, event: 'simulation_data', data: simulation.readyHourData });
+  }
+  
+  const onHour = (entry) => {
+    writeSseEvent(res, { id: entry.id, event: 'simulation_data', data: entry.data });
+  };
+  
+  const onStopped = (details) => {
+    writeSseEvent(res, { event: 'simulation_stopped', data: details });
+    res.end();
+  };
+  
+  const heartbeat = setInterval(() => writeSseComment(res, 'heartbeat'), SSE_HEARTBEAT_INTERVAL_MS);
+  
+  simulation.on('hour', onHour);
+  simulation.once('stopped', onStopped);
+  
+  logInfo(`📡 Stream opened for ${simulation.cityConfig.name} simulation ${id} (${simulation.listenerCount('hour')} subscribers)`);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    simulation.off('hour', onHour);
+    simulation.off('stopped', onStopped);
+    logInfo(`📴 Stream closed for ${simulation.cityConfig.name} simulation ${id} (${simulation.listenerCount('hour')} subscribers)`);
+  });
+});
+
+// Pause a simulation's clock without discarding its state
+app.get('/api/simulations/:id/pause', (req, res) => {
+  try {
+    const { id } = req.params;
+    const simulation = activeSimulations.get(id);
+    
+    if (!simulation) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Simulation ${id} not found`
+      });
+    }
+    
+    if (simulation.state !== 'running' && simulation.state !== 'paused') {
+      return res.status(409).json({
+        status: 'error',
+        message: `Simulation ${id} cannot be paused while ${simulation.state}`
+      });
+    }
+    
+    simulation.pause();
+    
+    res.json({
+      status: 'success',
+      simulation_id: id,
+      city_name: simulation.cityConfig.name,
+      simulation_status: simulation.state,
+      current_time: simulation.currentTime.toISOString(),
+      hour_counter: parseInt(simulation.hourCounter),
+      message: `${simulation.cityConfig.name} simulation ${id} paused`,
+      paused_at: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error(`Error pausing simulation ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to pause simulation',
+      error: error.message
+    });
+  }
+});
+
+// Resume a paused simulation's clock
+app.get('/api/simulations/:id/resume', (req, res) => {
+  try {
+    const { id } = req.params;
+    const simulation = activeSimulations.get(id);
+    
+    if (!simulation) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Simulation ${id} not found`
+      });
+    }
+    
+    if (simulation.state !== 'running' && simulation.state !== 'paused') {
+      return res.status(409).json({
+        status: 'error',
+        message: `Simulation ${id} cannot be resumed while ${simulation.state}`
+      });
+    }
+    
+    simulation.resume();
+    
+    res.json({
+      status: 'success',
+      simulation_id: id,
+      city_name: simulation.cityConfig.name,
+      simulation_status: simulation.state,
+      current_time: simulation.currentTime.toISOString(),
+      hour_counter: parseInt(simulation.hourCounter),
+      message: `${simulation.cityConfig.name} simulation ${id} resumed`,
+      resumed_at: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error(`Error resuming simulation ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to resume simulation',
+      error: error.message
+    });
+  }
+});
+
+// Advance a running or paused simulation by N hours immediately
+app.get('/api/simulations/:id/step', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { hours = 1 } = req.query;
+    
+    const stepHours = parseInt(hours);
+    
+    if (!stepHours || stepHours < 1 || stepHours > 168) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'hours must be between 1 and 168'
+      });
+    }
+    
+    const simulation = activeSimulations.get(id);
+    
+    if (!simulation) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Simulation ${id} not found`
+      });
+    }
+    
+    if (simulation.state !== 'running' && simulation.state !== 'paused') {
+      return res.status(409).json({
+        status: 'error',
+        message: `Simulation ${id} cannot be stepped while ${simulation.state}`
+      });
+    }
+    
+    await simulation.step(stepHours);
+    
+    res.json({
+      status: 'success',
+      simulation_id: id,
+      city_name: simulation.cityConfig.name,
+      simulation_status: simulation.state,
+      hours_stepped: stepHours,
+      current_time: simulation.currentTime.toISOString(),
+      hour_counter: parseInt(simulation.hourCounter),
+      message: `${simulation.cityConfig.name} simulation ${id} advanced ${stepHours} hour(s)`,
+      stepped_at: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error(`Error stepping simulation ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to step simulation',
+      error: error.message
+    });
+  }
+});
+
+// Fast-forward a simulation N hours and return the whole series (JSON or NDJSON)
+app.post('/api/simulations/:id/run', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { hours, format = 'json', detail = 'datazones' } = { ...req.query, ...req.body };
+    
+    const runHours = parseInt(hours);
+    
+    if (!runHours || runHours < 1 || runHours > MAX_BATCH_HOURS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `hours must be between 1 and ${MAX_BATCH_HOURS}`
+      });
+    }
+    
+    if (format !== 'json' && format !== 'ndjson') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'format must be json or ndjson'
+      });
+    }
+    
+    if (!HOUR_DETAIL_LEVELS.includes(detail)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `detail must be one of: ${HOUR_DETAIL_LEVELS.join(', ')}`
+      });
+    }
+    
+    const simulation = activeSimulations.get(id);
+    
+    if (!simulation) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Simulation ${id} not found`
+      });
+    }
+    
+    if (simulation.state !== 'running' && simulation.state !== 'paused') {
+      return res.status(409).json({
+        status: 'error',
+        message: `Simulation ${id} cannot run while ${simulation.state}`
+      });
+    }
+    
+    const startedAt = new Date();
+    
+    if (format === 'ndjson') {
+      let clientGone = false;
+      res.on('close', () => { clientGone = true; });
+      
+      res.status(200).set('Content-Type', 'application/x-ndjson');
+      
+      await simulation.runBatch(runHours, {
+        onHour: async (hourData) => {
+          if (clientGone) {
+            throw new Error('Client disconnected during batch run');
+          }
+          if (!res.write(`${JSON.stringify(formatHourRecord(hourData, detail))}\n`)) {
+            await new Promise(resolve => res.once('drain', resolve));
+          }
+        }
+      });
+      
+      return res.end();
+    }
+    
+    const series = await simulation.runBatch(runHours);
+    
+    res.json({
+      status: 'success',
+      simulation_id: id,
+      city_id: simulation.cityId,
+      city_name: simulation.cityConfig.name,
+      seed: simulation.seed,
+      hours: runHours,
+      detail: detail,
+      started_at: startedAt.toISOString(),
+      completed_at: new Date().toISOString(),
+      series: series.map(hourData => formatHourRecord(hourData, detail))
+    });
+    
+  } catch (error) {
+    console.error(`Error running simulation ${req.params.id} batch:`, error);
+    
+    if (res.headersSent) {
+      return res.end();
+    }
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to run simulation batch',
+      error: error.message
+    });
+  }
+});
+
+const RESCHEDULE_FIELDS = ['start_time', 'duration_hours'];
+
+// Schedule a custom event (scenario planning). Traffic reacts from the hour it starts.
+app.post('/api/simulations/:id/events', (req, res) => {
+  try {
+    const { id } = req.params;
+    const simulation = activeSimulations.get(id);
+    
+    if (!simulation) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Simulation ${id} not found`
+      });
+    }
+    
+    if (!simulation.isRunning) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Simulation ${id} is not running`
+      });
+    }
+    
+    const eventSpec = req.body || {};
+    const errors = simulation.validateEvent(eventSpec);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid event',
+        errors
+      });
+    }
+    
+    const event = simulation.injectEvent(eventSpec);
+    
+    res.status(201).json({
+      status: 'success',
+      simulation_id: id,
+      event: simulation.eventsSim.getEventWithStatus(event.id, simulation.currentTime),
+      message: `Scheduled "${event.name}" in ${simulation.cityConfig.name} simulation ${id}`
+    });
+    
+  } catch (error) {
+    console.error(`Error scheduling event for simulation ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to schedule event',
+      error: error.message
+    });
+  }
+});
+
+// Cancel a scheduled or active event
+app.delete('/api/simulations/:id/events/:eventId', (req, res) => {
+  try {
+    const { id, eventId } = req.params;
+    const simulation = activeSimulations.get(id);
+    
+    if (!simulation) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Simulation ${id} not found`
+      });
+    }
+    
+    const existing = simulation.eventsSim.findEvent(eventId);
+    if (!existing) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Event ${eventId} not found in simulation ${id}`
+      });
+    }
+    
+    if (existing.status === 'completed' || existing.status === 'cancelled') {
+      return res.status(409).json({
+        status: 'error',
+        message: `Event ${eventId} is already ${existing.status}`
+      });
+    }
+    
+    const event = simulation.cancelEvent(eventId);
+    
+    res.json({
+      status: 'success',
+      simulation_id: id,
+      event: simulation.eventsSim.getEventWithStatus(event.id, simulation.currentTime),
+      message: `Cancelled "${event.name}" in ${simulation.cityConfig.name} simulation ${id}`
+    });
+    
+  } catch (error) {
+    console.error(`Error cancelling event ${req.params.eventId} for simulation ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to cancel event',
+      error: error.message
+    });
+  }
+});
+
+// Reschedule an event: start_time (scheduled events only) and/or duration_hours
+app.patch('/api/simulations/:id/events/:eventId', (req, res) => {
+  try {
+    const { id, eventId } = req.params;
+    const simulation = activeSimulations.get(id);
+    
+    if (!simulation) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Simulation ${id} not found`
+      });
+    }
+    
+    const changes = req.body || {};
+    const unknownFields = Object.keys(changes).filter(field => !RESCHEDULE_FIELDS.includes(field));
+    const errors = unknownFields.length > 0 ?
+      [`Only ${RESCHEDULE_FIELDS.join(' and ')} can be changed (got ${unknownFields.join(', ')})`] :
+      [];
+    if (!RESCHEDULE_FIELDS.some(field => changes[field] !== undefined)) {
+      errors.push(`Provide at least one of ${RESCHEDULE_FIELDS.join(', ')}`);
+    }
+    errors.push(...simulation.validateEvent(changes, { partial: true }));
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid reschedule request',
+        errors
+      });
+    }
+    
+    const existing = simulation.eventsSim.findEvent(eventId);
+    if (!existing) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Event ${eventId} not found in simulation ${id}`
+      });
+    }
+    
+    if (existing.status === 'completed' || existing.status === 'cancelled') {
+      return res.status(409).json({
+        status: 'error',
+        message: `Event ${eventId} is already ${existing.status}`
+      });
+    }
+    
+    if (existing.status === 'active' && changes.start_time !== undefined) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Event ${eventId} has already started; only duration_hours can be changed`
+      });
+    }
+    
+    const event = simulation.rescheduleEvent(eventId, changes);
+    
+    res.json({
+      status: 'success',
+      simulation_id: id,
+      event: simulation.eventsSim.getEventWithStatus(event.id, simulation.currentTime),
+      message: `Rescheduled "${event.name}" in ${simulation.cityConfig.name} simulation ${id}`
+    });
+    
+  } catch (error) {
+    console.error(`Error rescheduling event ${req.params.eventId} for simulation ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to reschedule event',
+      error: error.message
+    });
+  }
+});
+
+// Save a snapshot of a simulation's full state to the local store
+app.post('/api/simulations/:id/snapshots', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { label = null } = { ...req.query, ...req.body };
+    const simulation = activeSimulations.get(id);
+    
+    if (!simulation) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Simulation ${id} not found`
+      });
+    }
+    
+    if (!simulation.isInitialized) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Simulation ${id} cannot be saved while ${simulation.state}`
+      });
+    }
+    
+    const snapshot = await snapshotStore.save(simulation, { label });
+    
+    res.status(201).json({
+      status: 'success',
+      message: `Snapshot ${snapshot.snapshot_id} saved`,
+      snapshot: snapshot
+    });
+    
+  } catch (error) {
+    console.error(`Error saving simulation ${req.params.id} snapshot:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to save snapshot',
+      error: error.message
+    });
+  }
+});
+
+// List saved snapshots (optionally for one simulation)
+app.get('/api/snapshots', async (req, res) => {
+  try {
+    const { simulation_id } = req.query;
+    const snapshots = await snapshotStore.list({ simulationId: simulation_id || null });
+    
+    res.json({
+      status: 'success',
+      timestamp: new Date().toISOString(),
+      snapshot_count: snapshots.length,
+      snapshots: snapshots
+    });
+    
+  } catch (error) {
+    console.error('Error listing snapshots:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to list snapshots',
+      error: error.message
+    });
+  }
+});
+
+// Load a snapshot back into a live simulation
+app.post('/api/snapshots/:snapshotId/load', async (req, res) => {
+  try {
+    const { snapshotId } = req.params;
+    const { simulation_id } = { ...req.query, ...req.body };
+    
+    let snapshot;
+    try {
+      snapshot = await snapshotStore.load(snapshotId);
+    } catch (error) {
+      return res.status(error.message.includes('not found') ? 404 : 400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    const simId = simulation_id || snapshot.simulation_id;
+    
+    if (!isSafeId(simId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: SIMULATION_ID_RULE
+      });
+    }
+    
+    if (activeSimulations.has(simId)) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Simulation ${simId} already exists - stop it first or pass a different simulation_id`
+      });
+    }
+    
+    const simulation = await restoreSimulation(snapshot, simId);
+    
+    res.status(201).json({
+      status: 'success',
+      message: `${simulation.cityConfig.name} simulation ${simId} restored from snapshot ${snapshotId}`,
+      snapshot_id: snapshotId,
+      simulation_id: simId,
+      city_id: simulation.cityId,
+      city_name: simulation.cityConfig.name,
+      simulation_status: simulation.state,
+      seed: simulation.seed,
+      current_time: simulation.currentTime.toISOString(),
+      hour_counter: parseInt(simulation.hourCounter),
+      restored_at: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error(`Error loading snapshot ${req.params.snapshotId}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to load snapshot',
+      error: error.message
+    });
+  }
+});
+
+// Stop a specific simulation
+app.get('/api/simulations/:id/stop', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const simulation = activeSimulations.get(id);
+    
+    if (!simulation) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Simulation ${id} not found`
+      });
+    }
+    
+    const finalHour = simulation.hourCounter;
+    const cityName = simulation.cityConfig.name;
+    simulation.stop();
+    activeSimulations.delete(id);
+    await snapshotStore.removeAutosave(id);
+    
+    logInfo(`⏹️ Stopped ${cityName} simulation: ${id}`);
+    
+    res.json({
+      status: 'success',
+      simulation_id: id,
+      city_name: cityName,
+      simulation_status: 'stopped',
+      message: `${cityName} simulation ${id} stopped successfully`,
+      stopped_at: new Date().toISOString(),
+      final_hour: parseInt(finalHour)
+    });
+    
+  } catch (error) {
+    console.error(`Error stopping simulation ${req.params.id}:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to stop simulation',
+      error: error.message
+    });
+  }
+});
+
+// Stop all active simulations
+app.post('/api/simulations/stop', async (req, res) => {
+  try {
+    const stoppedSimulations = [];
+    const errors = [];
+    
+    for (const [id, simulation] of activeSimulations.entries()) {
+      try {
+        simulation.stop();
+        await snapshotStore.removeAutosave(id);
+        stoppedSimulations.push({
+          simulation_id: id,
+          city_name: simulation.cityConfig.name,
+          status: 'stopped',
+          uptime_hours: parseInt(simulation.hourCounter)
+        });
+        logInfo(`⏹️ Stopped ${simulation.cityConfig.name} simulation: ${id}`);
+      } catch (error) {
+        console.error(`Error stopping simulation ${id}:`, error);
+        errors.push({
+          simulation_id: id,
+          error: error.message
+        });
+      }
+    }
+    
+    activeSimulations.clear();
+    
+    const response = {
+      status: stoppedSimulations.length > 0 ? 'success' : 'no_simulations',
+      message: stoppedSimulations.length > 0 
+        ? `Stopped ${stoppedSimulations.length} simulation(s)`
+        : 'No active simulations to stop',
+      stopped_count: stoppedSimulations.length,
+      stopped_simulations: stoppedSimulations,
+      stopped_at: new Date().toISOString()
+    };
+    
+    if (errors.length > 0) {
+      response.errors = errors;
+      response.status = 'partial_success';
+      response.message += ` (${errors.length} errors occurred)`;
+    }
+    
+    res.json(response);
+    
+  } catch (error) {
+    console.error('Error stopping all simulations:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to stop simulations',
+      error: error.message
+    });
+  }
+});
+
+// Get simulation status (does NOT advance simulation)
+app.get('/api/simulations/:id/status', (req, res) => {
+  try {
+    const { id } = req.params;
+    const simulation = activeSimulations.get(id);
+    
+    if (!simulation) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Simulation ${id} not found`
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      timestamp: new Date().toISOString(),
+      simulation_id: id,
+      city_id: simulation.cityId,
+      city_name: simulation.cityConfig.name,
+      state: simulation.state,
+      is_running: simulation.isRunning,
+      is_paused: simulation.isPaused,
+      is_initialized: simulation.isInitialized,
+      last_error: simulation.lastError,
+      seed: simulation.seed,
+      current_time: simulation.currentTime.toISOString(),
+      hour_counter: parseInt(simulation.hourCounter),
+      seconds_per_hour: parseInt(simulation.secondsPerHour),
+      next_tick_at: simulation.nextTickAt ? new Date(simulation.nextTickAt).toISOString() : null,
+      skipped_ticks: parseInt(simulation.skippedTicks),
+      foundry_integration: simulation.sinks.hasType('foundry'),
+      foundry_connected: !!simulation.sinks.getByType('foundry')?.isConnected,
+      sinks: simulation.sinks.getHealth(),
+      road_network: simulation.trafficSim.roadNetwork.getSummary(),
+      events: simulation.eventsSim.getEventStatistics(),
+      weather_source: simulation.weatherSim.describe(),
+      uptime_hours: parseInt(simulation.hourCounter),
+      has_ready_data: !!simulation.readyHourData,
+      is_generating: simulation.isGenerating,
+      stream_subscribers: simulation.listenerCount('hour'),
+      created_at: simulation.currentTime ? 
+        new Date(simulation.currentTime.getTime() - (simulation.hourCounter * 60 * 60 * 1000)).toISOString() 
+        : new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error(`Error getting simulation ${req.params.id} status:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get simulation status',
+      error: error.message
+    });
+  }
+});
+
+// Update simulation time compression
+app.get('/api/simulations/:id/time-compression', (req, res) => {
+  try {
+    const { id } = req.params;
+    const { seconds_per_hour } = req.query;
+    
+    const secondsPerHour = parseInt(seconds_per_hour);
+    
+    if (!secondsPerHour || secondsPerHour < 1 || secondsPerHour > 3600) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'seconds_per_hour must be between 1 and 3600'
+      });
+    }
+    
+    const simulation = activeSimulations.get(id);
+    
+    if (!simulation) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Simulation ${id} not found`
+      });
+    }
+    
+    const oldCompression = simulation.secondsPerHour;
+    simulation.updateTimeCompression(secondsPerHour);
+    
+    res.json({
+      status: 'success',
+      simulation_id: id,
+      city_name: simulation.cityConfig.name,
       seconds_per_hour: secondsPerHour,
       previous_seconds_per_hour: parseInt(oldCompression),
-      simulation_status: simulation.isRunning ? 'running' : 'stopped',
+      simulation_status: simulation.state,
       message: 'Time compression updated successfully',
       updated_at: new Date().toISOString()
     });
@@ -484,46 +1591,51 @@ app.use((req, res) => {
   });
 });
 
-// Graceful shutdown handler
-process.on('SIGTERM', () => {
-  console.log('🛑 SIGTERM received, stopping all simulations...');
+// Graceful shutdown handler - autosave first so simulations come back on the next boot
+async function shutdown(signal) {
+  logInfo(`🛑 ${signal} received, saving and stopping all simulations...`);
+  
+  await autosaveAllSimulations();
   
   for (const [id, simulation] of activeSimulations.entries()) {
     try {
       simulation.stop();
-      console.log(`⏹️ Stopped ${simulation.cityConfig.name} simulation: ${id}`);
+      logInfo(`⏹️ Stopped ${simulation.cityConfig.name} simulation: ${id}`);
     } catch (error) {
       console.error(`Error stopping simulation ${id}:`, error);
     }
   }
   
   activeSimulations.clear();
-  console.log('✅ All simulations stopped');
+  logInfo('✅ All simulations stopped');
   process.exit(0);
-});
+}
+
+export { app };
 
-process.on('SIGINT', () => {
-  console.log('🛑 SIGINT received, stopping all simulations...');
+// Only listen, autosave and handle signals when run directly - tests import the app
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
   
-  for (const [id, simulation] of activeSimulations.entries()) {
-    try {
-      simulation.stop();
-      console.log(`⏹️ Stopped ${simulation.cityConfig.name} simulation: ${id}`);
-    } catch (error) {
-      console.error(`Error stopping simulation ${id}:`, error);
-    }
+  // Periodic autosave so a crash loses at most one interval of progress
+  if (AUTOSAVE_INTERVAL_SECONDS > 0) {
+    setInterval(autosaveAllSimulations, AUTOSAVE_INTERVAL_SECONDS * 1000).unref();
   }
   
-  activeSimulations.clear();
-  console.log('✅ All simulations stopped');
-  process.exit(0);
-});
-
-// Start server
-app.listen(PORT, () => {
-  console.log(`🏙️ Multi-City Simulation API running on port ${PORT}`);
-  console.log(`🏥 Health check: http://localhost:${PORT}/health`);
-  console.log(`🌍 Available cities: http://localhost:${PORT}/api/cities`);
-  console.log(`🔗 Foundry integration: ${process.env.FOUNDRY_URL ? 'Enabled' : 'Disabled'}`);
-  console.log(`⚡ Ready to start simulations with instant data delivery!`);
-});
\ No newline at end of file
+  // Start server
+  const server = app.listen(PORT, () => {
+    logInfo(`🏙️ Multi-City Simulation API running on port ${PORT}`);
+    logInfo(`🏥 Health check: http://localhost:${PORT}/health`);
+    logInfo(`🌍 Available cities: http://localhost:${PORT}/api/cities`);
+    logInfo(`🔗 Foundry integration: ${process.env.FOUNDRY_URL ? 'Enabled' : 'Disabled'}`);
+    logInfo(`⚡ Ready to start simulations with instant data delivery!`);
+    
+    restoreAutosavedSimulations().catch(error => {
+      console.error('❌ Failed to restore autosaved simulations:', error);
+    });
+  });
+  
+  // WebSocket control and data channel shares the HTTP server
+  attachControlChannel(server);
+}
\ No newline at end of file
@@ -0,0 +1,167 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import WebSocket from 'ws';
+import { attachControlChannel } from '../lib/channels/controlChannel.js';
+import { activeSimulations } from '../lib/simulation.js';
+import { CitySimulation } from '../lib/simulators/CitySimulation.js';
+
+const SIMULATION_ID = 'control-test';
+let server;
+let wss;
+let simulation;
+let client;
+
+// A control channel client that hands back the next message of each kind
+function connect() {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(`ws://127.0.0.1:${server.address().port}/api/ws`);
+    const received = [];
+    const waiting = [];
+
+    socket.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      const index = waiting.findIndex(waiter => waiter.matches(message));
+      if (index === -1) {
+        received.push(message);
+      } else {
+        waiting.splice(index, 1)[0].resolve(message);
+      }
+    });
+
+    const next = (matches) => {
+      const index = received.findIndex(matches);
+      if (index !== -1) return Promise.resolve(received.splice(index, 1)[0]);
+      return new Promise(resolve => waiting.push({ matches, resolve }));
+    };
+
+    let requestCounter = 0;
+    const request = (message) => {
+      const requestId = `req-${++requestCounter}`;
+      socket.send(JSON.stringify({ ...message, request_id: requestId }));
+      return next(reply => reply.request_id === requestId);
+    };
+
+    socket.once('open', () => resolve({ socket, next, request, received }));
+    socket.once('error', reject);
+  });
+}
+
+before(async () => {
+  simulation = new CitySimulation(SIMULATION_ID, 3600, 'york', {
+    seed: 1,
+    startTime: '2025-03-03T10:00:00Z',
+    sinks: [],
+    historyLog: false
+  });
+  simulation.setVerbose(false);
+  await simulation.start({ paused: true });
+  activeSimulations.set(SIMULATION_ID, simulation);
+
+  server = http.createServer();
+  wss = attachControlChannel(server);
+  server.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  client = await connect();
+});
+
+after(async () => {
+  client.socket.close();
+  simulation.stop();
+  activeSimulations.delete(SIMULATION_ID);
+  await new Promise(resolve => wss.close(resolve));
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('replies echo the request_id', async () => {
+  const reply = await client.request({ type: 'ping' });
+  assert.equal(reply.type, 'ack');
+  assert.equal(reply.request_id, 'req-1');
+  assert.equal(reply.command, 'ping');
+  assert.ok(reply.result.server_time);
+
+  client.socket.send(JSON.stringify({ type: 'ping' }));
+  assert.equal((await client.next(message => message.command === 'ping')).request_id, null);
+});
+
+test('unknown and malformed commands get an error reply', async () => {
+  const unknown = await client.request({ type: 'explode', simulation_id: SIMULATION_ID });
+  assert.equal(unknown.type, 'error');
+  assert.match(unknown.message, /Unknown message type 'explode'/);
+
+  const noSimulation = await client.request({ type: 'pause' });
+  assert.equal(noSimulation.type, 'error');
+  assert.equal(noSimulation.message, 'simulation_id is required');
+
+  const missing = await client.request({ type: 'pause', simulation_id: 'missing' });
+  assert.equal(missing.message, 'Simulation missing not found');
+
+  const badStep = await client.request({ type: 'step', simulation_id: SIMULATION_ID, hours: 500 });
+  assert.equal(badStep.message, 'hours must be between 1 and 168');
+
+  client.socket.send('{not json');
+  const invalid = await client.next(message => message.type === 'error' && message.request_id === null);
+  assert.equal(invalid.message, 'Messages must be valid JSON');
+
+  // The connection keeps serving after errors
+  assert.equal((await client.request({ type: 'ping' })).type, 'ack');
+});
+
+test('pause, resume and step change the simulation', async () => {
+  const resumed = await client.request({ type: 'resume', simulation_id: SIMULATION_ID });
+  assert.equal(resumed.type, 'ack');
+  assert.equal(resumed.result.state, 'running');
+  assert.equal(simulation.state, 'running');
+
+  const paused = await client.request({ type: 'pause', simulation_id: SIMULATION_ID });
+  assert.equal(paused.result.state, 'paused');
+  assert.equal(simulation.state, 'paused');
+
+  const hourCounter = simulation.hourCounter;
+  const stepped = await client.request({ type: 'step', simulation_id: SIMULATION_ID, hours: 2 });
+  assert.equal(stepped.type, 'ack');
+  assert.equal(stepped.result.hours_stepped, 2);
+  assert.equal(stepped.result.hour_counter, hourCounter + 2);
+  assert.equal(simulation.hourCounter, hourCounter + 2);
+  assert.equal(stepped.result.timestamp, simulation.readyHourData.timestamp);
+});
+
+test('subscribers get each new hour until they unsubscribe', async () => {
+  const subscribers = simulation.listenerCount('hour');
+  const subscribed = await client.request({ type: 'subscribe', simulation_ids: [SIMULATION_ID] });
+  assert.deepEqual(subscribed.result, { subscribed: [SIMULATION_ID] });
+  assert.equal(simulation.listenerCount('hour'), subscribers + 1);
+
+  await client.request({ type: 'step', simulation_id: SIMULATION_ID });
+  const hour = await client.next(message => message.type === 'simulation_data');
+  assert.equal(hour.simulation_id, SIMULATION_ID);
+  assert.equal(hour.event_id, simulation.hourCounter);
+  assert.equal(hour.data.timestamp, simulation.readyHourData.timestamp);
+
+  const unsubscribed = await client.request({ type: 'unsubscribe', simulation_id: SIMULATION_ID });
+  assert.deepEqual(unsubscribed.result, { unsubscribed: [SIMULATION_ID] });
+  assert.equal(simulation.listenerCount('hour'), subscribers);
+
+  await client.request({ type: 'step', simulation_id: SIMULATION_ID });
+  await client.request({ type: 'ping' });
+  assert.equal(client.received.some(message => message.type === 'simulation_data'), false);
+
+  const again = await client.request({ type: 'unsubscribe', simulation_id: SIMULATION_ID });
+  assert.deepEqual(again.result, { unsubscribed: [] });
+  assert.equal((await client.request({ type: 'subscribe', simulation_ids: [] })).type, 'error');
+  assert.equal((await client.request({ type: 'subscribe', simulation_ids: ['missing'] })).type, 'error');
+});
+
+test('closing the socket releases its subscriptions', async () => {
+  const subscribers = simulation.listenerCount('hour');
+  const other = await connect();
+  await other.request({ type: 'subscribe', simulation_id: SIMULATION_ID });
+  assert.equal(simulation.listenerCount('hour'), subscribers + 1);
+
+  other.socket.close();
+  await new Promise(resolve => other.socket.once('close', resolve));
+  for (let attempt = 0; attempt < 100 && simulation.listenerCount('hour') !== subscribers; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.equal(simulation.listenerCount('hour'), subscribers);
+});
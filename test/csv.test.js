@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv } from '../lib/utils/csv.js';
+
+test('plain rows split on commas and line breaks', () => {
+  assert.deepEqual(parseCsv('a,b,c\n1,2,3\n'), [['a', 'b', 'c'], ['1', '2', '3']]);
+});
+
+test('the last row does not need a trailing line break', () => {
+  assert.deepEqual(parseCsv('a,b\n1,2'), [['a', 'b'], ['1', '2']]);
+});
+
+test('CRLF, CR and LF line endings are all accepted', () => {
+  const expected = [['a', 'b'], ['1', '2'], ['3', '4']];
+  assert.deepEqual(parseCsv('a,b\r\n1,2\r\n3,4\r\n'), expected);
+  assert.deepEqual(parseCsv('a,b\r1,2\r3,4'), expected);
+  assert.deepEqual(parseCsv('a,b\n1,2\r\n3,4'), expected);
+});
+
+test('empty fields are kept, including a trailing one', () => {
+  assert.deepEqual(parseCsv('a,,c\n,,\n1,2,\n'), [['a', '', 'c'], ['', '', ''], ['1', '2', '']]);
+});
+
+test('quoted fields may contain commas, line breaks and doubled quotes', () => {
+  const text = 'name,note\n"Smith, J","said ""hi""\r\nthen left"\n';
+  assert.deepEqual(parseCsv(text), [['name', 'note'], ['Smith, J', 'said "hi"\r\nthen left']]);
+});
+
+test('quoted empty strings and quotes only a field wide', () => {
+  assert.deepEqual(parseCsv('a,"",c\n""""\n'), [['a', '', 'c'], ['"']]);
+});
+
+test('blank lines are skipped', () => {
+  assert.deepEqual(parseCsv('a,b\n\n1,2\n\r\n\n'), [['a', 'b'], ['1', '2']]);
+  assert.deepEqual(parseCsv(''), []);
+});
+
+test('a leading byte order mark is not part of the first header', () => {
+  assert.deepEqual(parseCsv('\ufeffdatetime,temp\n2024-07-06T00:00,14.2\n'), [['datetime', 'temp'], ['2024-07-06T00:00', '14.2']]);
+});
+
+test('an unterminated quote runs to the end of the input', () => {
+  assert.deepEqual(parseCsv('a,"b\nc'), [['a', 'b\nc']]);
+});
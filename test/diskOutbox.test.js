@@ -0,0 +1,191 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, readdir, rm, stat, appendFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { DiskOutbox } from '../lib/sinks/DiskOutbox.js';
+import { OutputSink } from '../lib/sinks/OutputSink.js';
+
+let directory;
+let basePath;
+
+beforeEach(async () => {
+  directory = await mkdtemp(join(tmpdir(), 'outbox-'));
+  basePath = join(directory, 'sim_foundry');
+});
+
+afterEach(() => rm(directory, { recursive: true, force: true }));
+
+const records = (from, count, padding = 0) =>
+  Array.from({ length: count }, (_, index) => ({ hour: from + index, padding: 'x'.repeat(padding) }));
+
+const readState = async () => JSON.parse(await readFile(`${basePath}.state.json`, 'utf8'));
+
+test('enqueues append to the segment and deliveries only move the offset', async () => {
+  const outbox = new DiskOutbox(basePath);
+  await outbox.load();
+
+  outbox.enqueue(records(0, 3));
+  await outbox.settle();
+  const { size: fullSize } = await stat(outbox.filePath);
+
+  outbox.enqueue(records(3, 1));
+  await outbox.settle();
+  const lines = (await readFile(outbox.filePath, 'utf8')).trim().split('\n');
+  assert.equal(lines.length, 4);
+  assert.equal(JSON.parse(lines[3]).record.hour, 3);
+  assert.ok((await stat(outbox.filePath)).size > fullSize);
+
+  const segmentBefore = await readFile(outbox.filePath);
+  outbox.remove(2);
+  await outbox.settle();
+
+  assert.deepEqual(await readFile(outbox.filePath), segmentBefore);
+  assert.equal((await readState()).offset, Buffer.byteLength(lines[0]) + Buffer.byteLength(lines[1]) + 2);
+  assert.deepEqual(outbox.peek(10).map(record => record.hour), [2, 3]);
+});
+
+test('undelivered records survive a restart', async () => {
+  const first = new DiskOutbox(basePath);
+  await first.load();
+  first.enqueue(records(0, 5));
+  first.remove(2);
+  await first.settle();
+
+  const second = new DiskOutbox(basePath);
+  await second.load();
+  assert.equal(second.size, 3);
+  assert.deepEqual(second.peek(10).map(record => record.hour), [2, 3, 4]);
+  assert.equal(second.getOldestQueuedAt(), first.getOldestQueuedAt());
+});
+
+test('a drained outbox starts a new segment and removes the old one', async () => {
+  const outbox = new DiskOutbox(basePath);
+  await outbox.load();
+  outbox.enqueue(records(0, 3));
+  await outbox.settle();
+  const oldSegment = outbox.filePath;
+
+  outbox.remove(3);
+  await outbox.settle();
+
+  assert.notEqual(outbox.filePath, oldSegment);
+  assert.deepEqual((await readdir(directory)).sort(), ['sim_foundry.state.json']);
+  assert.deepEqual(await readState(), { segment: 1, offset: 0, overflow_dropped: 0 });
+});
+
+test('the delivered head is compacted away once it is most of the segment', async () => {
+  const outbox = new DiskOutbox(basePath);
+  await outbox.load();
+  outbox.enqueue(records(0, 300, 5000));
+  await outbox.settle();
+
+  // 100 records (~0.5MB) delivered - under the compaction threshold
+  outbox.remove(100);
+  await outbox.settle();
+  const firstSegment = outbox.filePath;
+  assert.ok((await readState()).offset > 0);
+
+  // 220 delivered (~1.1MB and over half the file) - the rest moves to a new segment
+  outbox.remove(120);
+  await outbox.settle();
+  assert.notEqual(outbox.filePath, firstSegment);
+  assert.equal((await readState()).offset, 0);
+  assert.equal((await readFile(outbox.filePath, 'utf8')).trim().split('\n').length, 80);
+
+  const reloaded = new DiskOutbox(basePath);
+  await reloaded.load();
+  assert.deepEqual(reloaded.peek(1).map(record => record.hour), [220]);
+  assert.equal(reloaded.size, 80);
+});
+
+test('a half-written line from a crash is discarded on load', async () => {
+  const outbox = new DiskOutbox(basePath);
+  await outbox.load();
+  outbox.enqueue(records(0, 2));
+  await outbox.settle();
+  await appendFile(outbox.filePath, '{"queued_at":"2025-01-01T00:00:00.000Z","rec');
+
+  const reloaded = new DiskOutbox(basePath);
+  await reloaded.load();
+  assert.equal(reloaded.size, 2);
+
+  reloaded.enqueue(records(2, 1));
+  await reloaded.settle();
+  const again = new DiskOutbox(basePath);
+  await again.load();
+  assert.deepEqual(again.peek(10).map(record => record.hour), [0, 1, 2]);
+});
+
+test('past the byte cap the oldest records are dropped and counted across restarts', async () => {
+  const outbox = new DiskOutbox(basePath, { maxBytes: 2000 });
+  await outbox.load();
+
+  outbox.enqueue(records(0, 10, 100));
+  const recordBytes = outbox.entries[0].bytes;
+  outbox.enqueue(records(10, 10, 100));
+  await outbox.settle();
+
+  const kept = Math.floor(2000 / recordBytes);
+  assert.equal(outbox.size, kept);
+  assert.ok(outbox.queuedBytes <= 2000);
+  assert.equal(outbox.overflowDropped, 20 - kept);
+  assert.equal(outbox.peek(1)[0].hour, 20 - kept);
+
+  const reloaded = new DiskOutbox(basePath, { maxBytes: 2000 });
+  await reloaded.load();
+  assert.equal(reloaded.overflowDropped, 20 - kept);
+  assert.equal(reloaded.peek(1)[0].hour, 20 - kept);
+});
+
+test('records dropped while a batch is in flight are not removed twice', async () => {
+  const outbox = new DiskOutbox(basePath);
+  await outbox.load();
+  outbox.enqueue(records(0, 5));
+
+  const headSeq = outbox.headSeq;
+  const batch = outbox.peek(3);
+  // Two of the three in-flight records are dropped for space before the send returns
+  outbox.remove(2);
+  outbox.remove(batch.length, headSeq);
+
+  assert.deepEqual(outbox.peek(10).map(record => record.hour), [3, 4]);
+});
+
+class FlakySink extends OutputSink {
+  constructor(outbox) {
+    super('test', { retry_delay_ms: 10000 });
+    this.outbox = outbox;
+    this.failing = true;
+    this.sent = [];
+  }
+
+  async sendBatch(batch) {
+    if (this.failing) throw new Error('endpoint down');
+    this.sent.push(...batch);
+  }
+}
+
+test('sink health raises an alarm once the outbox has dropped records', async () => {
+  const sink = new FlakySink(new DiskOutbox(basePath, { maxBytes: 1000 }));
+  await sink.start();
+
+  for (let hour = 0; hour < 20; hour++) {
+    sink.write({ hour, padding: 'x'.repeat(100) });
+  }
+  await sink.delivery;
+  await sink.outbox.settle();
+
+  const health = sink.getHealth();
+  assert.equal(health.durable, true);
+  assert.ok(health.outbox_dropped_records > 0);
+  assert.equal(health.dropped_records, health.outbox_dropped_records);
+  assert.ok(health.outbox_bytes <= health.outbox_max_bytes);
+  assert.match(health.alarms.join('; '), /outbox full - dropped \d+ oldest undelivered record/);
+
+  sink.failing = false;
+  await sink.flush({ force: true });
+  assert.equal(sink.queuedCount, 0);
+  assert.equal(sink.sent.at(-1).hour, 19);
+  await sink.close();
+});
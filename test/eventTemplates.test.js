@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { getAvailableCities, getCityConfig } from '../lib/utils/cityConfigs.js';
+import { loadCityEventTemplates, loadCityEvents } from '../lib/utils/dataLoaders.js';
+import { validateEventTemplate } from '../lib/utils/eventTemplates.js';
+
+const repoFile = (file) => fileURLToPath(new URL(`../${file}`, import.meta.url));
+
+const citiesWithData = getAvailableCities()
+  .map(city => city.city_id)
+  .filter(cityId => {
+    const { events_file, datazones_file } = getCityConfig(cityId);
+    return existsSync(repoFile(events_file)) && existsSync(repoFile(datazones_file));
+  });
+
+// Still on 2011 data zone / LSOA codes - left rejected until they are remapped with the
+// official 2011-to-current lookup tables
+const STALE_CODE_CITIES = ['edinburgh', 'york'];
+
+test('shipped event templates match their city datazone file', async () => {
+  assert.ok(citiesWithData.length >= 3);
+
+  for (const cityId of citiesWithData) {
+    const { valid_count, rejected_count, templates } = await loadCityEventTemplates(cityId);
+    const events = await loadCityEvents(cityId);
+    assert.equal(events.length, valid_count);
+
+    if (STALE_CODE_CITIES.includes(cityId)) {
+      // The schema is fine; only the datazone codes are out of date
+      for (const entry of templates) {
+        assert.deepEqual(entry.errors.map(error => error.split(':')[0]), ["affected_datazones not in the city's datazone file"], `${cityId} #${entry.index}`);
+      }
+      assert.equal(valid_count, 0);
+      continue;
+    }
+
+    const problems = templates.filter(entry => !entry.valid).map(entry => `#${entry.index} ${entry.name}: ${entry.errors.join('; ')}`);
+    assert.deepEqual(problems, [], `${cityId} templates rejected`);
+    assert.equal(rejected_count, 0);
+    assert.ok(valid_count > 0, `${cityId} has no event templates`);
+  }
+});
+
+test('templates naming unknown datazones are rejected', () => {
+  const template = {
+    type: 'concert',
+    name: 'Test',
+    affected_datazones: ['S01008698'],
+    impact_factor: 1.2,
+    start_hour: 19,
+    end_hour: 22,
+    duration_hours: 3
+  };
+
+  assert.deepEqual(validateEventTemplate(template, new Set(['S01008698'])), []);
+  assert.match(validateEventTemplate(template, new Set(['S01014431'])).join('; '), /S01008698/);
+});
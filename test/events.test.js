@@ -0,0 +1,101 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { app } from '../server.js';
+import { activeSimulations } from '../lib/simulation.js';
+import { CitySimulation } from '../lib/simulators/CitySimulation.js';
+
+const SIMULATION_ID = 'events-test';
+let server;
+let baseUrl;
+let simulation;
+
+before(async () => {
+  simulation = new CitySimulation(SIMULATION_ID, 3600, 'york', {
+    seed: 1,
+    startTime: '2025-03-03T10:00:00Z',
+    sinks: [],
+    historyLog: false
+  });
+  simulation.setVerbose(false);
+  await simulation.start({ paused: true });
+  activeSimulations.set(SIMULATION_ID, simulation);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/simulations/${SIMULATION_ID}/events`;
+});
+
+after(async () => {
+  simulation.stop();
+  activeSimulations.delete(SIMULATION_ID);
+  await new Promise(resolve => server.close(resolve));
+});
+
+async function request(method, path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const zoneCode = () => simulation.trafficSim.datazones[0].datazone_code;
+
+function eventSpec(overrides = {}) {
+  return { name: 'Road closure', affected_datazones: [zoneCode()], duration_hours: 2, ...overrides };
+}
+
+test('a start_time inside the current hour starts at the next hour, not a day later', async () => {
+  assert.equal(simulation.currentTime.toISOString(), '2025-03-03T11:00:00.000Z');
+
+  const { status, body } = await request('POST', '', eventSpec({ start_time: '2025-03-03T11:30:00Z' }));
+  assert.equal(status, 201);
+  assert.equal(new Date(body.event.scheduled_start_time).toISOString(), '2025-03-03T12:00:00.000Z');
+
+  await simulation.step();
+  assert.equal(simulation.eventsSim.findEvent(body.event.id).status, 'active');
+});
+
+test('an exact top-of-hour start_time is kept', async () => {
+  const { status, body } = await request('POST', '', eventSpec({ start_time: '2025-03-03T15:00:00Z' }));
+  assert.equal(status, 201);
+  assert.equal(new Date(body.event.scheduled_start_time).toISOString(), '2025-03-03T15:00:00.000Z');
+});
+
+test('POST rejects invalid events and unknown simulations', async () => {
+  const invalid = await request('POST', '', { affected_datazones: ['NOPE'], start_time: '2020-01-01T00:00:00Z' });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.errors.length, 3);
+
+  const response = await fetch(`${baseUrl.replace(SIMULATION_ID, 'missing')}`, { method: 'POST' });
+  assert.equal(response.status, 404);
+});
+
+test('DELETE cancels an event once', async () => {
+  const { body } = await request('POST', '', eventSpec());
+  const cancelled = await request('DELETE', `/${body.event.id}`);
+  assert.equal(cancelled.status, 200);
+  assert.equal(simulation.eventsSim.findEvent(body.event.id).status, 'cancelled');
+
+  assert.equal((await request('DELETE', `/${body.event.id}`)).status, 409);
+  assert.equal((await request('DELETE', '/99999')).status, 404);
+});
+
+test('PATCH moves scheduled events and only extends active ones', async () => {
+  const { body } = await request('POST', '', eventSpec({ start_time: '2025-03-04T09:00:00Z' }));
+  const moved = await request('PATCH', `/${body.event.id}`, { start_time: '2025-03-04T17:45:00Z', duration_hours: 3 });
+  assert.equal(moved.status, 200);
+  const event = simulation.eventsSim.findEvent(body.event.id);
+  assert.equal(event.scheduled_start_time.toISOString(), '2025-03-04T18:00:00.000Z');
+  assert.equal(event.duration_hours, 3);
+
+  assert.equal((await request('PATCH', `/${body.event.id}`, { name: 'Renamed' })).status, 400);
+  assert.equal((await request('PATCH', `/${body.event.id}`, {})).status, 400);
+
+  const active = simulation.eventsSim.activeEvents[0];
+  assert.ok(active);
+  assert.equal((await request('PATCH', `/${active.id}`, { start_time: '2025-03-05T10:00:00Z' })).status, 409);
+  assert.equal((await request('PATCH', `/${active.id}`, { duration_hours: 4 })).status, 200);
+  assert.equal(active.actual_end_time.getTime() - active.actual_start_time.getTime(), 4 * 60 * 60 * 1000);
+});
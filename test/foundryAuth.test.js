@@ -0,0 +1,195 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { FoundryTokenManager } from '../lib/sinks/FoundryTokenManager.js';
+import { FoundrySink, loadFoundryConfig } from '../lib/sinks/FoundrySink.js';
+
+const TOKEN_PATH = '/multipass/api/oauth2/token';
+const STREAM_RID = 'ri.foundry.main.stream.test';
+
+// Local stand-in for Foundry's OAuth and stream endpoints
+const mock = {
+  tokenRequests: 0,
+  tokenStatus: 200,
+  tokenDelayMs: 0,
+  expiresIn: 3600,
+  recordStatuses: [],
+  recordAuthHeaders: []
+};
+
+const server = createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const reply = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    if (req.url === TOKEN_PATH) {
+      mock.tokenRequests++;
+      const tokenNumber = mock.tokenRequests;
+      setTimeout(() => {
+        if (mock.tokenStatus !== 200) {
+          reply(mock.tokenStatus, { error: 'unavailable' });
+        } else {
+          reply(200, { access_token: `token-${tokenNumber}`, expires_in: mock.expiresIn });
+        }
+      }, mock.tokenDelayMs);
+      return;
+    }
+
+    if (req.url === `/api/v1/streams/${STREAM_RID}/records`) {
+      mock.recordAuthHeaders.push(req.headers.authorization);
+      const status = mock.recordStatuses.shift() ?? 200;
+      reply(status, status === 200 ? { accepted: JSON.parse(body).records.length } : { error: 'unauthorized' });
+      return;
+    }
+
+    reply(404, { error: 'not found' });
+  });
+});
+
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const foundryUrl = `http://127.0.0.1:${server.address().port}`;
+const outboxDir = await mkdtemp(join(tmpdir(), 'outbox-'));
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await rm(outboxDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  Object.assign(mock, { tokenRequests: 0, tokenStatus: 200, tokenDelayMs: 0, expiresIn: 3600, recordStatuses: [], recordAuthHeaders: [] });
+});
+
+const config = { foundryUrl, clientId: 'client', clientSecret: 'secret', streamRid: STREAM_RID };
+
+function mockClock(t, start = 1_000_000) {
+  const clock = { now: start };
+  t.mock.method(Date, 'now', () => clock.now);
+  return clock;
+}
+
+test('FOUNDRY_URL must be https unless it points at this machine', (t) => {
+  const setUrl = (value) => {
+    process.env.FOUNDRY_URL = value;
+  };
+  Object.assign(process.env, { FOUNDRY_CLIENT_ID: 'client', FOUNDRY_CLIENT_SECRET: 'secret', FOUNDRY_STREAM_RID: STREAM_RID });
+  t.after(() => {
+    for (const name of ['FOUNDRY_URL', 'FOUNDRY_CLIENT_ID', 'FOUNDRY_CLIENT_SECRET', 'FOUNDRY_STREAM_RID']) delete process.env[name];
+  });
+
+  setUrl('https://example.palantirfoundry.com');
+  assert.ok(loadFoundryConfig({ quiet: true }));
+  setUrl(foundryUrl);
+  assert.equal(loadFoundryConfig({ quiet: true }).foundryUrl, foundryUrl);
+  setUrl('http://localhost:4000');
+  assert.ok(loadFoundryConfig({ quiet: true }));
+  setUrl('http://example.palantirfoundry.com');
+  assert.equal(loadFoundryConfig({ quiet: true }), null);
+  setUrl('not a url');
+  assert.equal(loadFoundryConfig({ quiet: true }), null);
+});
+
+test('tokens are cached until the refresh margin, then refreshed', async (t) => {
+  const clock = mockClock(t);
+  const tokens = new FoundryTokenManager({ refreshMarginMs: 60000 });
+
+  assert.equal(await tokens.getToken(config), 'token-1');
+  clock.now += 3600_000 - 60_001;
+  assert.equal(await tokens.getToken(config), 'token-1');
+  assert.equal(mock.tokenRequests, 1);
+
+  clock.now += 1;
+  assert.equal(await tokens.getToken(config), 'token-2');
+  assert.equal(mock.tokenRequests, 2);
+  assert.equal(tokens.getStatus(config).refresh_count, 2);
+});
+
+test('a failed early refresh keeps using the still-valid token', async (t) => {
+  const clock = mockClock(t);
+  const tokens = new FoundryTokenManager({ refreshMarginMs: 60000 });
+
+  await tokens.getToken(config);
+  clock.now += 3600_000 - 30_000;
+  mock.tokenStatus = 503;
+
+  assert.equal(await tokens.getToken(config), 'token-1');
+  assert.equal(tokens.getStatus(config).consecutive_failures, 1);
+});
+
+test('overlapping calls share a single refresh', async () => {
+  const tokens = new FoundryTokenManager();
+  mock.tokenDelayMs = 50;
+
+  const results = await Promise.all(Array.from({ length: 5 }, () => tokens.getToken(config)));
+  assert.deepEqual(results, Array(5).fill('token-1'));
+  assert.equal(mock.tokenRequests, 1);
+});
+
+test('a 401 from Foundry invalidates the token so the retry re-authenticates', async (t) => {
+  process.env.OUTBOX_DIR = outboxDir;
+  t.after(() => delete process.env.OUTBOX_DIR);
+  const tokens = new FoundryTokenManager();
+  const sink = new FoundrySink({ name: 'auth-test' }, { simulationId: 'auth-test', foundryConfig: config, tokenManager: tokens });
+  const records = [{ stream_rid: STREAM_RID, row: { hour: 1 } }];
+
+  mock.recordStatuses = [401];
+  await assert.rejects(sink.sendBatch(records), error => error.response?.status === 401);
+  assert.equal(tokens.hasValidToken(config), false);
+
+  await sink.sendBatch(records);
+  assert.deepEqual(mock.recordAuthHeaders, ['Bearer token-1', 'Bearer token-2']);
+  assert.equal(mock.tokenRequests, 2);
+});
+
+test('invalidating a token that was already replaced keeps the new one', async () => {
+  const tokens = new FoundryTokenManager();
+  const first = await tokens.getToken(config);
+  tokens.invalidate(config, first);
+  const second = await tokens.getToken(config);
+
+  tokens.invalidate(config, first);
+  assert.equal(await tokens.getToken(config), second);
+  assert.equal(mock.tokenRequests, 2);
+});
+
+test('repeated auth failures open the circuit with a doubling cooldown', async (t) => {
+  const clock = mockClock(t);
+  const tokens = new FoundryTokenManager({ failureThreshold: 2, cooldownMs: 1000, maxCooldownMs: 3000 });
+  mock.tokenStatus = 500;
+
+  await assert.rejects(tokens.getToken(config));
+  assert.equal(tokens.getStatus(config).state, 'unauthenticated');
+  await assert.rejects(tokens.getToken(config));
+  assert.equal(tokens.getStatus(config).state, 'circuit_open');
+  assert.equal(tokens.getStatus(config).circuit_open_until, new Date(clock.now + 1000).toISOString());
+
+  // Open circuit fails fast without calling Foundry
+  await assert.rejects(tokens.getToken(config), /circuit open after 2 failures/);
+  assert.equal(mock.tokenRequests, 2);
+
+  // Still failing after the cooldown: the circuit trips again for twice as long
+  clock.now += 1000;
+  await assert.rejects(tokens.getToken(config));
+  assert.equal(mock.tokenRequests, 3);
+  assert.equal(tokens.getStatus(config).circuit_open_until, new Date(clock.now + 2000).toISOString());
+
+  // ...and the cooldown is capped at maxCooldownMs
+  clock.now += 2000;
+  await assert.rejects(tokens.getToken(config));
+  assert.equal(tokens.getStatus(config).circuit_open_until, new Date(clock.now + 3000).toISOString());
+
+  // A successful refresh closes the circuit and resets the cooldown
+  clock.now += 3000;
+  mock.tokenStatus = 200;
+  assert.equal(await tokens.getToken(config), 'token-5');
+  const status = tokens.getStatus(config);
+  assert.equal(status.state, 'authenticated');
+  assert.equal(status.consecutive_failures, 0);
+  assert.equal(tokens.entries.get(tokens.getKey(config)).tripCount, 0);
+});
@@ -0,0 +1,163 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { IncidentGenerator } from '../lib/simulators/IncidentGenerator.js';
+import { StreetModel } from '../lib/simulators/StreetModel.js';
+import { TrafficSimulator } from '../lib/simulators/TrafficSimulator.js';
+import { SeededRandom } from '../lib/utils/random.js';
+import { INCIDENT_TYPES, ROAD_TYPE_CAPACITY } from '../lib/utils/constants.js';
+import { CityCalendar } from '../lib/utils/ukCalendar.js';
+import { loadCityDatazones } from '../lib/utils/dataLoaders.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+// Monday 3 March 2025 (GMT, so UTC hours are York's local hours)
+const MONDAY = new Date('2025-03-03T00:00:00Z');
+const at = (hours) => new Date(MONDAY.getTime() + hours * HOUR_MS);
+const CLEAR = { condition: 'clear', windSpeed: 10 };
+
+let datazones;
+let streetModel;
+
+before(async () => {
+  datazones = await loadCityDatazones('york');
+  streetModel = new StreetModel('york');
+  streetModel.build(datazones);
+});
+
+function createGenerator(seed) {
+  const generator = new IncidentGenerator('york', new SeededRandom(seed));
+  generator.verbose = false;
+  generator.initialize(datazones, streetModel);
+  return generator;
+}
+
+// Every incident started over `hours` hours, in the order they were drawn
+function runHours(generator, fromHour, hours, weather = CLEAR) {
+  const started = [];
+  for (let hour = fromHour; hour < fromHour + hours; hour++) {
+    const before = generator.incidentIdCounter;
+    const { incidents } = generator.processIncidentsForHour(at(hour), weather);
+    started.push(...incidents.filter(incident => incident.id >= before));
+  }
+  return started;
+}
+
+test('the same seed spawns the same incidents', () => {
+  const first = runHours(createGenerator(11), 0, 7 * 24);
+  const second = runHours(createGenerator(11), 0, 7 * 24);
+  const other = runHours(createGenerator(12), 0, 7 * 24);
+
+  assert.ok(first.length > 0, 'no incidents in a week');
+  assert.deepEqual(second, first);
+  assert.notDeepEqual(other, first);
+});
+
+test('bad weather raises the collision count', () => {
+  const count = (weather) => runHours(createGenerator(5), 0, 7 * 24, weather).filter(incident => incident.type === 'collision').length;
+  assert.ok(count({ condition: 'snowy', windSpeed: 10 }) > count(CLEAR));
+});
+
+test('roadworks only start on weekday working hours outside bank holidays', () => {
+  const generator = createGenerator(1);
+  const roadworks = INCIDENT_TYPES.roadworks;
+  const [firstHour, lastHour] = roadworks.start_hours;
+
+  assert.equal(generator.canStartIncident(roadworks, at(firstHour)), true);
+  assert.equal(generator.canStartIncident(roadworks, at(lastHour)), true);
+  assert.equal(generator.canStartIncident(roadworks, at(firstHour - 1)), false);
+  assert.equal(generator.canStartIncident(roadworks, at(lastHour + 1)), false);
+  assert.equal(generator.canStartIncident(roadworks, at(5 * 24 + 10)), false, 'Saturday');
+  assert.equal(generator.canStartIncident(roadworks, at(6 * 24 + 10)), false, 'Sunday');
+  assert.equal(generator.canStartIncident(INCIDENT_TYPES.collision, at(6 * 24 + 3)), true);
+
+  const easterMonday = new Date('2025-04-21T10:00:00+01:00');
+  assert.equal(generator.canStartIncident(roadworks, easterMonday), true);
+  generator.calendar = new CityCalendar('york', 'england', null, 'Europe/London');
+  assert.equal(generator.canStartIncident(roadworks, easterMonday), false);
+
+  // Over several weeks every roadworks incident respects the gate
+  const started = runHours(createGenerator(3), 0, 28 * 24).filter(incident => incident.type === 'roadworks');
+  assert.ok(started.length > 0, 'no roadworks in four weeks');
+  for (const incident of started) {
+    const startedAt = new Date(incident.started_at);
+    assert.ok(![0, 6].includes(startedAt.getUTCDay()), incident.started_at);
+    assert.ok(startedAt.getUTCHours() >= firstHour && startedAt.getUTCHours() <= lastHour, incident.started_at);
+  }
+});
+
+function createIncident(generator, durationHours, startHour = 0) {
+  const config = { duration_hours: [durationHours, durationHours], capacity_reduction: 0.4, severity_weights: { moderate: 1 } };
+  return generator.createIncident('collision', config, generator.zones[0], at(startHour), CLEAR);
+}
+
+test('incidents go active, clearing for their last hour, then cleared', () => {
+  const generator = createGenerator(1);
+  const incident = createIncident(generator, 3);
+  const statusAt = (hour) => {
+    generator.advanceIncidents(at(hour));
+    return generator.formatIncident(incident, at(hour));
+  };
+
+  assert.equal(incident.status, 'active');
+  assert.equal(statusAt(1).status, 'active');
+  const clearing = statusAt(2);
+  assert.equal(clearing.status, 'clearing');
+  assert.equal(clearing.current_capacity_reduction, 0.2);
+  assert.equal(clearing.hours_remaining, 1);
+
+  const cleared = statusAt(3);
+  assert.equal(cleared.status, 'cleared');
+  assert.equal(cleared.current_capacity_reduction, 0);
+  assert.equal(cleared.cleared_at, at(3).toISOString());
+  assert.deepEqual(generator.getActiveIncidents(at(3)), []);
+  assert.equal(generator.resolvedIncidents.at(-1), incident);
+});
+
+test('a one-hour incident is clearing from the start and gone an hour later', () => {
+  const generator = createGenerator(1);
+  const incident = createIncident(generator, 1);
+
+  assert.equal(incident.status, 'clearing');
+  assert.equal(generator.formatIncident(incident, at(0)).current_capacity_reduction, 0.2);
+  generator.advanceIncidents(at(1));
+  assert.equal(incident.status, 'cleared');
+  assert.equal(generator.activeIncidents.length, 0);
+});
+
+test('the traffic model takes incident capacity off the zone and street', () => {
+  const traffic = new TrafficSimulator('york', new SeededRandom(1));
+  traffic.datazones = [{ datazone_code: 'Z1', traffic_capacity: 10000 }, { datazone_code: 'Z2', traffic_capacity: 100 }];
+  const incident = (id, zone, streetId, reduction, current = reduction) =>
+    ({ id, datazone_code: zone, street_id: streetId, road_type: 'primary', capacity_reduction: reduction, current_capacity_reduction: current });
+
+  const impacts = traffic.calculateZoneIncidentImpacts([
+    incident(1, 'Z1', 100, 0.4),
+    incident(2, 'Z1', 100, 0.6, 0.3),
+    incident(3, 'Z2', 200, 0.9),
+    incident(4, 'Z9', 300, 0.9)
+  ]);
+
+  const z1 = impacts.get('Z1');
+  assert.deepEqual(z1.incidentIds, [1, 2]);
+  // A street blocked twice loses the larger share; a clearing incident counts at its current reduction
+  assert.equal(z1.streetReductions.get(100), 0.4);
+  assert.equal(z1.capacityFactor, 1 - ROAD_TYPE_CAPACITY.primary * (0.4 + 0.3) / 10000);
+  // Small zones never lose more than 80% of their capacity
+  assert.equal(impacts.get('Z2').capacityFactor, 0.2);
+  assert.equal(impacts.has('Z9'), false);
+  assert.equal(traffic.calculateZoneIncidentImpacts([]).size, 0);
+});
+
+test('serialized state restores into a generator that continues identically', () => {
+  const original = createGenerator(21);
+  runHours(original, 0, 72);
+  assert.ok(original.activeIncidents.length + original.resolvedIncidents.length > 0);
+
+  const state = JSON.parse(JSON.stringify(original.serializeState()));
+  const restored = createGenerator(0);
+  restored.restoreState(state);
+  restored.rng.setState(original.rng.getState());
+
+  assert.deepEqual(restored.getIncidentsWithStatus(at(72)), original.getIncidentsWithStatus(at(72)));
+  assert.deepEqual(runHours(restored, 72, 72), runHours(original, 72, 72));
+  assert.deepEqual(restored.getIncidentStatistics(), original.getIncidentStatistics());
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CitySimulation, SIMULATION_STATES } from '../lib/simulators/CitySimulation.js';
+
+function createSimulation() {
+  const simulation = new CitySimulation('lifecycle-test', 3600, 'york', {
+    seed: 1,
+    startTime: '2025-03-01T08:00:00Z',
+    sinks: [],
+    historyLog: false
+  });
+  simulation.setVerbose(false);
+  return simulation;
+}
+
+test('the state machine only allows the documented transitions', async () => {
+  const simulation = createSimulation();
+  assert.deepEqual(SIMULATION_STATES.stopped, ['initializing']);
+  assert.throws(() => simulation.transitionTo('running'), /cannot go from stopped to running/);
+  await assert.rejects(simulation.step(), /cannot step while stopped/);
+});
+
+test('pause stops the clock and resume restarts it', async (t) => {
+  const simulation = createSimulation();
+  const states = [];
+  simulation.on('state', ({ state }) => states.push(state));
+
+  await simulation.start();
+  t.after(() => simulation.stop());
+  assert.equal(simulation.state, 'running');
+  assert.ok(simulation.tickTimer);
+
+  simulation.pause();
+  assert.equal(simulation.state, 'paused');
+  assert.equal(simulation.isPaused, true);
+  assert.equal(simulation.tickTimer, null);
+
+  // Pausing twice is a no-op
+  simulation.pause();
+
+  simulation.resume();
+  assert.equal(simulation.state, 'running');
+  assert.ok(simulation.tickTimer);
+
+  assert.deepEqual(states, ['initializing', 'running', 'paused', 'running']);
+});
+
+test('step generates hours while paused without resuming', async (t) => {
+  const simulation = createSimulation();
+  await simulation.start({ paused: true });
+  t.after(() => simulation.stop());
+
+  const startHour = simulation.hourCounter;
+  const startTime = simulation.currentTime.getTime();
+
+  const hourData = await simulation.step(3);
+  assert.equal(simulation.hourCounter, startHour + 3);
+  assert.equal(simulation.currentTime.getTime(), startTime + 3 * 60 * 60 * 1000);
+  assert.equal(hourData.timestamp, simulation.currentTime.toISOString());
+  assert.equal(simulation.state, 'paused');
+  assert.equal(simulation.tickTimer, null);
+});
+
+test('steps and batches wait for an hour already in flight instead of returning nothing', async (t) => {
+  const simulation = createSimulation();
+  await simulation.start({ paused: true });
+  t.after(() => simulation.stop());
+
+  const startHour = simulation.hourCounter;
+  const jump = simulation.generateQueuedHour('2025-03-02T08:00:00Z');
+  const [jumped, stepped, batch] = await Promise.all([jump, simulation.step(), simulation.runBatch(2)]);
+
+  assert.equal(jumped.timestamp, '2025-03-02T08:00:00.000Z');
+  assert.equal(stepped.timestamp, '2025-03-02T09:00:00.000Z');
+  assert.deepEqual(batch.map(hour => hour.timestamp), ['2025-03-02T10:00:00.000Z', '2025-03-02T11:00:00.000Z']);
+  assert.equal(simulation.hourCounter, startHour + 4);
+  assert.equal(simulation.pendingHour, null);
+});
+
+test('stopped simulations cannot be paused or stepped', async () => {
+  const simulation = createSimulation();
+  await simulation.start({ paused: true });
+  simulation.stop();
+
+  assert.equal(simulation.state, 'stopped');
+  assert.throws(() => simulation.pause(), /cannot go from stopped to paused/);
+  await assert.rejects(simulation.step(), /cannot step while stopped/);
+});
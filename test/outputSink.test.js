@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OutputSink } from '../lib/sinks/OutputSink.js';
+
+class RecordingSink extends OutputSink {
+  constructor() {
+    super('test', { max_retries: 0 });
+    this.sent = [];
+    this.brokenHours = new Set();
+    this.brokenDeliveries = 0;
+  }
+
+  formatRecord(hourData) {
+    if (this.brokenHours.has(hourData.hour)) throw new Error('no traffic block');
+    return hourData;
+  }
+
+  async deliver(batch) {
+    if (this.brokenDeliveries > 0) {
+      this.brokenDeliveries--;
+      throw new Error('delivery bug');
+    }
+    return super.deliver(batch);
+  }
+
+  async sendBatch(batch) {
+    this.sent.push(...batch.map(record => record.hour));
+  }
+}
+
+test('an hour that cannot be formatted is reported without stopping later hours', async () => {
+  const sink = new RecordingSink();
+  sink.brokenHours.add(1);
+
+  sink.write({ hour: 0 });
+  assert.doesNotThrow(() => sink.write({ hour: 1, timestamp: '2025-03-03T01:00:00.000Z' }));
+  sink.write({ hour: 2 });
+  await sink.delivery;
+
+  assert.deepEqual(sink.sent, [0, 2]);
+  const health = sink.getHealth();
+  assert.equal(health.internal_errors, 1);
+  assert.match(health.alarms.join('; '), /could not format the hour at 2025-03-03T01:00:00.000Z: no traffic block/);
+});
+
+test('a delivery step that throws is recorded and the chain keeps going', async () => {
+  const sink = new RecordingSink();
+  sink.brokenDeliveries = 1;
+
+  sink.write({ hour: 0 });
+  sink.write({ hour: 1 });
+  await sink.delivery;
+
+  assert.deepEqual(sink.sent, [1]);
+  const health = sink.getHealth();
+  assert.equal(health.status, 'healthy');
+  assert.equal(health.internal_errors, 1);
+  assert.match(health.alarms.join('; '), /delivery error: delivery bug/);
+  await sink.close();
+});
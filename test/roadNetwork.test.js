@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoadNetwork } from '../lib/simulators/RoadNetwork.js';
+import { getCityConfig } from '../lib/utils/cityConfigs.js';
+import { loadCityAdjacency, loadCityDatazones, loadCityGeometry } from '../lib/utils/dataLoaders.js';
+
+const zones = (codes, streetIds = {}) => codes.map(code => ({ datazone_code: code, street_ids: streetIds[code] || [] }));
+
+test('zones without adjacency data are left unlinked and spillover is off', () => {
+  const network = new RoadNetwork('test');
+  network.build(zones(['A1', 'A2', 'A3'], { A1: ['s1'], A2: ['s2'], A3: ['s3'] }));
+
+  const summary = network.getSummary();
+  assert.equal(summary.adjacency_source, 'none');
+  assert.equal(summary.links, 0);
+  assert.equal(summary.spillover_enabled, false);
+  assert.match(summary.spillover_disabled_reason, /no adjacency_file or geometry_file configured/);
+
+  const result = network.applySpillover(new Map([['A1', 9], ['A2', 1], ['A3', 1]]));
+  assert.deepEqual([...result.values()].map(zone => zone.spillover), [0, 0, 0]);
+  assert.equal(result.get('A1').congestion, 9);
+});
+
+test('zones sharing a street are linked', () => {
+  const network = new RoadNetwork('test');
+  network.build(zones(['A1', 'A2', 'A3'], { A1: ['s1', 's2'], A2: ['s2'], A3: ['s3'] }));
+
+  assert.equal(network.adjacencySource, 'shared_streets');
+  assert.deepEqual(network.getNeighbours('A1'), ['A2']);
+  assert.deepEqual(network.getNeighbours('A3'), []);
+  assert.equal(network.getSummary().spillover_enabled, true);
+});
+
+test('an adjacency file takes precedence and unknown codes are ignored', () => {
+  const network = new RoadNetwork('test');
+  network.build(zones(['A1', 'A2', 'A3'], { A1: ['s1'], A2: ['s1'] }), { A1: ['A3', 'B9'] });
+
+  assert.equal(network.adjacencySource, 'adjacency_file');
+  assert.deepEqual(network.getNeighbours('A1'), ['A3']);
+  assert.deepEqual(network.getNeighbours('A2'), []);
+});
+
+test('saturated zones shed congestion evenly into their neighbours', () => {
+  const network = new RoadNetwork('test');
+  network.build(zones(['A1', 'A2', 'A3']), { A1: ['A2', 'A3'] });
+
+  const { saturationThreshold, spillRate } = network.spillover;
+  const excess = 2;
+  const result = network.applySpillover(new Map([['A1', saturationThreshold + excess], ['A2', 1], ['A3', 1]]));
+
+  const spill = Math.round(excess * spillRate * 100) / 100;
+  assert.equal(result.get('A1').spillover, -spill);
+  assert.equal(result.get('A2').spillover, Math.round(excess * spillRate / 2 * 100) / 100);
+  assert.equal(result.get('A3').spillover, result.get('A2').spillover);
+});
+
+const square = (x, y) => ({ type: 'Polygon', coordinates: [[[x, y], [x + 1, y], [x + 1, y + 1], [x, y + 1], [x, y]]] });
+
+test('datazone boundaries that share an edge are linked', () => {
+  const boundaries = new Map([
+    ['A1', square(0, 0)],
+    ['A2', square(1, 0)],
+    ['A3', { type: 'MultiPolygon', coordinates: [square(5, 5).coordinates, square(1, 1).coordinates] }],
+    ['A4', square(9, 9)]
+  ]);
+  const network = new RoadNetwork('test');
+  network.build(zones(['A1', 'A2', 'A3', 'A4']), null, boundaries);
+
+  assert.equal(network.adjacencySource, 'geometry_file');
+  assert.deepEqual(network.getNeighbours('A1').sort(), ['A2', 'A3']);
+  assert.deepEqual(network.getNeighbours('A2').sort(), ['A1', 'A3']);
+  assert.deepEqual(network.getNeighbours('A4'), []);
+  assert.equal(network.getSummary().spillover_enabled, true);
+});
+
+test('an adjacency file takes precedence over boundaries', () => {
+  const network = new RoadNetwork('test');
+  network.build(zones(['A1', 'A2', 'A3']), { A1: ['A3'] }, new Map([['A1', square(0, 0)], ['A2', square(1, 0)]]));
+
+  assert.equal(network.adjacencySource, 'adjacency_file');
+  assert.deepEqual(network.getNeighbours('A1'), ['A3']);
+});
+
+const edinburgh = getCityConfig('edinburgh');
+test('the edinburgh road network links its datazones', {
+  skip: !edinburgh.adjacency_file && !edinburgh.geometry_file && 'needs an adjacency_file or geometry_file of Data Zone boundaries for edinburgh'
+}, async () => {
+  const geometry = await loadCityGeometry('edinburgh');
+  const network = new RoadNetwork('edinburgh');
+  network.build(await loadCityDatazones('edinburgh'), await loadCityAdjacency('edinburgh'), geometry?.datazones ?? null);
+
+  assert.ok(network.getEdgeCount() > 0);
+  assert.equal(network.getSummary().spillover_enabled, true);
+});
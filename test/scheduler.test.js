@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CitySimulation } from '../lib/simulators/CitySimulation.js';
+
+function runningSimulation(secondsPerHour) {
+  const simulation = new CitySimulation('scheduler-test', secondsPerHour, 'york', { sinks: [], historyLog: false });
+  simulation.setVerbose(false);
+  simulation.transitionTo('initializing');
+  simulation.transitionTo('running');
+  return simulation;
+}
+
+test('ticks stay on the wall-clock grid when generation keeps up', (t) => {
+  t.mock.method(Date, 'now', () => 1_000_000);
+  const simulation = runningSimulation(10);
+
+  simulation.scheduleNextTick();
+  assert.equal(simulation.nextTickAt, 1_010_000);
+  assert.equal(simulation.skippedTicks, 0);
+
+  simulation.clearTickTimer();
+});
+
+test('overrun ticks are skipped rather than burst through', (t) => {
+  let now = 1_000_000;
+  t.mock.method(Date, 'now', () => now);
+  const simulation = runningSimulation(10);
+
+  simulation.scheduleNextTick();
+  simulation.clearTickTimer();
+
+  // The hour due at 1_010_000 took until 1_035_000 - the ticks due at 1_020_000 and 1_030_000 are lost
+  simulation.nextTickAt = 1_010_000;
+  now = 1_035_000;
+  simulation.scheduleNextTick();
+
+  assert.equal(simulation.skippedTicks, 2);
+  assert.equal(simulation.nextTickAt, 1_040_000);
+
+  simulation.clearTickTimer();
+});
+
+test('compression changes apply from the next tick', (t) => {
+  t.mock.method(Date, 'now', () => 1_000_000);
+  const simulation = runningSimulation(10);
+
+  simulation.scheduleNextTick();
+  clearTimeout(simulation.tickTimer);
+  simulation.secondsPerHour = 2;
+  simulation.scheduleNextTick();
+
+  assert.equal(simulation.nextTickAt, 1_012_000);
+  assert.equal(simulation.skippedTicks, 0);
+
+  simulation.clearTickTimer();
+});
+
+test('paused simulations do not schedule ticks', () => {
+  const simulation = runningSimulation(10);
+  simulation.pause();
+
+  simulation.scheduleNextTick();
+  assert.equal(simulation.tickTimer, null);
+  assert.equal(simulation.nextTickAt, null);
+});
+
+test('a dashboard time jump moves the clock once and ticks carry on from it', async (t) => {
+  const simulation = new CitySimulation('scheduler-dashboard-test', 3600, 'york', {
+    seed: 1,
+    startTime: '2025-03-03T10:00:00Z',
+    sinks: [],
+    historyLog: false
+  });
+  simulation.setVerbose(false);
+  await simulation.start({ paused: true });
+  t.after(() => simulation.stop());
+
+  const requested = await simulation.generateNextHourData('2025-03-03T18:00:00Z');
+  assert.equal(requested.timestamp, '2025-03-03T18:00:00.000Z');
+
+  const first = await simulation.step();
+  const second = await simulation.step();
+  assert.equal(first.timestamp, '2025-03-03T19:00:00.000Z');
+  assert.equal(second.timestamp, '2025-03-03T20:00:00.000Z');
+});
@@ -0,0 +1,4 @@
+// Keep progress logs out of test output (run with LOG_LEVEL=info to see them). On Node 20
+// they would also share stdout with the test runner's own protocol, which can then fail
+// a file with "Unable to deserialize cloned data".
+process.env.LOG_LEVEL ??= 'warn';
@@ -0,0 +1,42 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { app } from '../server.js';
+import { activeSimulations } from '../lib/simulation.js';
+import { CitySimulation } from '../lib/simulators/CitySimulation.js';
+import { SinkRegistry } from '../lib/sinks/SinkRegistry.js';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/simulations`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('a simulation that fails to start is unregistered and its sinks closed', async (t) => {
+  let failedSimulation;
+  t.mock.method(CitySimulation.prototype, 'initializeEventsSystem', async function () {
+    failedSimulation = this;
+    throw new Error('events data unreadable');
+  });
+  const closeAll = t.mock.method(SinkRegistry.prototype, 'closeAll');
+
+  const response = await fetch(`${baseUrl}/start?city=york&simulation_id=start-fails&sinks=stdout`);
+  const body = await response.json();
+
+  assert.equal(response.status, 500);
+  assert.equal(body.error, 'events data unreadable');
+  assert.equal(activeSimulations.has('start-fails'), false);
+  assert.equal(failedSimulation.state, 'stopped');
+  assert.equal(closeAll.mock.callCount(), 1);
+  assert.equal(closeAll.mock.calls[0].this, failedSimulation.sinks);
+
+  // The ID is free for a retry
+  const status = await fetch(`${baseUrl}/start-fails/status`);
+  assert.equal(status.status, 404);
+});
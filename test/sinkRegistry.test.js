@@ -0,0 +1,61 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSinkSpecs, parseSinkSpecs } from '../lib/sinks/SinkRegistry.js';
+
+const FOUNDRY_ENV = {
+  FOUNDRY_URL: 'https://example.palantirfoundry.com',
+  FOUNDRY_CLIENT_ID: 'client',
+  FOUNDRY_CLIENT_SECRET: 'secret',
+  FOUNDRY_STREAM_RID: 'ri.foundry.main.stream.default'
+};
+
+before(() => Object.assign(process.env, FOUNDRY_ENV));
+after(() => {
+  for (const name of Object.keys(FOUNDRY_ENV)) delete process.env[name];
+});
+
+test('sink lists parse from type names or JSON', () => {
+  assert.deepEqual(parseSinkSpecs('ndjson, stdout'), [{ type: 'ndjson' }, { type: 'stdout' }]);
+  assert.deepEqual(parseSinkSpecs('[{"type":"stdout","detail":"full"}]'), [{ type: 'stdout', detail: 'full' }]);
+  assert.deepEqual(parseSinkSpecs(''), []);
+});
+
+test('detail levels are checked, including datazone_rows', () => {
+  assert.deepEqual(validateSinkSpecs([{ type: 'ndjson', detail: 'datazone_rows' }]), []);
+  assert.match(validateSinkSpecs([{ type: 'stdout', detail: 'everything' }])[0], /detail must be one of/);
+});
+
+test('foundry sinks refuse a detail level rather than ignoring it', () => {
+  assert.deepEqual(validateSinkSpecs([{ type: 'foundry' }]), []);
+  assert.deepEqual(validateSinkSpecs([{ type: 'foundry', detail: 'datazone_rows' }]), [
+    'sinks[0].detail is not supported for foundry sinks - use streams.traffic_zones for one row per datazone'
+  ]);
+  assert.deepEqual(validateSinkSpecs([{ type: 'foundry', streams: { traffic_zones: 'ri.foundry.main.stream.zones' } }]), []);
+});
+
+test('foundry credentials never come from a sink spec', () => {
+  const errors = validateSinkSpecs([{ type: 'foundry', client_secret: 'x' }]);
+  assert.match(errors[0], /client_secret not allowed/);
+});
+
+test('sink names must be unique and file-safe', () => {
+  assert.match(validateSinkSpecs([{ type: 'stdout' }, { type: 'stdout' }]).join('; '), /duplicate sink name 'stdout'/);
+  assert.match(validateSinkSpecs([{ type: 'ndjson', name: '../x' }]).join('; '), /name must only use/);
+});
+
+test('webhook sinks only post to hosts in WEBHOOK_ALLOWED_HOSTS', (t) => {
+  const webhook = (url) => validateSinkSpecs([{ type: 'webhook', url }]);
+
+  delete process.env.WEBHOOK_ALLOWED_HOSTS;
+  assert.match(webhook('https://hooks.example.com/city')[0], /webhook sinks are disabled/);
+
+  process.env.WEBHOOK_ALLOWED_HOSTS = 'collector.internal, *.example.com';
+  t.after(() => delete process.env.WEBHOOK_ALLOWED_HOSTS);
+
+  assert.deepEqual(webhook('http://collector.internal:8080/hours'), []);
+  assert.deepEqual(webhook('https://Hooks.Example.com/city'), []);
+  assert.match(webhook('http://169.254.169.254/latest/meta-data')[0], /'169.254.169.254' is not in WEBHOOK_ALLOWED_HOSTS/);
+  assert.match(webhook('https://example.com.attacker.net/')[0], /not in WEBHOOK_ALLOWED_HOSTS/);
+  assert.match(webhook('https://badexample.com/')[0], /not in WEBHOOK_ALLOWED_HOSTS/);
+  assert.match(webhook('file:///etc/passwd')[0], /must be an http\(s\) URL/);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CitySimulation } from '../lib/simulators/CitySimulation.js';
+import { SnapshotStore, isSafeId } from '../lib/utils/snapshotStore.js';
+
+function createSimulation(seed) {
+  const simulation = new CitySimulation('snapshot-test', 3600, 'york', {
+    seed,
+    startTime: '2025-06-01T00:00:00Z',
+    sinks: [],
+    historyLog: false
+  });
+  simulation.setVerbose(false);
+  return simulation;
+}
+
+test('simulation IDs are limited to file-safe characters', () => {
+  assert.equal(isSafeId('sim_york-1.2'), true);
+  assert.equal(isSafeId('../etc/passwd'), false);
+  assert.equal(isSafeId('has space'), false);
+  assert.equal(isSafeId(''), false);
+  assert.equal(isSafeId(undefined), false);
+});
+
+test('a saved snapshot restores into a simulation that continues identically', async (t) => {
+  const directory = await mkdtemp(join(tmpdir(), 'snapshots-'));
+  t.after(() => rm(directory, { recursive: true, force: true }));
+  const store = new SnapshotStore(directory);
+
+  const original = createSimulation(11);
+  await original.start({ paused: true });
+  await original.runBatch(30);
+
+  const saved = await store.save(original, { label: 'round trip' });
+  assert.equal(saved.simulation_id, 'snapshot-test');
+  assert.equal(saved.hour_counter, original.hourCounter);
+  assert.deepEqual((await store.list()).map(snapshot => snapshot.snapshot_id), [saved.snapshot_id]);
+
+  const expected = await original.runBatch(24);
+  original.stop();
+
+  const restored = createSimulation(999);
+  await restored.restore(await store.load(saved.snapshot_id));
+  assert.equal(restored.state, 'paused');
+  assert.equal(restored.seed, original.seed);
+
+  assert.deepEqual(await restored.runBatch(24), expected);
+  restored.stop();
+});
+
+test('loading an unknown or unsafe snapshot ID fails', async (t) => {
+  const directory = await mkdtemp(join(tmpdir(), 'snapshots-'));
+  t.after(() => rm(directory, { recursive: true, force: true }));
+  const store = new SnapshotStore(directory);
+
+  await assert.rejects(store.load('missing_1'), /Snapshot missing_1 not found/);
+  await assert.rejects(store.load('../secret'), /Invalid snapshot id/);
+});
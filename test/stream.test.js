@@ -0,0 +1,122 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { setTimeout as delay } from 'node:timers/promises';
+import { app } from '../server.js';
+import { activeSimulations } from '../lib/simulation.js';
+import { CitySimulation } from '../lib/simulators/CitySimulation.js';
+import { SSE_HEARTBEAT_INTERVAL_MS } from '../lib/utils/sse.js';
+
+const SIMULATION_ID = 'stream-test';
+let server;
+let simulation;
+
+before(async () => {
+  simulation = new CitySimulation(SIMULATION_ID, 3600, 'york', {
+    seed: 1,
+    startTime: '2025-03-03T10:00:00Z',
+    sinks: [],
+    historyLog: false
+  });
+  simulation.setVerbose(false);
+  await simulation.start({ paused: true });
+  await simulation.step(3);
+  activeSimulations.set(SIMULATION_ID, simulation);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+});
+
+after(async () => {
+  simulation.stop();
+  activeSimulations.delete(SIMULATION_ID);
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+// Open the stream and collect its raw text until the client closes it
+function openStream(headers = {}) {
+  return new Promise((resolve, reject) => {
+    const request = http.get({
+      port: server.address().port,
+      path: `/api/simulations/${SIMULATION_ID}/stream`,
+      headers
+    }, (response) => {
+      const stream = { request, response, text: '' };
+      response.setEncoding('utf8');
+      response.on('data', chunk => { stream.text += chunk; });
+      response.on('error', () => {});
+      resolve(stream);
+    });
+    request.on('error', reject);
+  });
+}
+
+async function waitFor(condition, what) {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    if (condition()) return;
+    await delay(10);
+  }
+  assert.fail(`timed out waiting for ${what}`);
+}
+
+async function closeStream(stream) {
+  const subscribers = simulation.listenerCount('hour');
+  stream.request.destroy();
+  await waitFor(() => simulation.listenerCount('hour') === subscribers - 1, 'the stream to close');
+}
+
+const eventIds = (text) => [...text.matchAll(/^id: (\d+)$/gm)].map(match => Number(match[1]));
+
+test('Last-Event-ID replays the buffered hours after it, then streams new ones', async () => {
+  const ids = simulation.recentHours.map(entry => entry.id);
+  assert.ok(ids.length >= 3);
+
+  const stream = await openStream({ 'Last-Event-ID': String(ids[0]) });
+  assert.match(stream.response.headers['content-type'], /^text\/event-stream/);
+  await waitFor(() => eventIds(stream.text).length === ids.length - 1, 'the replayed hours');
+  assert.deepEqual(eventIds(stream.text), ids.slice(1));
+  assert.match(stream.text, /^retry: \d+$/m);
+
+  await simulation.step();
+  const nextId = simulation.recentHours.at(-1).id;
+  await waitFor(() => eventIds(stream.text).includes(nextId), 'the next hour');
+  assert.deepEqual(eventIds(stream.text), [...ids.slice(1), nextId]);
+
+  await closeStream(stream);
+});
+
+test('without Last-Event-ID the stream starts on the latest hour only', async () => {
+  const stream = await openStream();
+  await waitFor(() => eventIds(stream.text).length > 0, 'the latest hour');
+  assert.deepEqual(eventIds(stream.text), [simulation.hourCounter]);
+  await closeStream(stream);
+});
+
+test('idle streams get a heartbeat comment', async (t) => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const stream = await openStream({ 'Last-Event-ID': String(simulation.hourCounter) });
+  await waitFor(() => stream.text.startsWith('retry:'), 'the stream to open');
+  assert.doesNotMatch(stream.text, /heartbeat/);
+
+  t.mock.timers.tick(SSE_HEARTBEAT_INTERVAL_MS);
+  await waitFor(() => stream.text.includes(': heartbeat\n\n'), 'a heartbeat');
+
+  await closeStream(stream);
+});
+
+test('a client disconnect removes its hour listener', async () => {
+  const subscribers = simulation.listenerCount('hour');
+  const stream = await openStream();
+  await waitFor(() => simulation.listenerCount('hour') === subscribers + 1, 'the listener');
+  assert.equal(simulation.listenerCount('stopped'), 1);
+
+  await closeStream(stream);
+  assert.equal(simulation.listenerCount('hour'), subscribers);
+  assert.equal(simulation.listenerCount('stopped'), 0);
+});
+
+test('unknown simulations get a 404', async () => {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/api/simulations/missing/stream`);
+  assert.equal(response.status, 404);
+});
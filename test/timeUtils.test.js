@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { zonedTimeToDate, toLocalISOString, getLocalHour, getDateKey, getTimezoneOffsetMinutes } from '../lib/utils/timeUtils.js';
+import { runHeadlessSimulation } from '../lib/simulators/headlessRun.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const TIME_ZONE = 'Europe/London';
+
+const dayLengthHours = (year, month, day) =>
+  (zonedTimeToDate(year, month, day + 1, 0, TIME_ZONE) - zonedTimeToDate(year, month, day, 0, TIME_ZONE)) / HOUR_MS;
+
+test('local days around the clock changes are 23 and 25 hours long', () => {
+  assert.equal(dayLengthHours(2025, 3, 30), 23);
+  assert.equal(dayLengthHours(2025, 10, 26), 25);
+  assert.equal(dayLengthHours(2025, 7, 1), 24);
+});
+
+test('wall-clock hours resolve to the right instant across the clock changes', () => {
+  // 01:00 does not exist on 30 March and rolls forward to 02:00 BST
+  assert.equal(zonedTimeToDate(2025, 3, 30, 1, TIME_ZONE).toISOString(), '2025-03-30T01:00:00.000Z');
+  assert.equal(zonedTimeToDate(2025, 3, 30, 3, TIME_ZONE).toISOString(), '2025-03-30T02:00:00.000Z');
+
+  // 01:00 happens twice on 26 October - the first (BST) occurrence is used
+  assert.equal(zonedTimeToDate(2025, 10, 26, 1, TIME_ZONE).toISOString(), '2025-10-26T00:00:00.000Z');
+  assert.equal(zonedTimeToDate(2025, 10, 26, 2, TIME_ZONE).toISOString(), '2025-10-26T02:00:00.000Z');
+});
+
+test('local timestamps carry the offset in force at that instant', () => {
+  assert.equal(getTimezoneOffsetMinutes(new Date('2025-07-01T12:00:00Z'), TIME_ZONE), 60);
+  assert.equal(getTimezoneOffsetMinutes(new Date('2025-01-01T12:00:00Z'), TIME_ZONE), 0);
+  assert.equal(toLocalISOString(new Date('2025-10-26T00:30:00Z'), TIME_ZONE), '2025-10-26T01:30:00+01:00');
+  assert.equal(toLocalISOString(new Date('2025-10-26T01:30:00Z'), TIME_ZONE), '2025-10-26T01:30:00+00:00');
+});
+
+test('simulations generate 23 hours on the spring day and 25 on the autumn day', async () => {
+  const localHoursOn = async (startTime, dateKey) => {
+    const { series } = await runHeadlessSimulation({ cityId: 'york', hours: 26, seed: 7, startTime, detail: 'summary' });
+    return series
+      .filter(hour => getDateKey(new Date(hour.timestamp), TIME_ZONE) === dateKey)
+      .map(hour => getLocalHour(new Date(hour.timestamp), TIME_ZONE));
+  };
+
+  const spring = await localHoursOn('2025-03-29T23:00:00Z', '2025-03-30');
+  assert.equal(spring.length, 23);
+  assert.deepEqual(spring.slice(0, 3), [0, 2, 3]);
+
+  const autumn = await localHoursOn('2025-10-25T22:00:00Z', '2025-10-26');
+  assert.equal(autumn.length, 25);
+  assert.deepEqual(autumn.slice(0, 4), [0, 1, 1, 2]);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getBankHolidays, CityCalendar } from '../lib/utils/ukCalendar.js';
+
+const holidayDate = (year, region, name) =>
+  getBankHolidays(year, region).find(holiday => holiday.name === name)?.date;
+
+test('Good Friday and Easter Monday follow the Gregorian Easter date', () => {
+  // Easter Sunday: 2008-03-23 (early), 2019-04-21, 2024-03-31, 2025-04-20, 2038-04-25 (latest possible)
+  const easterMondays = {
+    2008: '2008-03-24',
+    2019: '2019-04-22',
+    2024: '2024-04-01',
+    2025: '2025-04-21',
+    2038: '2038-04-26'
+  };
+
+  for (const [year, easterMonday] of Object.entries(easterMondays)) {
+    assert.equal(holidayDate(Number(year), 'england', 'Easter Monday'), easterMonday, `Easter Monday ${year}`);
+  }
+
+  assert.equal(holidayDate(2024, 'england', 'Good Friday'), '2024-03-29');
+  assert.equal(holidayDate(2025, 'scotland', 'Good Friday'), '2025-04-18');
+  assert.equal(holidayDate(2285, 'england', 'Good Friday'), '2285-03-20');
+});
+
+test('Scotland has no Easter Monday but keeps its own holidays', () => {
+  const scotland = getBankHolidays(2025, 'scotland');
+  assert.equal(scotland.find(holiday => holiday.name === 'Easter Monday'), undefined);
+  assert.equal(holidayDate(2025, 'scotland', '2nd January'), '2025-01-02');
+  assert.equal(holidayDate(2025, 'scotland', 'Summer bank holiday'), '2025-08-04');
+  assert.equal(holidayDate(2025, 'england', 'Summer bank holiday'), '2025-08-25');
+});
+
+test('weekend fixed holidays move to the next free weekday', () => {
+  // Christmas 2022 was a Sunday: Boxing Day keeps the Monday, Christmas moves to Tuesday
+  const holidays = getBankHolidays(2022, 'england');
+  assert.equal(holidays.find(holiday => holiday.date === '2022-12-26').name, 'Boxing Day');
+  assert.equal(holidays.find(holiday => holiday.date === '2022-12-27').name, 'Christmas Day (substitute day)');
+
+  // St Andrew's Day 2025 is a Sunday
+  assert.equal(holidayDate(2025, 'scotland', "St Andrew's Day (substitute day)"), '2025-12-01');
+});
+
+test('unknown regions are rejected', () => {
+  assert.throws(() => getBankHolidays(2025, 'wales'), /Unknown calendar region 'wales'/);
+});
+
+test('calendar flags use the city-local date and treat bank holidays as Sundays', () => {
+  const calendar = new CityCalendar('york', 'england', null, 'Europe/London');
+
+  // 23:30 UTC on Sunday 20 April is already Easter Monday in BST
+  const flags = calendar.getFlags(new Date('2025-04-20T23:30:00Z'));
+  assert.equal(flags.date, '2025-04-21');
+  assert.equal(flags.bank_holiday, 'Easter Monday');
+  assert.equal(flags.effective_day_of_week, 0);
+  assert.equal(flags.is_school_term, false);
+});